@@ -0,0 +1,93 @@
+/**
+ * Local workload token issuer, to try the workload identity login without Kubernetes or a CI provider.
+ *
+ *   node scripts/test-issuer.js init ./test-issuer
+ *       creates an ES256 key pair, the JWKS and a WORKLOAD_ISSUERS_FILE for the server
+ *   node scripts/test-issuer.js token ./test-issuer --sub system:serviceaccount:ci:deployer [--ttl 600] [--claim ref=main ...]
+ *       prints a signed token, to send as { "assertion": "<token>" } to POST /api/client/login
+ *   node scripts/test-issuer.js serve ./test-issuer [--port 8089]
+ *       serves the JWKS at http://localhost:<port>/jwks.json, to try jwksUri instead of jwksFile
+ */
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { createServer } from 'node:http';
+import { resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { randomUUID } from 'node:crypto';
+import { SignJWT, exportJWK, generateKeyPair, importJWK } from 'jose';
+
+const ISSUER = 'https://test-issuer.local';
+const AUDIENCE = 'secretvault';
+
+const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+        sub: { type: 'string' },
+        aud: { type: 'string', default: AUDIENCE },
+        ttl: { type: 'string', default: '600' },
+        claim: { type: 'string', multiple: true, default: [] },
+        port: { type: 'string', default: '8089' },
+    },
+});
+const [command, directory = './test-issuer'] = positionals;
+const dir = resolve(directory);
+
+switch (command) {
+    case 'init': {
+        const { publicKey, privateKey } = await generateKeyPair('ES256', { extractable: true });
+        const kid = randomUUID();
+
+        await mkdir(dir, { recursive: true });
+        await writeFile(`${dir}/private.json`, JSON.stringify({ ...await exportJWK(privateKey), kid, alg: 'ES256' }), { mode: 0o600 });
+        await writeFile(`${dir}/jwks.json`, JSON.stringify({ keys: [{ ...await exportJWK(publicKey), kid, alg: 'ES256', use: 'sig' }] }));
+        await writeFile(`${dir}/issuers.json`, JSON.stringify([{
+            issuer: ISSUER,
+            audience: AUDIENCE,
+            jwksFile: `${dir}/jwks.json`,
+            algorithms: ['ES256'],
+        }], null, 4));
+
+        console.log(`Issuer ${ISSUER} created in ${dir}`);
+        console.log(`Start the server with WORKLOAD_ISSUERS_FILE=${dir}/issuers.json`);
+        break;
+    }
+    case 'token': {
+        if (!values.sub) {
+            console.error('--sub is required');
+            process.exit(1);
+        }
+
+        const jwk = JSON.parse(await readFile(`${dir}/private.json`, 'utf8'));
+        // Extra claims as name=value, e.g. for the issuer's roleMappings
+        const claims = Object.fromEntries(values.claim.map((claim) => {
+            const at = claim.indexOf('=');
+            return [claim.slice(0, at), claim.slice(at + 1)];
+        }));
+        const token = await new SignJWT(claims)
+            .setProtectedHeader({ alg: jwk.alg, kid: jwk.kid })
+            .setIssuer(ISSUER)
+            .setAudience(values.aud)
+            .setSubject(values.sub)
+            .setIssuedAt()
+            .setExpirationTime(Math.floor(Date.now() / 1000) + Number(values.ttl))
+            .sign(await importJWK(jwk, jwk.alg));
+
+        console.log(token);
+        break;
+    }
+    case 'serve': {
+        const jwks = await readFile(`${dir}/jwks.json`);
+        createServer((req, res) => {
+            if (req.url !== '/jwks.json') {
+                res.writeHead(404).end();
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' }).end(jwks);
+        }).listen(Number(values.port), () => {
+            console.log(`JWKS on http://localhost:${values.port}/jwks.json`);
+        });
+        break;
+    }
+    default:
+        console.error('Usage: node scripts/test-issuer.js <init|token|serve> [directory] [--sub <subject>] [--aud <audience>] [--ttl <seconds>] [--port <port>]');
+        process.exit(1);
+}
@@ -0,0 +1,39 @@
+/**
+ * Verifies the hash chain of the audit log, with the database settings of the server (.env).
+ *
+ *   node scripts/verify-audit-log.js [--expect <id>:<hash>]
+ *
+ * --expect compares with a head printed by a previous run and kept outside the database:
+ * if that entry no longer has that hash, the log was truncated or rewritten after it.
+ * Exits with 1 if the chain is broken.
+ */
+import { parseArgs } from 'node:util';
+import { database } from '../src/data/database.js';
+import { AuditLog } from '../src/models/auditLog.js';
+import { AuditService } from '../src/services/audit.service.js';
+
+const { values } = parseArgs({ options: { expect: { type: 'string' } } });
+
+try {
+    const result = await new AuditService().verify();
+
+    if (!result.valid) {
+        console.error(`❌ Chain broken at entry ${result.brokenAt}: ${result.reason} (${result.count} entries verified before it)`);
+        process.exitCode = 1;
+    } else {
+        console.log(`☑️ ${result.count} entries verified, head ${result.lastId}:${result.lastHash}`);
+    }
+
+    if (values.expect) {
+        const [id, hash] = values.expect.split(':');
+        const entry = await AuditLog.findByPk(id, { attributes: ['hash'] });
+        if (entry?.hash !== hash) {
+            console.error(`❌ Entry ${id} doesn't match the expected head, the log was truncated or rewritten`);
+            process.exitCode = 1;
+        } else {
+            console.log(`☑️ Expected head ${id} found`);
+        }
+    }
+} finally {
+    await database.close();
+}
@@ -8,9 +8,11 @@ CREATE TABLE client (
 	id uuid NOT NULL, -- Client ID
 	"name" varchar(200) NOT NULL, -- Client name
 	"hashedSecret" varchar(255) NOT NULL, -- Hashed secret for the client
+	"secretExpiresAt" timestamptz NULL, -- Expiry of the current secret, null = never
+	"previousHashedSecret" varchar(255) NULL, -- Secret replaced by the last rotation, valid until previousSecretExpiresAt
+	"previousSecretExpiresAt" timestamptz NULL, -- End of the grace period of the previous secret
+	"secretRotatedAt" timestamptz NULL, -- Last secret rotation
 	"isActive" bool DEFAULT true NULL, -- Indicates if the client is active
-	roles varchar(255) DEFAULT ''::character varying NULL, -- Comma-separated roles for the client
-	permissions varchar(255) DEFAULT ''::character varying NULL, -- Comma-separated permissions for the client
 	"lastUsedAt" timestamptz NULL, -- Last time the client was used
 	"createdAt" timestamptz NOT NULL,
 	"updatedAt" timestamptz NOT NULL,
@@ -25,14 +27,399 @@ CREATE UNIQUE INDEX client_name ON public.client USING btree (name);
 COMMENT ON COLUMN public.client.id IS 'Client ID';
 COMMENT ON COLUMN public.client."name" IS 'Client name';
 COMMENT ON COLUMN public.client."hashedSecret" IS 'Hashed secret for the client';
+COMMENT ON COLUMN public.client."secretExpiresAt" IS 'Expiry of the current secret, null = never';
+COMMENT ON COLUMN public.client."previousHashedSecret" IS 'Secret replaced by the last rotation, valid until previousSecretExpiresAt';
+COMMENT ON COLUMN public.client."previousSecretExpiresAt" IS 'End of the grace period of the previous secret';
+COMMENT ON COLUMN public.client."secretRotatedAt" IS 'Last secret rotation';
 COMMENT ON COLUMN public.client."isActive" IS 'Indicates if the client is active';
-COMMENT ON COLUMN public.client.roles IS 'Comma-separated roles for the client';
-COMMENT ON COLUMN public.client.permissions IS 'Comma-separated permissions for the client';
 COMMENT ON COLUMN public.client."lastUsedAt" IS 'Last time the client was used';
 
--- password is '0000'
-INSERT INTO client (id, "name", "hashedSecret", "isActive", roles, permissions, "lastUsedAt", "createdAt", "updatedAt") 
-VALUES('01980e47-4894-714c-ad07-d15cb61d6bd1', 'root', '$argon2id$v=19$m=65536,t=3,p=4$dnMTWlA3YF24/ZU0z0QmWQ$yvwLQqGLzhtGzpocaJD9FyNSR0ywhb8L1z66NhxlqxQ', true, '*', '*', null, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP);
+-- Nessun client predefinito: il primo amministratore si crea con il bootstrap token
+-- stampato all'avvio del server (o impostato in BOOTSTRAP_TOKEN) tramite POST /api/client/bootstrap
+
+
+-- public."role" definition
+
+-- Drop table
+
+-- DROP TABLE "role";
+
+CREATE TABLE "role" (
+	id uuid NOT NULL,
+	"name" varchar(50) NOT NULL, -- Nome del ruolo, '*' è l'amministratore
+	description varchar(255) NULL,
+	"createdAt" timestamptz NOT NULL,
+	"updatedAt" timestamptz NOT NULL,
+	CONSTRAINT role_name_key UNIQUE (name),
+	CONSTRAINT role_pkey PRIMARY KEY (id)
+);
+
+-- Column comments
+
+COMMENT ON COLUMN public."role"."name" IS 'Nome del ruolo, ''*'' è l''amministratore';
+
+
+-- public."permission" definition
+
+-- Drop table
+
+-- DROP TABLE "permission";
+
+CREATE TABLE "permission" (
+	id uuid NOT NULL,
+	"name" varchar(100) NOT NULL, -- Nome del permesso (es. secrets:write)
+	description varchar(255) NULL,
+	"createdAt" timestamptz NOT NULL,
+	"updatedAt" timestamptz NOT NULL,
+	CONSTRAINT permission_name_key UNIQUE (name),
+	CONSTRAINT permission_pkey PRIMARY KEY (id)
+);
+
+-- Column comments
+
+COMMENT ON COLUMN public."permission"."name" IS 'Nome del permesso (es. secrets:write)';
+
+
+-- public.role_permission definition
+
+-- Drop table
+
+-- DROP TABLE role_permission;
+
+CREATE TABLE role_permission (
+	"roleId" uuid NOT NULL, -- Ruolo che concede il permesso
+	"permissionId" uuid NOT NULL, -- Permesso concesso
+	CONSTRAINT role_permission_pkey PRIMARY KEY ("roleId", "permissionId"),
+	CONSTRAINT "role_permission_roleId_fkey" FOREIGN KEY ("roleId") REFERENCES "role"(id) ON DELETE CASCADE ON UPDATE CASCADE,
+	CONSTRAINT "role_permission_permissionId_fkey" FOREIGN KEY ("permissionId") REFERENCES "permission"(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- Column comments
+
+COMMENT ON COLUMN public.role_permission."roleId" IS 'Ruolo che concede il permesso';
+COMMENT ON COLUMN public.role_permission."permissionId" IS 'Permesso concesso';
+
+
+-- public.client_role definition
+
+-- Drop table
+
+-- DROP TABLE client_role;
+
+CREATE TABLE client_role (
+	"clientId" uuid NOT NULL, -- Client a cui è assegnato
+	"roleId" uuid NOT NULL, -- Ruolo assegnato
+	CONSTRAINT client_role_pkey PRIMARY KEY ("clientId", "roleId"),
+	CONSTRAINT "client_role_clientId_fkey" FOREIGN KEY ("clientId") REFERENCES client(id) ON DELETE CASCADE ON UPDATE CASCADE,
+	CONSTRAINT "client_role_roleId_fkey" FOREIGN KEY ("roleId") REFERENCES "role"(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- Column comments
+
+COMMENT ON COLUMN public.client_role."clientId" IS 'Client a cui è assegnato';
+COMMENT ON COLUMN public.client_role."roleId" IS 'Ruolo assegnato';
+
+
+-- public.client_permission definition
+
+-- Drop table
+
+-- DROP TABLE client_permission;
+
+CREATE TABLE client_permission (
+	"clientId" uuid NOT NULL, -- Client a cui è assegnato
+	"permissionId" uuid NOT NULL, -- Permesso assegnato
+	CONSTRAINT client_permission_pkey PRIMARY KEY ("clientId", "permissionId"),
+	CONSTRAINT "client_permission_clientId_fkey" FOREIGN KEY ("clientId") REFERENCES client(id) ON DELETE CASCADE ON UPDATE CASCADE,
+	CONSTRAINT "client_permission_permissionId_fkey" FOREIGN KEY ("permissionId") REFERENCES "permission"(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- Column comments
+
+COMMENT ON COLUMN public.client_permission."clientId" IS 'Client a cui è assegnato';
+COMMENT ON COLUMN public.client_permission."permissionId" IS 'Permesso assegnato';
+
+-- Il ruolo '*' (amministratore) con il permesso '*'
+INSERT INTO "role" (id, "name", description, "createdAt", "updatedAt")
+VALUES('01980e47-4894-714c-ad07-d15cb61d6bd2', '*', 'Administrator', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP);
+INSERT INTO "permission" (id, "name", description, "createdAt", "updatedAt")
+VALUES('01980e47-4894-714c-ad07-d15cb61d6bd3', '*', 'Every permission', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP);
+INSERT INTO role_permission ("roleId", "permissionId") VALUES('01980e47-4894-714c-ad07-d15cb61d6bd2', '01980e47-4894-714c-ad07-d15cb61d6bd3');
+
+-- public.refresh_token definition
+
+-- Drop table
+
+-- DROP TABLE refresh_token;
+
+CREATE TABLE refresh_token (
+	id uuid NOT NULL,
+	"clientId" uuid NOT NULL, -- Client a cui appartiene il token
+	"familyId" uuid NOT NULL, -- Catena di rotazione nata da un login, revocata insieme in caso di riuso
+	"hashedToken" varchar(64) NOT NULL, -- SHA-256 della parte segreta del token
+	"accessJti" uuid NOT NULL, -- jti dell'access token emesso insieme a questo refresh token
+	"accessExpiresAt" timestamptz NOT NULL, -- Scadenza dell'access token emesso insieme
+	roles _varchar DEFAULT '{}'::character varying[] NOT NULL, -- Ruoli concessi alla sessione oltre a quelli del client, dai claim del token del workload
+	"expiresAt" timestamptz NOT NULL,
+	"usedAt" timestamptz NULL, -- Quando è stato ruotato, un secondo utilizzo è un riuso
+	"revokedAt" timestamptz NULL,
+	"createdAt" timestamptz NOT NULL,
+	"updatedAt" timestamptz NOT NULL,
+	CONSTRAINT refresh_token_pkey PRIMARY KEY (id),
+	CONSTRAINT "refresh_token_clientId_fkey" FOREIGN KEY ("clientId") REFERENCES client(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
+CREATE INDEX refresh_token_family_id ON public.refresh_token USING btree ("familyId");
+CREATE INDEX refresh_token_client_id ON public.refresh_token USING btree ("clientId");
+CREATE INDEX refresh_token_expires_at ON public.refresh_token USING btree ("expiresAt");
+
+-- Column comments
+
+COMMENT ON COLUMN public.refresh_token."clientId" IS 'Client a cui appartiene il token';
+COMMENT ON COLUMN public.refresh_token."familyId" IS 'Catena di rotazione nata da un login, revocata insieme in caso di riuso';
+COMMENT ON COLUMN public.refresh_token."hashedToken" IS 'SHA-256 della parte segreta del token';
+COMMENT ON COLUMN public.refresh_token."accessJti" IS 'jti dell''access token emesso insieme a questo refresh token';
+COMMENT ON COLUMN public.refresh_token."accessExpiresAt" IS 'Scadenza dell''access token emesso insieme';
+COMMENT ON COLUMN public.refresh_token.roles IS 'Ruoli concessi alla sessione oltre a quelli del client, dai claim del token del workload';
+COMMENT ON COLUMN public.refresh_token."usedAt" IS 'Quando è stato ruotato, un secondo utilizzo è un riuso';
+
+
+-- public.revoked_token definition
+
+-- Drop table
+
+-- DROP TABLE revoked_token;
+
+CREATE TABLE revoked_token (
+	jti uuid NOT NULL, -- jti dell'access token revocato
+	"clientId" uuid NOT NULL,
+	"expiresAt" timestamptz NOT NULL, -- Scadenza del token, dopo la quale la riga può essere eliminata
+	"createdAt" timestamptz NOT NULL,
+	CONSTRAINT revoked_token_pkey PRIMARY KEY (jti),
+	CONSTRAINT "revoked_token_clientId_fkey" FOREIGN KEY ("clientId") REFERENCES client(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
+CREATE INDEX revoked_token_expires_at ON public.revoked_token USING btree ("expiresAt");
+
+-- Column comments
+
+COMMENT ON COLUMN public.revoked_token.jti IS 'jti dell''access token revocato';
+COMMENT ON COLUMN public.revoked_token."expiresAt" IS 'Scadenza del token, dopo la quale la riga può essere eliminata';
+
+-- public.signing_key definition
+
+-- Drop table
+
+-- DROP TABLE signing_key;
+
+CREATE TABLE signing_key (
+	id uuid NOT NULL, -- Usato come kid nell'header dei JWT
+	alg varchar(10) NOT NULL,
+	"publicKey" jsonb NOT NULL, -- Chiave pubblica in formato JWK, pubblicata in /.well-known/jwks.json
+	"privateKey" bytea NOT NULL, -- Chiave privata PKCS#8 cifrata con la kek
+	"kekId" varchar(100) DEFAULT 'default'::character varying NOT NULL, -- Identificatore della KEK usata per cifrare la chiave privata
+	"isActive" bool DEFAULT true NOT NULL, -- Chiave usata per firmare i nuovi token (una sola attiva)
+	"retiredAt" timestamptz NULL, -- Dopo la rotazione la chiave verifica ancora i token per Config.JWT_KEY_GRACE_HOURS
+	"createdAt" timestamptz NOT NULL,
+	"updatedAt" timestamptz NOT NULL,
+	CONSTRAINT signing_key_pkey PRIMARY KEY (id)
+);
+CREATE UNIQUE INDEX signing_key_active ON public.signing_key USING btree ("isActive") WHERE "isActive";
+
+-- Column comments
+
+COMMENT ON COLUMN public.signing_key.id IS 'Usato come kid nell''header dei JWT';
+COMMENT ON COLUMN public.signing_key."publicKey" IS 'Chiave pubblica in formato JWK, pubblicata in /.well-known/jwks.json';
+COMMENT ON COLUMN public.signing_key."privateKey" IS 'Chiave privata PKCS#8 cifrata con la kek';
+COMMENT ON COLUMN public.signing_key."kekId" IS 'Identificatore della KEK usata per cifrare la chiave privata';
+COMMENT ON COLUMN public.signing_key."isActive" IS 'Chiave usata per firmare i nuovi token (una sola attiva)';
+COMMENT ON COLUMN public.signing_key."retiredAt" IS 'Dopo la rotazione la chiave verifica ancora i token per Config.JWT_KEY_GRACE_HOURS';
+
+
+-- public.login_attempt definition
+
+-- Drop table
+
+-- DROP TABLE login_attempt;
+
+CREATE TABLE login_attempt (
+	"key" varchar(200) NOT NULL, -- client:<nome>, issuer:<iss> oppure ip:<indirizzo>
+	failures int4 DEFAULT 0 NOT NULL, -- Tentativi falliti consecutivi nella finestra
+	"lastFailureAt" timestamptz NULL,
+	pending int4 DEFAULT 0 NOT NULL, -- Tentativi in corso, non ancora verificati: non contano come falliti
+	"lastAttemptAt" timestamptz NULL, -- Inizio dell'ultimo tentativo in corso
+	"lockedUntil" timestamptz NULL,
+	CONSTRAINT login_attempt_pkey PRIMARY KEY ("key")
+);
+
+-- Column comments
+
+COMMENT ON COLUMN public.login_attempt."key" IS 'client:<nome>, issuer:<iss> oppure ip:<indirizzo>';
+COMMENT ON COLUMN public.login_attempt.failures IS 'Tentativi falliti consecutivi nella finestra';
+COMMENT ON COLUMN public.login_attempt.pending IS 'Tentativi in corso, non ancora verificati: non contano come falliti';
+COMMENT ON COLUMN public.login_attempt."lastAttemptAt" IS 'Inizio dell''ultimo tentativo in corso';
+
+
+-- public.lockout_event definition
+
+-- Drop table
+
+-- DROP TABLE lockout_event;
+
+CREATE TABLE lockout_event (
+	id uuid NOT NULL,
+	"type" varchar(10) NOT NULL,
+	"key" varchar(200) NOT NULL, -- client:<nome>, issuer:<iss> oppure ip:<indirizzo>
+	failures int4 NULL, -- Tentativi falliti che hanno causato il blocco
+	"lockedUntil" timestamptz NULL,
+	ip varchar(100) NULL, -- Indirizzo dell'ultimo tentativo
+	"actorId" uuid NULL, -- Amministratore che ha sbloccato
+	"createdAt" timestamptz NOT NULL,
+	CONSTRAINT lockout_event_pkey PRIMARY KEY (id)
+);
+CREATE INDEX lockout_event_key ON public.lockout_event USING btree ("key");
+CREATE INDEX lockout_event_created_at ON public.lockout_event USING btree ("createdAt");
+
+-- Column comments
+
+COMMENT ON COLUMN public.lockout_event."key" IS 'client:<nome>, issuer:<iss> oppure ip:<indirizzo>';
+COMMENT ON COLUMN public.lockout_event.failures IS 'Tentativi falliti che hanno causato il blocco';
+COMMENT ON COLUMN public.lockout_event.ip IS 'Indirizzo dell''ultimo tentativo';
+COMMENT ON COLUMN public.lockout_event."actorId" IS 'Amministratore che ha sbloccato';
+
+
+-- public.audit_log definition
+
+-- Drop table
+
+-- DROP TABLE audit_log;
+
+CREATE TABLE audit_log (
+	id bigserial NOT NULL, -- Ordine della catena
+	"clientId" uuid NULL, -- Client che ha eseguito l'operazione, null se non autenticato o di sistema
+	"action" varchar(100) NOT NULL, -- Operazione, es. secret.read o dek.rotate-kek
+	target varchar(1000) NULL, -- Oggetto dell'operazione: percorso, nome o id
+	outcome varchar(10) NOT NULL,
+	status int2 NULL, -- Status HTTP della risposta
+	ip varchar(45) NULL,
+	"requestId" varchar(100) NULL,
+	"prevHash" varchar(64) NOT NULL, -- Hash della riga precedente
+	hash varchar(64) NOT NULL, -- SHA-256 di prevHash e dei campi della riga
+	"createdAt" timestamptz NOT NULL,
+	CONSTRAINT audit_log_pkey PRIMARY KEY (id)
+);
+CREATE INDEX audit_log_client_id ON public.audit_log USING btree ("clientId");
+CREATE INDEX audit_log_action ON public.audit_log USING btree ("action");
+CREATE INDEX audit_log_created_at ON public.audit_log USING btree ("createdAt");
+
+-- Column comments
+
+COMMENT ON COLUMN public.audit_log.id IS 'Ordine della catena';
+COMMENT ON COLUMN public.audit_log."clientId" IS 'Client che ha eseguito l''operazione, null se non autenticato o di sistema';
+COMMENT ON COLUMN public.audit_log."action" IS 'Operazione, es. secret.read o dek.rotate-kek';
+COMMENT ON COLUMN public.audit_log.target IS 'Oggetto dell''operazione: percorso, nome o id';
+COMMENT ON COLUMN public.audit_log.status IS 'Status HTTP della risposta';
+COMMENT ON COLUMN public.audit_log."prevHash" IS 'Hash della riga precedente';
+COMMENT ON COLUMN public.audit_log.hash IS 'SHA-256 di prevHash e dei campi della riga';
+
+-- Il registro è solo in append: modifiche e cancellazioni vengono rifiutate anche fuori dall'applicazione
+
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+	RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON public.audit_log
+	FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON public.audit_log
+	FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+
+-- public.client_certificate definition
+
+-- Drop table
+
+-- DROP TABLE client_certificate;
+
+CREATE TABLE client_certificate (
+	id uuid NOT NULL,
+	"clientId" uuid NOT NULL, -- Client autenticato dal certificato
+	"type" varchar(10) NOT NULL, -- Campo del certificato: CN del subject o tipo di SAN
+	value varchar(500) NOT NULL, -- Valore atteso, es. payments.internal o spiffe://corp/payments
+	"createdAt" timestamptz NOT NULL,
+	"updatedAt" timestamptz NOT NULL,
+	CONSTRAINT client_certificate_pkey PRIMARY KEY (id),
+	CONSTRAINT "client_certificate_clientId_fkey" FOREIGN KEY ("clientId") REFERENCES client(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
+CREATE UNIQUE INDEX client_certificate_type_value ON public.client_certificate USING btree ("type", value);
+CREATE INDEX client_certificate_client_id ON public.client_certificate USING btree ("clientId");
+
+-- Column comments
+
+COMMENT ON COLUMN public.client_certificate."clientId" IS 'Client autenticato dal certificato';
+COMMENT ON COLUMN public.client_certificate."type" IS 'Campo del certificato: CN del subject o tipo di SAN';
+COMMENT ON COLUMN public.client_certificate.value IS 'Valore atteso, es. payments.internal o spiffe://corp/payments';
+
+
+-- public.api_key definition
+
+-- Drop table
+
+-- DROP TABLE api_key;
+
+CREATE TABLE api_key (
+	id uuid NOT NULL,
+	"clientId" uuid NOT NULL, -- Client per conto del quale agisce la chiave
+	"name" varchar(100) NOT NULL, -- Descrizione, es. ci-deploy
+	"hashedKey" varchar(64) NOT NULL, -- SHA-256 della parte segreta della chiave
+	permissions _varchar DEFAULT '{}'::character varying[] NOT NULL, -- Sottoinsieme dei permessi del client utilizzabili con la chiave
+	folders _varchar DEFAULT '{}'::character varying[] NOT NULL, -- Glob dei percorsi raggiungibili, entro le policy del client
+	"expiresAt" timestamptz NULL,
+	"lastUsedAt" timestamptz NULL,
+	"lastUsedIp" varchar(45) NULL,
+	"revokedAt" timestamptz NULL,
+	"createdBy" uuid NULL, -- Admin che ha emesso la chiave
+	"createdAt" timestamptz NOT NULL,
+	"updatedAt" timestamptz NOT NULL,
+	CONSTRAINT api_key_pkey PRIMARY KEY (id),
+	CONSTRAINT "api_key_clientId_fkey" FOREIGN KEY ("clientId") REFERENCES client(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
+CREATE INDEX api_key_client_id ON public.api_key USING btree ("clientId");
+
+-- Column comments
+
+COMMENT ON COLUMN public.api_key."clientId" IS 'Client per conto del quale agisce la chiave';
+COMMENT ON COLUMN public.api_key."name" IS 'Descrizione, es. ci-deploy';
+COMMENT ON COLUMN public.api_key."hashedKey" IS 'SHA-256 della parte segreta della chiave';
+COMMENT ON COLUMN public.api_key.permissions IS 'Sottoinsieme dei permessi del client utilizzabili con la chiave';
+COMMENT ON COLUMN public.api_key.folders IS 'Glob dei percorsi raggiungibili, entro le policy del client';
+COMMENT ON COLUMN public.api_key."createdBy" IS 'Admin che ha emesso la chiave';
+
+
+-- public.workload_identity definition
+
+-- Drop table
+
+-- DROP TABLE workload_identity;
+
+CREATE TABLE workload_identity (
+	id uuid NOT NULL,
+	"clientId" uuid NOT NULL, -- Client autenticato dal token del workload
+	issuer varchar(500) NOT NULL, -- Claim iss, deve essere tra gli issuer configurati
+	subject varchar(500) NOT NULL, -- Valore atteso del claim soggetto, es. system:serviceaccount:ci:deployer
+	"createdAt" timestamptz NOT NULL,
+	"updatedAt" timestamptz NOT NULL,
+	CONSTRAINT workload_identity_pkey PRIMARY KEY (id),
+	CONSTRAINT "workload_identity_clientId_fkey" FOREIGN KEY ("clientId") REFERENCES client(id) ON DELETE CASCADE ON UPDATE CASCADE
+);
+CREATE UNIQUE INDEX workload_identity_issuer_subject ON public.workload_identity USING btree (issuer, subject);
+CREATE INDEX workload_identity_client_id ON public.workload_identity USING btree ("clientId");
+
+-- Column comments
+
+COMMENT ON COLUMN public.workload_identity."clientId" IS 'Client autenticato dal token del workload';
+COMMENT ON COLUMN public.workload_identity.issuer IS 'Claim iss, deve essere tra gli issuer configurati';
+COMMENT ON COLUMN public.workload_identity.subject IS 'Valore atteso del claim soggetto, es. system:serviceaccount:ci:deployer';
+
 
 -- public.dek definition
 
@@ -69,18 +456,23 @@ COMMENT ON COLUMN public.dek."isActive" IS 'Indica se la chiave è attiva';
 
 CREATE TABLE folder (
 	id uuid NOT NULL,
-	"name" varchar(100) NOT NULL,
+	"name" varchar(100) NOT NULL, -- Univoco all'interno della cartella padre
 	"parentId" uuid NULL, -- Null = cartella root
 	"createdAt" timestamptz NOT NULL,
 	"updatedAt" timestamptz NOT NULL,
-	CONSTRAINT folder_name_key UNIQUE (name),
+	"deletedAt" timestamptz NULL, -- Se valorizzato la cartella è nel cestino
 	CONSTRAINT folder_pkey PRIMARY KEY (id),
 	CONSTRAINT "folder_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES folder(id) ON DELETE CASCADE ON UPDATE CASCADE
 );
+-- Nome univoco per cartella padre, escluse le cartelle nel cestino (due indici perché NULL != NULL)
+CREATE UNIQUE INDEX folder_parent_id_name ON public.folder USING btree ("parentId", name) WHERE ("parentId" IS NOT NULL AND "deletedAt" IS NULL);
+CREATE UNIQUE INDEX folder_root_name ON public.folder USING btree (name) WHERE ("parentId" IS NULL AND "deletedAt" IS NULL);
 
 -- Column comments
 
+COMMENT ON COLUMN public.folder."name" IS 'Univoco all''interno della cartella padre';
 COMMENT ON COLUMN public.folder."parentId" IS 'Null = cartella root';
+COMMENT ON COLUMN public.folder."deletedAt" IS 'Se valorizzato la cartella è nel cestino';
 
 
 -- public.secret definition
@@ -91,22 +483,190 @@ COMMENT ON COLUMN public.folder."parentId" IS 'Null = cartella root';
 
 CREATE TABLE secret (
 	id uuid NOT NULL,
-	"name" varchar(100) NOT NULL,
+	"name" varchar(100) NOT NULL, -- Univoco all'interno della cartella padre
 	"lastRotation" timestamptz NULL, -- Data ultima rotazione DEK
+	"lastAccessedAt" timestamptz NULL, -- Data ultima lettura del valore
+	"lastAccessedBy" uuid NULL, -- Client che ha letto il valore per ultimo
+	"accessCount" int4 DEFAULT 0 NOT NULL, -- Numero di letture del valore
 	"dekId" int4 DEFAULT 1 NOT NULL, -- Versione DEK usata per cifrare
+	"version" int4 DEFAULT 1 NOT NULL, -- Versione corrente del segreto
 	"folderId" uuid NULL, -- Se null allora fa parte della cartella root
+	format varchar(10) DEFAULT 'text'::character varying NOT NULL, -- Formato del valore in chiaro: text, json o binary
+	"contentType" varchar(255) NULL, -- Content type dei segreti binari
+	"expiresAt" timestamptz NULL, -- Dopo questa data il segreto non viene più restituito
+	metadata jsonb DEFAULT '{}'::jsonb NOT NULL, -- Metadati chiave/valore in chiaro (owner, environment, ...)
+	tags _varchar DEFAULT '{}'::character varying[] NOT NULL, -- Tag in chiaro per la ricerca
+	"blobId" uuid NULL, -- Se valorizzato i dati sono cifrati a segmenti in secret_chunk
 	"data" bytea NOT NULL, -- Questi dati sono cifrati
 	"createdAt" timestamptz NOT NULL,
 	"updatedAt" timestamptz NOT NULL,
-	CONSTRAINT secret_name_key UNIQUE (name),
+	"deletedAt" timestamptz NULL, -- Se valorizzato il segreto è nel cestino
 	CONSTRAINT secret_pkey PRIMARY KEY (id),
 	CONSTRAINT "secret_dekId_fkey" FOREIGN KEY ("dekId") REFERENCES dek(id) ON DELETE CASCADE ON UPDATE CASCADE,
 	CONSTRAINT "secret_folderId_fkey" FOREIGN KEY ("folderId") REFERENCES folder(id) ON DELETE CASCADE ON UPDATE CASCADE
 );
+-- Nome univoco per cartella, esclusi i segreti nel cestino (due indici perché NULL != NULL)
+CREATE UNIQUE INDEX secret_folder_id_name ON public.secret USING btree ("folderId", name) WHERE ("folderId" IS NOT NULL AND "deletedAt" IS NULL);
+CREATE UNIQUE INDEX secret_root_name ON public.secret USING btree (name) WHERE ("folderId" IS NULL AND "deletedAt" IS NULL);
+CREATE INDEX secret_expires_at ON public.secret USING btree ("expiresAt");
+CREATE INDEX secret_tags ON public.secret USING gin (tags);
+CREATE INDEX secret_metadata ON public.secret USING gin (metadata jsonb_path_ops);
 
 -- Column comments
 
+COMMENT ON COLUMN public.secret."name" IS 'Univoco all''interno della cartella padre';
 COMMENT ON COLUMN public.secret."lastRotation" IS 'Data ultima rotazione DEK';
+COMMENT ON COLUMN public.secret."lastAccessedAt" IS 'Data ultima lettura del valore';
+COMMENT ON COLUMN public.secret."lastAccessedBy" IS 'Client che ha letto il valore per ultimo';
+COMMENT ON COLUMN public.secret."accessCount" IS 'Numero di letture del valore';
 COMMENT ON COLUMN public.secret."dekId" IS 'Versione DEK usata per cifrare';
+COMMENT ON COLUMN public.secret."version" IS 'Versione corrente del segreto';
 COMMENT ON COLUMN public.secret."folderId" IS 'Se null allora fa parte della cartella root';
-COMMENT ON COLUMN public.secret."data" IS 'Questi dati sono cifrati';
\ No newline at end of file
+COMMENT ON COLUMN public.secret.format IS 'Formato del valore in chiaro: text, json o binary';
+COMMENT ON COLUMN public.secret."contentType" IS 'Content type dei segreti binari';
+COMMENT ON COLUMN public.secret."expiresAt" IS 'Dopo questa data il segreto non viene più restituito';
+COMMENT ON COLUMN public.secret.metadata IS 'Metadati chiave/valore in chiaro (owner, environment, ...)';
+COMMENT ON COLUMN public.secret.tags IS 'Tag in chiaro per la ricerca';
+COMMENT ON COLUMN public.secret."blobId" IS 'Se valorizzato i dati sono cifrati a segmenti in secret_chunk';
+COMMENT ON COLUMN public.secret."data" IS 'Questi dati sono cifrati';
+COMMENT ON COLUMN public.secret."deletedAt" IS 'Se valorizzato il segreto è nel cestino';
+
+
+-- public.secret_version definition
+
+-- Drop table
+
+-- DROP TABLE secret_version;
+
+CREATE TABLE secret_version (
+	id uuid NOT NULL,
+	"secretId" uuid NOT NULL, -- Segreto a cui appartiene la versione
+	"version" int4 NOT NULL, -- Numero di versione del segreto
+	"dekId" int4 NOT NULL, -- Versione DEK usata per cifrare
+	format varchar(10) DEFAULT 'text'::character varying NOT NULL, -- Formato del valore in chiaro: text, json o binary
+	"contentType" varchar(255) NULL, -- Content type dei segreti binari
+	"blobId" uuid NULL, -- Se valorizzato i dati sono cifrati a segmenti in secret_chunk
+	"data" bytea NOT NULL, -- Questi dati sono cifrati
+	"createdAt" timestamptz NOT NULL,
+	CONSTRAINT secret_version_pkey PRIMARY KEY (id),
+	CONSTRAINT "secret_version_secretId_fkey" FOREIGN KEY ("secretId") REFERENCES secret(id) ON DELETE CASCADE ON UPDATE CASCADE,
+	CONSTRAINT "secret_version_dekId_fkey" FOREIGN KEY ("dekId") REFERENCES dek(id) ON UPDATE CASCADE
+);
+CREATE UNIQUE INDEX secret_version_secret_id_version ON public.secret_version USING btree ("secretId", version);
+
+-- Column comments
+
+COMMENT ON COLUMN public.secret_version."secretId" IS 'Segreto a cui appartiene la versione';
+COMMENT ON COLUMN public.secret_version."version" IS 'Numero di versione del segreto';
+COMMENT ON COLUMN public.secret_version."dekId" IS 'Versione DEK usata per cifrare';
+COMMENT ON COLUMN public.secret_version.format IS 'Formato del valore in chiaro: text, json o binary';
+COMMENT ON COLUMN public.secret_version."contentType" IS 'Content type dei segreti binari';
+COMMENT ON COLUMN public.secret_version."blobId" IS 'Se valorizzato i dati sono cifrati a segmenti in secret_chunk';
+COMMENT ON COLUMN public.secret_version."data" IS 'Questi dati sono cifrati';
+
+
+-- public.secret_chunk definition
+
+-- Drop table
+
+-- DROP TABLE secret_chunk;
+
+CREATE TABLE secret_chunk (
+	"blobId" uuid NOT NULL, -- Blob a cui appartiene il segmento
+	"index" int4 NOT NULL, -- Posizione del segmento nel blob
+	"data" bytea NOT NULL, -- Segmento cifrato
+	CONSTRAINT secret_chunk_pkey PRIMARY KEY ("blobId", index)
+);
+
+-- Column comments
+
+COMMENT ON COLUMN public.secret_chunk."blobId" IS 'Blob a cui appartiene il segmento';
+COMMENT ON COLUMN public.secret_chunk."index" IS 'Posizione del segmento nel blob';
+COMMENT ON COLUMN public.secret_chunk."data" IS 'Segmento cifrato';
+
+
+-- public."policy" definition
+
+-- Drop table
+
+-- DROP TABLE "policy";
+
+CREATE TABLE "policy" (
+	id uuid NOT NULL,
+	"subjectType" varchar(10) NOT NULL, -- A chi si applica la policy: client o role
+	subject varchar(100) NOT NULL, -- Id del client o nome del ruolo
+	"path" varchar(1000) NOT NULL, -- Glob sul percorso di cartelle e segreti (es. /prod/**, **/db-*)
+	capabilities _varchar DEFAULT '{}'::character varying[] NOT NULL, -- Operazioni consentite: read, create, update, delete, list
+	description varchar(255) NULL,
+	"createdAt" timestamptz NOT NULL,
+	"updatedAt" timestamptz NOT NULL,
+	CONSTRAINT policy_pkey PRIMARY KEY (id)
+);
+CREATE INDEX policy_subject_type_subject ON public."policy" USING btree ("subjectType", subject);
+
+-- Column comments
+
+COMMENT ON COLUMN public."policy"."subjectType" IS 'A chi si applica la policy: client o role';
+COMMENT ON COLUMN public."policy".subject IS 'Id del client o nome del ruolo';
+COMMENT ON COLUMN public."policy"."path" IS 'Glob sul percorso di cartelle e segreti (es. /prod/**, **/db-*)';
+COMMENT ON COLUMN public."policy".capabilities IS 'Operazioni consentite: read, create, update, delete, list';
+
+
+-- Migrazione da un database con nomi univoci globali (eseguire una sola volta)
+
+-- ALTER TABLE folder DROP CONSTRAINT IF EXISTS folder_name_key;
+-- DROP INDEX IF EXISTS folder_name;
+-- CREATE UNIQUE INDEX folder_parent_id_name ON public.folder USING btree ("parentId", name) WHERE ("parentId" IS NOT NULL AND "deletedAt" IS NULL);
+-- CREATE UNIQUE INDEX folder_root_name ON public.folder USING btree (name) WHERE ("parentId" IS NULL AND "deletedAt" IS NULL);
+-- ALTER TABLE secret DROP CONSTRAINT IF EXISTS secret_name_key;
+-- DROP INDEX IF EXISTS secret_name;
+-- CREATE UNIQUE INDEX secret_folder_id_name ON public.secret USING btree ("folderId", name) WHERE ("folderId" IS NOT NULL AND "deletedAt" IS NULL);
+-- CREATE UNIQUE INDEX secret_root_name ON public.secret USING btree (name) WHERE ("folderId" IS NULL AND "deletedAt" IS NULL);
+
+
+-- Migrazione dei ruoli e permessi separati da virgola in client.roles e client.permissions (eseguire una sola volta)
+
+-- INSERT INTO "role" (id, "name", "createdAt", "updatedAt")
+-- SELECT gen_random_uuid(), r, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+-- FROM (SELECT DISTINCT unnest(string_to_array(roles, ',')) AS r FROM client) t
+-- WHERE r <> '' ON CONFLICT ("name") DO NOTHING;
+-- INSERT INTO "permission" (id, "name", "createdAt", "updatedAt")
+-- SELECT gen_random_uuid(), p, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+-- FROM (SELECT DISTINCT unnest(string_to_array(permissions, ',')) AS p FROM client) t
+-- WHERE p <> '' ON CONFLICT ("name") DO NOTHING;
+-- INSERT INTO client_role ("clientId", "roleId")
+-- SELECT c.id, r.id FROM client c JOIN "role" r ON r."name" = ANY(string_to_array(c.roles, ','));
+-- INSERT INTO client_permission ("clientId", "permissionId")
+-- SELECT c.id, p.id FROM client c JOIN "permission" p ON p."name" = ANY(string_to_array(c.permissions, ','));
+-- ALTER TABLE client DROP COLUMN roles, DROP COLUMN permissions;
+
+
+-- Rimozione del client root con password '0000' creato dalle versioni precedenti (eseguire una sola volta,
+-- dopo aver creato un altro amministratore: senza amministratori il bootstrap token viene riproposto all'avvio)
+
+-- DELETE FROM client WHERE id = '01980e47-4894-714c-ad07-d15cb61d6bd1';
+
+
+-- Rotazione e scadenza delle credenziali dei client (eseguire una sola volta)
+
+-- ALTER TABLE client ADD COLUMN "secretExpiresAt" timestamptz NULL,
+--     ADD COLUMN "previousHashedSecret" varchar(255) NULL,
+--     ADD COLUMN "previousSecretExpiresAt" timestamptz NULL,
+--     ADD COLUMN "secretRotatedAt" timestamptz NULL;
+
+
+-- Tentativi di login in corso contati a parte dai falliti (eseguire una sola volta)
+
+-- ALTER TABLE login_attempt ALTER COLUMN "lastFailureAt" DROP NOT NULL,
+--     ADD COLUMN pending int4 DEFAULT 0 NOT NULL,
+--     ADD COLUMN "lastAttemptAt" timestamptz NULL;
+
+
+-- Una sola chiave di firma attiva (eseguire una sola volta, dopo aver ritirato le chiavi attive in più)
+
+-- CREATE UNIQUE INDEX signing_key_active ON public.signing_key USING btree ("isActive") WHERE "isActive";
+
+
+-- Ruoli di sessione dai claim dei token dei workload (eseguire una sola volta)
+
+-- ALTER TABLE refresh_token ADD COLUMN roles _varchar DEFAULT '{}'::character varying[] NOT NULL;
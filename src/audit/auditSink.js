@@ -0,0 +1,143 @@
+/**
+ * @typedef {Object} AuditEvent
+ * @property {string} id - Position in the chain
+ * @property {string} createdAt - ISO date
+ * @property {string|null} clientId
+ * @property {string} action
+ * @property {string|null} target
+ * @property {'success'|'denied'|'failure'} outcome
+ * @property {number|null} status
+ * @property {string|null} ip
+ * @property {string|null} requestId
+ * @property {string} prevHash
+ * @property {string} hash
+ */
+
+/**
+ * Base class of the audit sinks. Events are written one at a time in the order they were
+ * enqueued: a failed write is retried with backoff before any later event, so the receiver
+ * never sees a reordering. While a write is failing the sink is not healthy. An event dropped
+ * (queue full, or rejected by the destination) leaves a gap: the sink stays unhealthy until an
+ * admin acknowledges the drops with acknowledgeDrops()
+ */
+export class AuditSink {
+    static MAX_BACKOFF_MS = 30 * 1000;
+
+    #queue = [];
+    #draining = false;
+    #healthy = true;
+    #dropped = 0;
+
+    /**
+     * @param {object} [options]
+     * @param {number} [options.queueLimit=10000] - Events kept while the destination is down, newer ones are dropped
+     *                                              and the sink is unhealthy until the drops are acknowledged
+     * @param {number} [options.retryBaseMs=500] - First retry delay, doubled at each failure
+     */
+    constructor({ queueLimit = 10000, retryBaseMs = 500 } = {}) {
+        this.queueLimit = queueLimit;
+        this.retryBaseMs = retryBaseMs;
+    }
+
+    /**
+     * @returns {string} Name used in the logs
+     */
+    get name() {
+        return this.constructor.name;
+    }
+
+    /**
+     * @returns {boolean} False while writes are failing or if events were dropped and not acknowledged
+     */
+    get healthy() {
+        return this.#healthy && this.#dropped === 0;
+    }
+
+    /**
+     * @returns {number} Events dropped (queue full or rejected) since the last acknowledgement, the destination has a gap
+     */
+    get dropped() {
+        return this.#dropped;
+    }
+
+    /**
+     * Marks the dropped events as known, e.g. after the gap has been filled from the audit log,
+     * so the sink is healthy again if its writes succeed
+     * @returns {number} Events acknowledged
+     */
+    acknowledgeDrops() {
+        const dropped = this.#dropped;
+        this.#dropped = 0;
+        return dropped;
+    }
+
+    /**
+     * @returns {number} Events waiting to be written
+     */
+    get pending() {
+        return this.#queue.length;
+    }
+
+    /**
+     * Queues an event, it's written after all the previous ones
+     * @param {AuditEvent} event
+     */
+    enqueue(event) {
+        if (this.#queue.length >= this.queueLimit) {
+            this.#dropped++;
+            console.error(`Audit sink ${this.name}: queue full, event ${event.id} dropped`);
+            return;
+        }
+
+        this.#queue.push(event);
+        this.#drain();
+    }
+
+    /**
+     * Writes an event to the destination
+     * @param {AuditEvent} event
+     * @returns {Promise<void>}
+     * @throws {Error} To retry the event, with error.permanent = true to drop it
+     */
+    async write(event) {
+        throw new Error('Not implemented');
+    }
+
+    /**
+     * Releases files and connections
+     * @returns {Promise<void>}
+     */
+    async close() {}
+
+    async #drain() {
+        if (this.#draining) return;
+        this.#draining = true;
+
+        let failures = 0;
+        while (this.#queue.length > 0) {
+            const event = this.#queue[0];
+            try {
+                await this.write(event);
+                this.#queue.shift();
+                this.#healthy = true;
+                failures = 0;
+            } catch (error) {
+                if (error.permanent) {
+                    // Retrying would fail the same way and block the following events, it's a gap like a full queue
+                    this.#dropped++;
+                    console.error(`Audit sink ${this.name}: event ${event.id} rejected and dropped, ${error.message}`);
+                    this.#queue.shift();
+                    continue;
+                }
+
+                this.#healthy = false;
+                failures++;
+                console.error(`Audit sink ${this.name}: write of event ${event.id} failed (attempt ${failures}), ${error.message}`);
+                const delay = Math.min(this.retryBaseMs * 2 ** (failures - 1), AuditSink.MAX_BACKOFF_MS);
+                await new Promise((resolve) => setTimeout(resolve, delay));
+            }
+        }
+
+        this.#draining = false;
+    }
+}
@@ -0,0 +1,66 @@
+import { mkdir, open, rename, rm, stat } from "node:fs/promises";
+import { dirname } from "node:path";
+import { AuditSink } from "./auditSink.js";
+
+/**
+ * Writes the audit events as JSON lines. When the file would exceed maxBytes it's renamed
+ * to <path>.1 (the older ones shift to .2, .3, ...) and a new file is started
+ */
+export class FileAuditSink extends AuditSink {
+    #handle = null;
+    #size = 0;
+
+    /**
+     * @param {object} options
+     * @param {string} options.path - File path, e.g. './logs/audit.jsonl'
+     * @param {number} [options.maxBytes=10485760] - Size that triggers a rotation
+     * @param {number} [options.maxFiles=5] - Rotated files kept besides the current one
+     */
+    constructor({ path, maxBytes = 10 * 1024 * 1024, maxFiles = 5, ...options }) {
+        super(options);
+        this.path = path;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+    }
+
+    /**
+     * @param {import('./auditSink.js').AuditEvent} event
+     */
+    async write(event) {
+        const line = JSON.stringify(event) + "\n";
+        const bytes = Buffer.byteLength(line);
+
+        if (this.#handle && this.#size > 0 && this.#size + bytes > this.maxBytes) {
+            await this.#rotate();
+        }
+        if (!this.#handle) {
+            await this.#open();
+        }
+
+        await this.#handle.appendFile(line);
+        this.#size += bytes;
+    }
+
+    async close() {
+        await this.#handle?.close();
+        this.#handle = null;
+    }
+
+    async #open() {
+        await mkdir(dirname(this.path), { recursive: true });
+        this.#handle = await open(this.path, "a", 0o600);
+        this.#size = (await stat(this.path)).size;
+    }
+
+    async #rotate() {
+        await this.close();
+
+        await rm(`${this.path}.${this.maxFiles}`, { force: true });
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            await rename(`${this.path}.${i}`, `${this.path}.${i + 1}`).catch((error) => {
+                if (error.code !== "ENOENT") throw error;
+            });
+        }
+        await rename(this.path, `${this.path}.1`);
+    }
+}
@@ -0,0 +1,104 @@
+import dgram from "node:dgram";
+import net from "node:net";
+import { hostname } from "node:os";
+import { AuditSink } from "./auditSink.js";
+
+/**
+ * Sends the audit events as RFC 5424 syslog messages over UDP or TCP
+ * (TCP with octet-counting framing, RFC 6587). The event fields go both in a structured
+ * data element and, as JSON, in the message
+ */
+export class SyslogAuditSink extends AuditSink {
+    // Facility 13: log audit
+    static FACILITY = 13;
+    // Severity by outcome: informational, warning, notice
+    static SEVERITY = { success: 6, denied: 4, failure: 5 };
+    // SD-ID with the private enterprise number reserved for examples
+    static SD_ID = "audit@32473";
+
+    #socket = null;
+
+    /**
+     * @param {object} options
+     * @param {string} options.host - Syslog server
+     * @param {number} [options.port=514]
+     * @param {'udp'|'tcp'} [options.protocol='udp']
+     * @param {string} [options.appName='secretvault'] - APP-NAME field
+     */
+    constructor({ host, port = 514, protocol = "udp", appName = "secretvault", ...options }) {
+        super(options);
+        this.host = host;
+        this.port = port;
+        this.protocol = protocol;
+        this.appName = appName;
+        this.hostname = hostname();
+    }
+
+    /**
+     * @param {import('./auditSink.js').AuditEvent} event
+     */
+    async write(event) {
+        const message = Buffer.from(this.format(event));
+
+        if (this.protocol === "tcp") {
+            const socket = await this.#connect();
+            const frame = Buffer.concat([Buffer.from(`${message.length} `), message]);
+            await new Promise((resolve, reject) => {
+                socket.write(frame, (error) => (error ? reject(error) : resolve()));
+            });
+            return;
+        }
+
+        this.#socket ??= dgram.createSocket(this.host.includes(":") ? "udp6" : "udp4");
+        await new Promise((resolve, reject) => {
+            this.#socket.send(message, this.port, this.host, (error) => (error ? reject(error) : resolve()));
+        });
+    }
+
+    /**
+     * Formats an event as an RFC 5424 message
+     * @param {import('./auditSink.js').AuditEvent} event
+     * @returns {string}
+     */
+    format(event) {
+        const pri = SyslogAuditSink.FACILITY * 8 + SyslogAuditSink.SEVERITY[event.outcome];
+        const params = Object.entries(event)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([key, value]) => `${key}="${String(value).replace(/["\\\]]/g, "\\$&")}"`)
+            .join(" ");
+
+        return `<${pri}>1 ${event.createdAt} ${this.hostname} ${this.appName} ${process.pid} ${this.#msgId(event.action)} `
+            + `[${SyslogAuditSink.SD_ID} ${params}] ${JSON.stringify(event)}`;
+    }
+
+    async close() {
+        this.#socket?.close?.();
+        this.#socket?.destroy?.();
+        this.#socket = null;
+    }
+
+    /**
+     * @returns {Promise<net.Socket>} The TCP connection, opened again after an error
+     */
+    async #connect() {
+        if (this.#socket && !this.#socket.destroyed) return this.#socket;
+
+        const socket = net.createConnection({ host: this.host, port: this.port });
+        await new Promise((resolve, reject) => {
+            socket.once("connect", resolve);
+            socket.once("error", reject);
+        });
+        // A broken connection is detected by the next write, which reconnects
+        socket.on("error", () => socket.destroy());
+        this.#socket = socket;
+        return socket;
+    }
+
+    /**
+     * @param {string} action
+     * @returns {string} MSGID, printable ASCII up to 32 characters
+     */
+    #msgId(action) {
+        return action.replace(/[^\x21-\x7e]/g, "_").slice(0, 32);
+    }
+}
@@ -0,0 +1,41 @@
+import { AuditSink } from "./auditSink.js";
+
+/**
+ * Posts each audit event as JSON to an HTTP endpoint. Network errors, timeouts, 5xx, 408 and 429
+ * are retried; the other 4xx mean the receiver refuses the event and it's dropped (counted in AuditSink.dropped)
+ */
+export class WebhookAuditSink extends AuditSink {
+    /**
+     * @param {object} options
+     * @param {string} options.url - Endpoint receiving the events
+     * @param {number} [options.timeoutMs=5000] - Time limit of a request
+     * @param {Object<string, string>} [options.headers] - Extra headers, e.g. Authorization
+     */
+    constructor({ url, timeoutMs = 5000, headers = {}, ...options }) {
+        super(options);
+        this.url = url;
+        this.timeoutMs = timeoutMs;
+        this.headers = headers;
+    }
+
+    /**
+     * @param {import('./auditSink.js').AuditEvent} event
+     */
+    async write(event) {
+        const response = await fetch(this.url, {
+            method: "POST",
+            headers: { ...this.headers, "Content-Type": "application/json" },
+            body: JSON.stringify(event),
+            signal: AbortSignal.timeout(this.timeoutMs),
+        });
+        // The body is not used, release the connection
+        await response.body?.cancel();
+
+        if (response.ok) return;
+
+        const error = new Error(`Webhook responded ${response.status}`);
+        error.permanent = response.status >= 400 && response.status < 500
+            && response.status !== 408 && response.status !== 429;
+        throw error;
+    }
+}
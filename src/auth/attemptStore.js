@@ -0,0 +1,328 @@
+import { Op, QueryTypes } from "sequelize";
+import { database } from "../data/database.js";
+import { LoginAttempt } from "../models/loginAttempt.js";
+
+/**
+ * An attempt still in progress after this long was lost (e.g. the process stopped) and no longer counts
+ */
+export const PENDING_TTL_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} AttemptRecord
+ * @property {string} key - 'client:<name>', 'issuer:<iss>' or 'ip:<address>'
+ * @property {number} failures - Consecutive failures in the window
+ * @property {Date|null} lastFailureAt
+ * @property {number} pending - Attempts in progress, not verified yet
+ * @property {Date|null} lastAttemptAt - Start of the last attempt in progress
+ * @property {Date|null} lockedUntil
+ */
+
+/**
+ * @typedef {Object} Backoff
+ * @property {number} freeAttempts - Failures allowed without waiting
+ * @property {number} baseMs - Wait after the first failure beyond the free ones, doubled at each one
+ * @property {number} maxMs - Longest wait
+ */
+
+/**
+ * @typedef {Object} AttemptLimits
+ * @property {number} threshold - Failures that lock the key
+ * @property {Backoff|null} backoff - Wait between attempts, null for none
+ */
+
+/**
+ * @param {number} failures - Failures in the window
+ * @param {Backoff|null} backoff
+ * @returns {number} Milliseconds to wait after the last failure
+ */
+export const backoffDelay = (failures, backoff) => {
+    if (!backoff) return 0;
+    const exponent = failures - backoff.freeAttempts;
+    if (exponent < 0) return 0;
+    return Math.min(backoff.baseMs * 2 ** exponent, backoff.maxMs);
+};
+
+/**
+ * Failures and attempts in progress of a record as seen at a given time
+ * @param {AttemptRecord|null} record
+ * @param {Date} windowStart
+ * @param {Date} now
+ * @returns {{failures: number, pending: number}}
+ */
+export const activeCounts = (record, windowStart, now) => ({
+    failures: record?.lastFailureAt >= windowStart ? record.failures : 0,
+    pending: record?.lastAttemptAt > now - PENDING_TTL_MS ? record.pending : 0,
+});
+
+/**
+ * Failed login attempts kept in the process memory.
+ * Default store, counters are lost on restart and not shared between instances
+ */
+export class MemoryAttemptStore {
+    #records = new Map();
+
+    /**
+     * @param {string} key
+     * @returns {Promise<AttemptRecord|null>}
+     */
+    async get(key) {
+        return this.#records.get(key) ?? null;
+    }
+
+    /**
+     * Starts an attempt if the key is not locked and its backoff is over. Failures are not touched:
+     * once in backoff one attempt at a time is allowed, before that the attempts in progress can't
+     * exceed the failures left before the lockout.
+     * Check and update run without awaiting, so concurrent attempts can't both pass
+     * @param {string} key
+     * @param {Date} windowStart - Older failures are forgotten
+     * @param {AttemptLimits} limits
+     * @returns {Promise<{allowed: boolean, record: AttemptRecord|null}>} The updated record, or the blocking one
+     */
+    async reserve(key, windowStart, { threshold, backoff }) {
+        const now = new Date();
+        const record = this.#records.get(key) ?? null;
+        const { failures, pending } = activeCounts(record, windowStart, now);
+
+        if (record?.lockedUntil > now) {
+            return { allowed: false, record };
+        }
+        if (backoff && failures >= backoff.freeAttempts) {
+            if (pending > 0 || now - record.lastFailureAt < backoffDelay(failures, backoff)) {
+                return { allowed: false, record };
+            }
+        } else if (failures + pending >= threshold) {
+            return { allowed: false, record };
+        }
+
+        const updated = {
+            key,
+            failures: record?.failures ?? 0,
+            lastFailureAt: record?.lastFailureAt ?? null,
+            pending: pending + 1,
+            lastAttemptAt: now,
+            lockedUntil: record?.lockedUntil ?? null,
+        };
+        this.#records.set(key, updated);
+        return { allowed: true, record: updated };
+    }
+
+    /**
+     * Ends an attempt started by reserve() that did not fail
+     * @param {string} key
+     */
+    async release(key) {
+        const record = this.#records.get(key);
+        if (record && record.pending > 0) record.pending--;
+    }
+
+    /**
+     * Ends an attempt started by reserve() as a failure.
+     * The counter restarts if the last failure is older than windowStart
+     * @param {string} key
+     * @param {Date} windowStart
+     * @returns {Promise<AttemptRecord>} The updated record
+     */
+    async fail(key, windowStart) {
+        const now = new Date();
+        const record = this.#records.get(key);
+
+        const updated = {
+            key,
+            failures: record?.lastFailureAt >= windowStart ? record.failures + 1 : 1,
+            lastFailureAt: now,
+            pending: Math.max((record?.pending ?? 0) - 1, 0),
+            lastAttemptAt: record?.lastAttemptAt ?? null,
+            lockedUntil: record?.lockedUntil ?? null,
+        };
+        this.#records.set(key, updated);
+        return updated;
+    }
+
+    /**
+     * @param {string} key
+     * @param {Date} until
+     */
+    async lock(key, until) {
+        const record = this.#records.get(key);
+        if (record) record.lockedUntil = until;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<boolean>} True if there was a record
+     */
+    async reset(key) {
+        return this.#records.delete(key);
+    }
+
+    /**
+     * @param {Date} now
+     * @returns {Promise<AttemptRecord[]>} Records locked after now
+     */
+    async listLocked(now) {
+        return [...this.#records.values()].filter((record) => record.lockedUntil > now);
+    }
+
+    /**
+     * Removes the records with no recent failure, no attempt in progress and no active lock
+     * @param {Date} windowStart
+     * @returns {Promise<number>} Removed records
+     */
+    async purge(windowStart) {
+        const now = new Date();
+        let removed = 0;
+        for (const [key, record] of this.#records) {
+            const { failures, pending } = activeCounts(record, windowStart, now);
+            if (failures === 0 && pending === 0 && !(record.lockedUntil > now)) {
+                this.#records.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+}
+
+// Failures in the window and attempts in progress of the existing row, for the upsert conditions
+const FAILURES_SQL = `(CASE WHEN login_attempt."lastFailureAt" >= :windowStart THEN login_attempt.failures ELSE 0 END)`;
+const PENDING_SQL = `(CASE WHEN login_attempt."lastAttemptAt" > now() - :pendingTtlMs * interval '1 millisecond' THEN login_attempt.pending ELSE 0 END)`;
+
+/**
+ * Failed login attempts kept in the login_attempt table, shared by all the instances
+ */
+export class DatabaseAttemptStore {
+    /**
+     * @param {string} key
+     * @returns {Promise<AttemptRecord|null>}
+     */
+    async get(key) {
+        return await LoginAttempt.findByPk(key, { raw: true });
+    }
+
+    /**
+     * Starts an attempt if the key is not locked and its backoff is over, same rules as
+     * MemoryAttemptStore.reserve(). A single statement: the row lock of the upsert serializes
+     * concurrent attempts
+     * @param {string} key
+     * @param {Date} windowStart - Older failures are forgotten
+     * @param {AttemptLimits} limits
+     * @returns {Promise<{allowed: boolean, record: AttemptRecord|null}>} The updated record, or the blocking one
+     */
+    async reserve(key, windowStart, { threshold, backoff }) {
+        const [record] = await database.query(
+            `INSERT INTO login_attempt ("key", failures, pending, "lastAttemptAt")
+             VALUES (:key, 0, 1, now())
+             ON CONFLICT ("key") DO UPDATE SET
+                pending = ${PENDING_SQL} + 1,
+                "lastAttemptAt" = now()
+             WHERE COALESCE(login_attempt."lockedUntil" <= now(), TRUE)
+               AND CASE WHEN :hasBackoff AND ${FAILURES_SQL} >= :freeAttempts
+                    THEN ${PENDING_SQL} = 0
+                         AND login_attempt."lastFailureAt"
+                             + LEAST(:baseMs * power(2, login_attempt.failures - :freeAttempts), :maxMs) * interval '1 millisecond' <= now()
+                    ELSE ${FAILURES_SQL} + ${PENDING_SQL} < :threshold
+               END
+             RETURNING *`,
+            {
+                replacements: {
+                    key,
+                    windowStart,
+                    threshold,
+                    pendingTtlMs: PENDING_TTL_MS,
+                    hasBackoff: !!backoff,
+                    freeAttempts: backoff?.freeAttempts ?? 0,
+                    baseMs: backoff?.baseMs ?? 0,
+                    maxMs: backoff?.maxMs ?? 0,
+                },
+                type: QueryTypes.SELECT,
+            }
+        );
+
+        // No row: the update was skipped by the condition
+        return record
+            ? { allowed: true, record }
+            : { allowed: false, record: await this.get(key) };
+    }
+
+    /**
+     * Ends an attempt started by reserve() that did not fail
+     * @param {string} key
+     */
+    async release(key) {
+        await database.query(
+            `UPDATE login_attempt SET pending = pending - 1 WHERE "key" = :key AND pending > 0`,
+            { replacements: { key } }
+        );
+    }
+
+    /**
+     * Ends an attempt started by reserve() as a failure, atomically.
+     * The counter restarts if the last failure is older than windowStart
+     * @param {string} key
+     * @param {Date} windowStart
+     * @returns {Promise<AttemptRecord>} The updated record
+     */
+    async fail(key, windowStart) {
+        const [record] = await database.query(
+            `INSERT INTO login_attempt ("key", failures, "lastFailureAt", pending)
+             VALUES (:key, 1, now(), 0)
+             ON CONFLICT ("key") DO UPDATE SET
+                failures = ${FAILURES_SQL} + 1,
+                "lastFailureAt" = now(),
+                pending = GREATEST(login_attempt.pending - 1, 0)
+             RETURNING *`,
+            {
+                replacements: { key, windowStart },
+                type: QueryTypes.SELECT,
+            }
+        );
+        return record;
+    }
+
+    /**
+     * @param {string} key
+     * @param {Date} until
+     */
+    async lock(key, until) {
+        await LoginAttempt.update({ lockedUntil: until }, { where: { key } });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<boolean>} True if there was a record
+     */
+    async reset(key) {
+        const removed = await LoginAttempt.destroy({ where: { key } });
+        return removed > 0;
+    }
+
+    /**
+     * @param {Date} now
+     * @returns {Promise<AttemptRecord[]>} Records locked after now
+     */
+    async listLocked(now) {
+        return await LoginAttempt.findAll({
+            where: { lockedUntil: { [Op.gt]: now } },
+            order: [["lockedUntil", "DESC"]],
+            raw: true,
+        });
+    }
+
+    /**
+     * Removes the records with no recent failure, no attempt in progress and no active lock
+     * @param {Date} windowStart
+     * @returns {Promise<number>} Removed records
+     */
+    async purge(windowStart) {
+        const now = new Date();
+        return await LoginAttempt.destroy({
+            where: {
+                [Op.and]: [
+                    { [Op.or]: [{ lastFailureAt: null }, { lastFailureAt: { [Op.lt]: windowStart } }] },
+                    { [Op.or]: [{ lastAttemptAt: null }, { lastAttemptAt: { [Op.lte]: new Date(now - PENDING_TTL_MS) } }] },
+                    { [Op.or]: [{ lockedUntil: null }, { lockedUntil: { [Op.lte]: now } }] },
+                ],
+            },
+        });
+    }
+}
@@ -1,22 +1,28 @@
-import { SignJWT, jwtVerify } from "jose";
+import { SignJWT, jwtVerify, decodeJwt } from "jose";
 
 export class JWT {
     /**
      * Signs a payload and returns a JWT
      * @param {Object} payload - Data to include in the token
-     * @param {CryptoKey} key - HMAC-SHA256 CryptoKey
-     * @param {number} [expiresIn] - Expiration time in seconds
+     * @param {CryptoKey} key - HMAC-SHA256 key or private key of the algorithm
+     * @param {number|string} [expiresIn] - Expiration time in seconds or as a time span, e.g. '15m'
+     * @param {Object} [options]
+     * @param {'HS256'|'EdDSA'|'ES256'} [options.alg='HS256'] - Signing algorithm
+     * @param {string} [options.kid] - Key id, lets verifiers pick the key during rotations
      * @returns {Promise<string>} The signed JWT
      */
-    static async sign(payload, key, expiresIn) {
-        const signJWT = new SignJWT(payload).setProtectedHeader({
-            alg: "HS256",
-        });
+    static async sign(payload, key, expiresIn, { alg = "HS256", kid } = {}) {
+        const signJWT = new SignJWT(payload).setProtectedHeader(
+            kid ? { alg, kid } : { alg }
+        );
 
-        if (expiresIn) {
+        // Numeric strings (e.g. from env) are seconds too
+        if (/^\d+$/.test(String(expiresIn))) {
             signJWT.setExpirationTime(
-                Math.floor(Date.now() / 1000) + expiresIn
+                Math.floor(Date.now() / 1000) + Number(expiresIn)
             );
+        } else if (expiresIn) {
+            signJWT.setExpirationTime(expiresIn);
         }
 
         return await signJWT.sign(key);
@@ -25,15 +31,32 @@ export class JWT {
     /**
      * Verifies a JWT and returns the validation result
      * @param {string} token - JWT to verify
-     * @param {CryptoKey} key - HMAC-SHA256 CryptoKey
+     * @param {CryptoKey|((header: JWSHeaderParameters) => Promise<CryptoKey>)} key - Verification key or resolver by header (kid)
+     * @param {Object} [options]
+     * @param {string[]} [options.algorithms] - Accepted algorithms, others are rejected
+     * @param {string} [options.issuer] - Required iss claim
+     * @param {string|string[]} [options.audience] - Required aud claim (one of)
      * @returns {Promise<{isValid: boolean, payload?: JWTPayload}>} Verification result
      */
-    static async verify(token, key) {
+    static async verify(token, key, { algorithms, issuer, audience } = {}) {
         try {
-            const { payload } = await jwtVerify(token, key);
+            const { payload } = await jwtVerify(token, key, { algorithms, issuer, audience });
             return { isValid: true, payload };
         } catch (error) {
             return { isValid: false };
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Reads the payload of a JWT without verifying it
+     * @param {string} token - JWT to decode
+     * @returns {JWTPayload|null} The payload, null if the token is malformed
+     */
+    static decode(token) {
+        try {
+            return decodeJwt(token);
+        } catch (error) {
+            return null;
+        }
+    }
+}
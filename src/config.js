@@ -9,14 +9,63 @@ export class Config {
     static KEK = null;
     // Server
     static PORT = process.env.PORT || 3000;
+    // HTTPS (PEM file paths), with TLS_CLIENT_CA client certificates are verified and accepted by Authorize
+    static TLS_CERT = process.env.TLS_CERT || null;
+    static TLS_KEY = process.env.TLS_KEY || null;
+    static TLS_CLIENT_CA = process.env.TLS_CLIENT_CA || null;
+    // Express 'trust proxy': needed behind a reverse proxy for the real client IP (e.g. 1, 'loopback')
+    static TRUST_PROXY = /^\d+$/.test(process.env.TRUST_PROXY ?? '') ? Number(process.env.TRUST_PROXY) : (process.env.TRUST_PROXY || false);
     // Database
     static DB_HOST = process.env.DB_HOST;
     static DB_NAME = process.env.DB_NAME;
     static DB_USER = process.env.DB_USER;
     static DB_PASSWORD = process.env.DB_PASSWORD;
     // Auth
-    static JWT_SIGN_KEY = null;
-    static JWT_LIFETIME = process.env.JWT_LIFETIME;
+    static JWT_ALG = process.env.JWT_ALG || 'EdDSA'; // 'EdDSA' | 'ES256' | 'HS256' (shared key, no JWKS)
+    static JWT_SIGN_KEY = null; // only with HS256
+    static JWT_KEY_GRACE_HOURS = Number(process.env.JWT_KEY_GRACE_HOURS || 24); // must exceed the access token lifetime
+    static JWT_LIFETIME = process.env.JWT_LIFETIME || '15m'; // access token, seconds or time span
+    static REFRESH_TOKEN_LIFETIME_DAYS = Number(process.env.REFRESH_TOKEN_LIFETIME_DAYS || 30);
+    // Client secrets
+    static CLIENT_SECRET_LIFETIME_DAYS = Number(process.env.CLIENT_SECRET_LIFETIME_DAYS || 0); // 0 = no expiry
+    static CLIENT_SECRET_GRACE_HOURS = Number(process.env.CLIENT_SECRET_GRACE_HOURS || 24); // old secret after a rotation
+    static CLIENT_SECRET_WARNING_DAYS = Number(process.env.CLIENT_SECRET_WARNING_DAYS || 14);
+    // Workload identity: JSON file with the trusted issuers of externally signed JWTs, see WorkloadIdentityService
+    static WORKLOAD_ISSUERS_FILE = process.env.WORKLOAD_ISSUERS_FILE || null;
+    // API keys
+    static API_KEY_LIFETIME_DAYS = Number(process.env.API_KEY_LIFETIME_DAYS || 90); // default expiry, 0 = no expiry
+    // Login throttling
+    static LOGIN_ATTEMPT_STORE = process.env.LOGIN_ATTEMPT_STORE || 'memory'; // 'memory' | 'database' (multi-instance)
+    static LOGIN_ATTEMPT_WINDOW_MINUTES = Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES || 15);
+    static LOGIN_BACKOFF_FREE_ATTEMPTS = Number(process.env.LOGIN_BACKOFF_FREE_ATTEMPTS || 3);
+    static LOGIN_BACKOFF_BASE_MS = Number(process.env.LOGIN_BACKOFF_BASE_MS || 1000);
+    static LOGIN_BACKOFF_MAX_MS = Number(process.env.LOGIN_BACKOFF_MAX_MS || 60 * 1000);
+    static LOGIN_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD || 10); // per client name
+    static LOGIN_IP_LOCKOUT_THRESHOLD = Number(process.env.LOGIN_IP_LOCKOUT_THRESHOLD || 50); // per IP
+    static LOGIN_LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES || 15);
+    // One-time token to create the first administrator, generated at startup if not set
+    static BOOTSTRAP_TOKEN = process.env.BOOTSTRAP_TOKEN || null;
+    // Secrets
+    static BINARY_SECRET_LIMIT = process.env.BINARY_SECRET_LIMIT || '1mb';
+    static STREAM_SECRET_LIMIT = Number(process.env.STREAM_SECRET_LIMIT || 512 * 1024 * 1024); // bytes
+    static STALE_SECRET_DAYS = Number(process.env.STALE_SECRET_DAYS || 90); // default of the stale secrets report
+    // Trash
+    static TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+    // Expired secrets: 'trash' moves them to the trash, 'delete' removes them permanently
+    static EXPIRED_SECRETS_ACTION = process.env.EXPIRED_SECRETS_ACTION || 'trash';
+    // Audit: besides the database, events are forwarded to the listed sinks ('file', 'syslog', 'webhook')
+    static AUDIT_SINKS = (process.env.AUDIT_SINKS || '').split(',').map(sink => sink.trim()).filter(Boolean);
+    static AUDIT_FILE_PATH = process.env.AUDIT_FILE_PATH || './logs/audit.jsonl';
+    static AUDIT_FILE_MAX_BYTES = Number(process.env.AUDIT_FILE_MAX_BYTES || 10 * 1024 * 1024);
+    static AUDIT_FILE_MAX_FILES = Number(process.env.AUDIT_FILE_MAX_FILES || 5);
+    static AUDIT_SYSLOG_HOST = process.env.AUDIT_SYSLOG_HOST || 'localhost';
+    static AUDIT_SYSLOG_PORT = Number(process.env.AUDIT_SYSLOG_PORT || 514);
+    static AUDIT_SYSLOG_PROTOCOL = process.env.AUDIT_SYSLOG_PROTOCOL || 'udp'; // 'udp' | 'tcp'
+    static AUDIT_SYSLOG_APP_NAME = process.env.AUDIT_SYSLOG_APP_NAME || 'secretvault';
+    static AUDIT_WEBHOOK_URL = process.env.AUDIT_WEBHOOK_URL || null;
+    static AUDIT_WEBHOOK_TIMEOUT_MS = Number(process.env.AUDIT_WEBHOOK_TIMEOUT_MS || 5000);
+    // Secret reads are refused (503) while the audit log or a sink is failing
+    static AUDIT_FAIL_CLOSED = process.env.AUDIT_FAIL_CLOSED == 'true';
     // Google KMS
     static KMS = {
         ...kmsConfig,
@@ -33,15 +82,18 @@ export class Config {
             this.KEK = await AES256GCM.importKey(HexEncoder.decode(process.env.KEK));
         }
         // ---
-        this.JWT_SIGN_KEY = await crypto.subtle.importKey(
-            "raw",
-            HexEncoder.decode(process.env.JWT_SIGN_KEY),
-            {
-                name: "HMAC",
-                hash: "SHA-256",
-            },
-            false,
-            ["sign", "verify"]
-        );
+        // Con EdDSA/ES256 le chiavi di firma sono gestite da SigningKeyService
+        if (this.JWT_ALG === 'HS256') {
+            this.JWT_SIGN_KEY = await crypto.subtle.importKey(
+                "raw",
+                HexEncoder.decode(process.env.JWT_SIGN_KEY),
+                {
+                    name: "HMAC",
+                    hash: "SHA-256",
+                },
+                false,
+                ["sign", "verify"]
+            );
+        }
     }
 }
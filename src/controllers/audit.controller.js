@@ -0,0 +1,77 @@
+import { asyncHandler } from "../helpers/asyncHandler.js";
+import { AuditService } from "../services/audit.service.js";
+import { Validator } from "../validator/validator.js";
+
+export class AuditController {
+    constructor() {
+        this.service = new AuditService();
+    }
+
+    /**
+     * Lists the audit log entries, newest first (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.query - Query params
+     * @param {string} [req.query.clientId] - Only the operations of a client
+     * @param {string} [req.query.action] - Exact action or prefix ending with '*', e.g. 'secret.*'
+     * @param {string} [req.query.target] - Path, name or id
+     * @param {string} [req.query.outcome] - 'success', 'denied' or 'failure'
+     * @param {string} [req.query.from] - Created at or after (ISO string)
+     * @param {string} [req.query.to] - Created before (ISO string)
+     * @param {number} [req.query.limit=50]
+     * @param {number} [req.query.offset=0]
+     * @param {Object} res - Express response
+     */
+    list = asyncHandler(async (req, res) => {
+        Validator.of(req.query.clientId, "clientId").optional().uuid();
+        Validator.of(req.query.action, "action").optional().string().max(100);
+        Validator.of(req.query.target, "target").optional().string().max(1000);
+        Validator.of(req.query.outcome, "outcome")
+            .optional()
+            .custom((v) => AuditService.OUTCOMES.includes(v), `outcome must be one of: ${AuditService.OUTCOMES.join(", ")}`);
+        Validator.of(req.query.from, "from").optional().date();
+        Validator.of(req.query.to, "to").optional().date();
+        Validator.of(req.query.limit, "limit").optional().number().min(1).max(500);
+        Validator.of(req.query.offset, "offset").optional().number().min(0);
+
+        const { clientId, action, target, outcome, from, to } = req.query;
+        const { count, rows } = await this.service.list({
+            clientId,
+            action,
+            target,
+            outcome,
+            from,
+            to,
+            limit: req.query.limit ? Number(req.query.limit) : undefined,
+            offset: req.query.offset ? Number(req.query.offset) : undefined,
+        });
+        res.status(200).json({ count, entries: rows });
+    });
+
+    /**
+     * Recomputes the hash chain and reports the first broken entry (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    verify = asyncHandler(async (req, res) => {
+        const result = await this.service.verify();
+        res.status(200).json(result);
+    });
+
+    /**
+     * Reports the state of the audit sinks: failing writes, queued and dropped events (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    sinks = asyncHandler(async (req, res) => {
+        res.status(200).json(this.service.sinks());
+    });
+
+    /**
+     * Acknowledges the events dropped by the sinks, so fail-closed reads are served again (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    acknowledgeSinkDrops = asyncHandler(async (req, res) => {
+        res.status(200).json(this.service.acknowledgeSinkDrops());
+    });
+}
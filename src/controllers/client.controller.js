@@ -1,5 +1,12 @@
 import { asyncHandler } from "../helpers/asyncHandler.js";
 import { ClientService } from "../services/client.service.js";
+import { TokenService } from "../services/token.service.js";
+import { LoginThrottleService } from "../services/loginThrottle.service.js";
+import { RoleService } from "../services/role.service.js";
+import { ClientCertificateService } from "../services/clientCertificate.service.js";
+import { ApiKeyService } from "../services/apiKey.service.js";
+import { WorkloadIdentityService } from "../services/workloadIdentity.service.js";
+import { PolicyValidator } from "../validator/policy.validator.js";
 import { ServerError } from "../helpers/serverError.js";
 import { Validator } from "../validator/validator.js";
 import { Config } from "../config.js";
@@ -7,15 +14,23 @@ import { Config } from "../config.js";
 export class ClientController {
     constructor() {
         this.service = new ClientService();
+        this.tokenService = new TokenService();
+        this.loginThrottle = new LoginThrottleService();
+        this.certificates = new ClientCertificateService();
+        this.apiKeys = new ApiKeyService();
+        this.workloadIdentities = new WorkloadIdentityService();
     }
     /**
-     * Registers a new API client
+     * Registers a new API client (admin or 'clients:register' permission),
+     * only roles and permissions held by the caller can be granted
      * @param {Object} req - Express request
+     * @param {Object} req.client - Authenticated client info from middleware
      * @param {Object} req.body - Request body
      * @param {string} req.body.name - Client name
      * @param {string} req.body.secret - Client secret
      * @param {string[]} [req.body.roles] - Client roles
      * @param {string[]} [req.body.permissions] - Client permissions
+     * @param {string} [req.body.expiresAt] - Secret expiry (ISO string or timestamp), null = never
      * @param {Object} res - Express response
      */
     register = asyncHandler(async (req, res) => {
@@ -25,14 +40,19 @@ export class ClientController {
         Validator.of(req.body.roles, "roles")
             .optional()
             .array({ max: 10, unique: true })
-            .each((v) => v.string().min(1).max(20));
+            .each((v) => v.string().min(1).max(50));
 
         Validator.of(req.body.permissions, "permissions")
             .optional()
-            .array({ max: 10, unique: true  })
-            .each((v) => v.string().min(1).max(20));
+            .array({ max: 50, unique: true  })
+            .each((v) => v.string().min(1).max(100));
+
+        Validator.of(req.body.expiresAt, "expiresAt")
+            .optional()
+            .date()
+            .custom((v) => new Date(v) > new Date(), "expiresAt must be in the future");
 
-        const { name, secret, roles, permissions } = req.body;
+        const { name, secret, roles, permissions, expiresAt } = req.body;
 
         if (!name || !secret) {
             throw new ServerError("Name and secret are required", 400);
@@ -42,54 +62,229 @@ export class ClientController {
             name,
             secret,
             roles,
-            permissions
+            permissions,
+            { grantor: req.client, expiresAt }
         );
+        const access = await this.service.getAccess(client.id);
 
         res.status(201).json({
             id: client.id,
             name: client.name,
             createdAt: client.createdAt,
-            roles: client.roles.split(",").filter((r) => r),
-            permissions: client.permissions.split(",").filter((p) => p),
+            expiresAt: client.secretExpiresAt,
+            roles: access.roles,
+            permissions: access.permissions,
         });
     });
 
     /**
-     * Authenticates a client and returns a JWT
+     * Creates the first administrator with the one-time bootstrap token
      * @param {Object} req - Express request
      * @param {Object} req.body - Request body
-     * @param {string} req.body.name - Client name
-     * @param {string} req.body.secret - Client secret
+     * @param {string} req.body.token - Bootstrap token printed at startup or set in BOOTSTRAP_TOKEN
+     * @param {string} req.body.name - Administrator name
+     * @param {string} req.body.secret - Administrator secret
      * @param {Object} res - Express response
      */
-    login = asyncHandler(async (req, res) => {
+    bootstrap = asyncHandler(async (req, res) => {
+        Validator.of(req.body.token, "token").string().max(200);
         Validator.of(req.body.name, "name").string().max(100);
-        Validator.of(req.body.secret, "secret").string().max(100);
+        Validator.of(req.body.secret, "secret").string().min(12).max(100);
 
-        const { name, secret } = req.body;
+        const { token, name, secret } = req.body;
 
-        if (!name || !secret) {
-            throw new ServerError("Client ID and secret are required", 400);
+        const client = await this.service.bootstrapAdmin(token, name, secret);
+        const access = await this.service.getAccess(client.id);
+
+        res.status(201).json({
+            id: client.id,
+            name: client.name,
+            createdAt: client.createdAt,
+            roles: access.roles,
+            permissions: access.permissions,
+        });
+    });
+
+    /**
+     * Authenticates a client and returns a JWT, with name and secret
+     * or with a workload token signed by a configured issuer
+     * @param {Object} req - Express request
+     * @param {Object} req.body - Request body
+     * @param {string} [req.body.name] - Client name
+     * @param {string} [req.body.secret] - Client secret
+     * @param {string} [req.body.assertion] - Workload JWT, alternative to name and secret
+     * @param {Object} res - Express response
+     */
+    login = asyncHandler(async (req, res) => {
+        let session;
+
+        if (req.body.assertion !== undefined) {
+            Validator.of(req.body.assertion, "assertion").string().min(1).max(8192);
+
+            session = await this.service.authenticateWorkload(req.body.assertion, req.ip);
+        } else {
+            Validator.of(req.body.name, "name").string().max(100);
+            Validator.of(req.body.secret, "secret").string().max(100);
+
+            const { name, secret } = req.body;
+
+            if (!name || !secret) {
+                throw new ServerError("Client ID and secret are required", 400);
+            }
+
+            session = await this.service.authenticate(name, secret, req.ip);
         }
 
-        const { token, client } = await this.service.authenticate(
-            name,
-            secret
-        );
+        const { token, refreshToken, refreshExpiresAt, client } = session;
 
         res.status(200).json({
             token,
+            refreshToken,
+            refreshExpiresAt,
             client: {
                 id: client.id,
                 name: client.name,
-                roles: client.roles.split(",").filter((r) => r),
-                permissions: client.permissions.split(",").filter((p) => p),
+                roles: client.roles,
+                permissions: client.permissions,
                 createdAt: client.createdAt,
             },
             expiresIn: Config.JWT_LIFETIME,
         });
     });
 
+    /**
+     * Rotates a refresh token and returns a new access and refresh token.
+     * Reusing an already rotated refresh token revokes the whole session
+     * @param {Object} req - Express request
+     * @param {Object} req.body - Request body
+     * @param {string} req.body.refreshToken - Refresh token from login or from the previous refresh
+     * @param {Object} res - Express response
+     */
+    refresh = asyncHandler(async (req, res) => {
+        Validator.of(req.body.refreshToken, "refreshToken").string().max(200);
+
+        const { token, refreshToken, refreshExpiresAt } = await this.tokenService.refresh(
+            req.body.refreshToken
+        );
+
+        res.status(200).json({
+            token,
+            refreshToken,
+            refreshExpiresAt,
+            expiresIn: Config.JWT_LIFETIME,
+        });
+    });
+
+    /**
+     * Logs out: revokes the access token used for the call and its refresh token family
+     * @param {Object} req - Express request
+     * @param {Object} req.auth - Token info from middleware
+     * @param {Object} res - Express response
+     */
+    logout = asyncHandler(async (req, res) => {
+        if (req.auth.method !== "bearer") {
+            throw new ServerError("Logout requires a bearer token", 400);
+        }
+
+        await this.tokenService.logout(req.auth);
+        res.status(204).end();
+    });
+
+    /**
+     * Revokes a single access token, or a refresh token with its family.
+     * Clients can revoke their own tokens, admins any token
+     * @param {Object} req - Express request
+     * @param {Object} req.body - Request body
+     * @param {string} req.body.token - Access or refresh token to revoke
+     * @param {Object} res - Express response
+     */
+    revokeToken = asyncHandler(async (req, res) => {
+        Validator.of(req.body.token, "token").string().max(4096);
+
+        await this.tokenService.revoke(req.body.token, req.client);
+        res.status(204).end();
+    });
+
+    /**
+     * Issues a new random secret for a client, the old one stays valid for the grace period.
+     * Clients can rotate their own secret, admins any secret
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID
+     * @param {Object} req.body - Request body
+     * @param {number} [req.body.gracePeriodHours] - Validity of the old secret, 0 = revoked now
+     * @param {string} [req.body.expiresAt] - Expiry of the new secret (ISO string or timestamp), null = never
+     * @param {Object} res - Express response
+     */
+    rotateSecret = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+        Validator.of(req.body.gracePeriodHours, "gracePeriodHours")
+            .optional()
+            .number()
+            .min(0)
+            .max(24 * 30);
+        Validator.of(req.body.expiresAt, "expiresAt")
+            .optional()
+            .date()
+            .custom((v) => new Date(v) > new Date(), "expiresAt must be in the future");
+
+        const rotation = await this.service.rotateSecret(req.params.clientId, req.client, {
+            gracePeriodHours: req.body.gracePeriodHours,
+            expiresAt: req.body.expiresAt,
+        });
+
+        res.status(200).json(rotation);
+    });
+
+    /**
+     * Lists the client names and IPs currently locked after too many failed logins (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    listLockouts = asyncHandler(async (req, res) => {
+        const locks = await this.loginThrottle.listLocked();
+        res.status(200).json(locks);
+    });
+
+    /**
+     * Lists lock and unlock events, newest first (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.query - Query params
+     * @param {string} [req.query.key] - Only the events of 'client:<name>', 'issuer:<iss>' or 'ip:<address>'
+     * @param {number} [req.query.limit=50]
+     * @param {number} [req.query.offset=0]
+     * @param {Object} res - Express response
+     */
+    listLockoutEvents = asyncHandler(async (req, res) => {
+        Validator.of(req.query.key, "key").optional().string().max(200);
+        Validator.of(req.query.limit, "limit").optional().number().min(1).max(500);
+        Validator.of(req.query.offset, "offset").optional().number().min(0);
+
+        const { count, rows } = await this.loginThrottle.listEvents({
+            key: req.query.key,
+            limit: req.query.limit ? Number(req.query.limit) : undefined,
+            offset: req.query.offset ? Number(req.query.offset) : undefined,
+        });
+        res.status(200).json({ count, events: rows });
+    });
+
+    /**
+     * Removes a login lock and its failure counter (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.key - 'client:<name>', 'issuer:<iss>' or 'ip:<address>' (URL encoded)
+     * @param {Object} res - Express response
+     */
+    unlock = asyncHandler(async (req, res) => {
+        Validator.of(req.params.key, "key")
+            .string()
+            .max(200)
+            .regex(/^(client|issuer|ip):.+$/, "key must be 'client:<name>', 'issuer:<iss>' or 'ip:<address>'");
+
+        await this.loginThrottle.unlock(req.params.key, req.client.id);
+        res.status(204).end();
+    });
+
     /**
      * Revokes a client (admin only)
      * @param {Object} req - Express request
@@ -98,11 +293,11 @@ export class ClientController {
      * @param {Object} res - Express response
      */
     revoke = asyncHandler(async (req, res) => {
-        Validator.of(req.body.clientId, "clientId").uuid();
+        Validator.of(req.params.clientId, "clientId").uuid();
 
         const { clientId } = req.params;
 
-        const isRevoked = await this.service.revokeClient(clientId);
+        const isRevoked = await this.service.revokeClient(clientId, req.client);
 
         if (!isRevoked) {
             throw new ServerError("Client not found", 404);
@@ -112,28 +307,347 @@ export class ClientController {
     });
 
     /**
-     * Gets client info (requires valid token)
+     * Re-enables a revoked client (admin only)
      * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID to reactivate
+     * @param {Object} res - Express response
+     */
+    reactivate = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+
+        const isReactivated = await this.service.reactivateClient(req.params.clientId);
+
+        if (!isReactivated) {
+            throw new ServerError("Client not found", 404);
+        }
+
+        res.status(204).end();
+    });
+
+    /**
+     * Permanently deletes a client with its tokens and policies (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID to delete
+     * @param {Object} res - Express response
+     */
+    delete = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+
+        await this.service.deleteClient(req.params.clientId, req.client);
+        res.status(204).end();
+    });
+
+    /**
+     * Lists the clients (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.query - Query params
+     * @param {string} [req.query.search] - Part of the name
+     * @param {string} [req.query.isActive] - 'true' or 'false'
+     * @param {number} [req.query.limit=50]
+     * @param {number} [req.query.offset=0]
+     * @param {Object} res - Express response
+     */
+    list = asyncHandler(async (req, res) => {
+        Validator.of(req.query.search, "search").optional().string().max(100);
+        Validator.of(req.query.isActive, "isActive")
+            .optional()
+            .regex(/^(true|false)$/, "isActive must be 'true' or 'false'");
+        Validator.of(req.query.limit, "limit").optional().number().min(1).max(500);
+        Validator.of(req.query.offset, "offset").optional().number().min(0);
+
+        const result = await this.service.listClients({
+            search: req.query.search,
+            isActive: req.query.isActive === undefined ? undefined : req.query.isActive === "true",
+            limit: req.query.limit ? Number(req.query.limit) : undefined,
+            offset: req.query.offset ? Number(req.query.offset) : undefined,
+        });
+        res.status(200).json(result);
+    });
+
+    /**
+     * Updates name, roles and/or direct permissions of a client (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID
+     * @param {Object} req.body - Request body
+     * @param {string} [req.body.name] - New name
+     * @param {string[]} [req.body.roles] - Role names, replace the current ones
+     * @param {string[]} [req.body.permissions] - Permission names, replace the current ones
+     * @param {Object} res - Express response
+     */
+    update = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+        Validator.of(req.body.name, "name").optional().string().min(1).max(100);
+        Validator.of(req.body.roles, "roles")
+            .optional()
+            .array({ max: 10, unique: true })
+            .each((v) => v.string().min(1).max(50));
+        Validator.of(req.body.permissions, "permissions")
+            .optional()
+            .array({ max: 50, unique: true })
+            .each((v) => v.string().min(1).max(100));
+
+        const { name, roles, permissions } = req.body;
+
+        const client = await this.service.updateClient(
+            req.params.clientId,
+            { name, roles, permissions },
+            req.client
+        );
+        res.status(200).json(client);
+    });
+
+    /**
+     * Gets the info of the authenticated client
+     * @param {Object} req - Express request
+     * @param {Object} req.client - Authenticated client info from middleware
+     * @param {Object} res - Express response
+     */
+    me = asyncHandler(async (req, res) => {
+        const client = await this.service.getClientById(req.client.id);
+        res.status(200).json(
+            this.service.describe(client, { roles: req.client.roles, permissions: req.client.permissions })
+        );
+    });
+
+    /**
+     * Gets client info, of itself or of any client for admins
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID
      * @param {Object} req.client - Authenticated client info from middleware
      * @param {Object} res - Express response
      */
     getClientInfo = asyncHandler(async (req, res) => {
         Validator.of(req.params.clientId, "clientId").uuid();
 
-        const client = await this.service.getClientById(req.body.clientId);
+        if (req.params.clientId !== req.client.id && !req.client.roles.includes(RoleService.ADMIN_ROLE)) {
+            throw new ServerError("Clients can only read their own info", 403);
+        }
+
+        const client = await this.service.getClientById(req.params.clientId);
 
         if (!client) {
             throw new ServerError("Client not found", 404);
         }
 
-        res.status(200).json({
-            id: client.id,
-            name: client.name,
-            isActive: client.isActive,
-            roles: client.roles.split(",").filter((r) => r),
-            permissions: client.permissions.split(",").filter((p) => p),
-            createdAt: client.createdAt,
-            lastUsedAt: client.lastUsedAt,
-        });
+        const access = await this.service.getAccess(client.id);
+
+        res.status(200).json(this.service.describe(client, access));
+    });
+
+    /**
+     * Lists the certificate identities that authenticate a client over mTLS (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID
+     * @param {Object} res - Express response
+     */
+    listCertificates = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+
+        const certificates = await this.certificates.list(req.params.clientId);
+        res.status(200).json(certificates);
+    });
+
+    /**
+     * Binds a certificate subject CN or SAN to a client (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID
+     * @param {Object} req.body - Request body
+     * @param {'cn'|'dns'|'uri'|'email'|'ip'} req.body.type - Certificate field
+     * @param {string} req.body.value - Expected value, e.g. 'spiffe://corp/payments'
+     * @param {Object} res - Express response
+     */
+    addCertificate = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+        Validator.of(req.body.type, "type")
+            .string()
+            .custom((v) => ClientCertificateService.TYPES.includes(v), `type must be one of: ${ClientCertificateService.TYPES.join(", ")}`);
+        Validator.of(req.body.value, "value").string().min(1).max(500);
+
+        const certificate = await this.certificates.add(req.params.clientId, req.body.type, req.body.value);
+        res.status(201).json(certificate);
+    });
+
+    /**
+     * Removes a certificate identity from a client (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID
+     * @param {string} req.params.id - Binding ID
+     * @param {Object} res - Express response
+     */
+    removeCertificate = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+        Validator.of(req.params.id, "id").uuid();
+
+        await this.certificates.remove(req.params.clientId, req.params.id);
+        res.status(204).end();
+    });
+
+    /**
+     * Lists the workload identities that can log in as a client (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID
+     * @param {Object} res - Express response
+     */
+    listWorkloadIdentities = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+
+        const identities = await this.workloadIdentities.list(req.params.clientId);
+        res.status(200).json(identities);
+    });
+
+    /**
+     * Binds the subject of a workload token to a client (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID
+     * @param {Object} req.body - Request body
+     * @param {string} req.body.issuer - Configured issuer, e.g. 'https://kubernetes.default.svc'
+     * @param {string} req.body.subject - Subject claim, e.g. 'system:serviceaccount:ci:deployer'
+     * @param {Object} res - Express response
+     */
+    addWorkloadIdentity = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+        Validator.of(req.body.issuer, "issuer").string().min(1).max(500);
+        Validator.of(req.body.subject, "subject").string().min(1).max(500);
+
+        const identity = await this.workloadIdentities.add(req.params.clientId, req.body.issuer, req.body.subject);
+        res.status(201).json(identity);
+    });
+
+    /**
+     * Removes a workload identity from a client (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID
+     * @param {string} req.params.id - Binding ID
+     * @param {Object} res - Express response
+     */
+    removeWorkloadIdentity = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+        Validator.of(req.params.id, "id").uuid();
+
+        await this.workloadIdentities.remove(req.params.clientId, req.params.id);
+        res.status(204).end();
+    });
+
+    /**
+     * Lists the API keys of a client (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID
+     * @param {Object} res - Express response
+     */
+    listApiKeys = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+
+        const keys = await this.apiKeys.list(req.params.clientId);
+        res.status(200).json(keys);
+    });
+
+    /**
+     * Issues an API key for a client (admin only), the key is shown only in this response
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID
+     * @param {Object} req.body - Request body
+     * @param {string} req.body.name - Description, e.g. 'ci-deploy'
+     * @param {string[]} [req.body.permissions] - Subset of the client's permissions
+     * @param {string[]} [req.body.folders] - Path globs the key can reach, e.g. '/ci/**'
+     * @param {string|null} [req.body.expiresAt] - Expiry (ISO string or timestamp), null = never
+     * @param {Object} res - Express response
+     */
+    issueApiKey = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+        Validator.of(req.body.name, "name").string().min(1).max(100);
+
+        Validator.of(req.body.permissions, "permissions")
+            .optional()
+            .array({ max: 50, unique: true })
+            .each((v) => v.string().min(1).max(100));
+
+        Validator.of(req.body.folders, "folders")
+            .optional()
+            .array({ max: 50, unique: true })
+            .each((v) => PolicyValidator.path(v.value));
+
+        Validator.of(req.body.expiresAt, "expiresAt")
+            .optional()
+            .date()
+            .custom((v) => new Date(v) > new Date(), "expiresAt must be in the future");
+
+        const { name, permissions, folders, expiresAt } = req.body;
+        const { key, apiKey } = await this.apiKeys.issue(
+            req.params.clientId,
+            { name, permissions, folders, expiresAt },
+            req.client.id
+        );
+
+        res.status(201).json({ ...apiKey, key });
+    });
+
+    /**
+     * Revokes an API key (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID
+     * @param {string} req.params.id - API key ID
+     * @param {Object} res - Express response
+     */
+    revokeApiKey = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+        Validator.of(req.params.id, "id").uuid();
+
+        await this.apiKeys.revoke(req.params.clientId, req.params.id);
+        res.status(204).end();
+    });
+
+    /**
+     * Replaces the roles of a client (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID
+     * @param {Object} req.body - Request body
+     * @param {string[]} req.body.roles - Role names
+     * @param {Object} res - Express response
+     */
+    setRoles = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+        Validator.of(req.body.roles, "roles")
+            .array({ max: 10, unique: true })
+            .each((v) => v.string().min(1).max(50));
+
+        const access = await this.service.setAccess(req.params.clientId, {
+            roles: req.body.roles,
+        }, req.client);
+        res.status(200).json(access);
+    });
+
+    /**
+     * Replaces the permissions granted directly to a client (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request params
+     * @param {string} req.params.clientId - Client ID
+     * @param {Object} req.body - Request body
+     * @param {string[]} req.body.permissions - Permission names
+     * @param {Object} res - Express response
+     */
+    setPermissions = asyncHandler(async (req, res) => {
+        Validator.of(req.params.clientId, "clientId").uuid();
+        Validator.of(req.body.permissions, "permissions")
+            .array({ max: 50, unique: true })
+            .each((v) => v.string().min(1).max(100));
+
+        const access = await this.service.setAccess(req.params.clientId, {
+            permissions: req.body.permissions,
+        }, req.client);
+        res.status(200).json(access);
     });
-}
+}
\ No newline at end of file
@@ -126,7 +126,7 @@ export class DEKController {
     });
 
     /**
-     * Rotates all DEKs to use a new KEK
+     * Rotates all DEKs and the JWT signing keys to use a new KEK
      * @param {Object} req - Express request
      * @param {string} req.body.newKekId - New KEK identifier
      * @param {string} [req.body.oldKekId] - Optional old KEK identifier to filter
@@ -144,7 +144,7 @@ export class DEKController {
             .min(1)
             .max(100);
 
-        const { dekRotation } = await KeyManagementService.rotateToNewKek(
+        const { dekRotation, signingKeyRotation } = await KeyManagementService.rotateToNewKek(
             req.body.newKekId,
             req.body.oldKekId
         );
@@ -159,6 +159,14 @@ export class DEKController {
             ...(dekRotation.failures.length > 0 && {
                 failures: dekRotation.failures,
             }),
+            signingKeys: {
+                total: signingKeyRotation.total,
+                success: signingKeyRotation.success,
+                failures: signingKeyRotation.failures.length,
+            },
+            ...(signingKeyRotation.failures.length > 0 && {
+                signingKeyFailures: signingKeyRotation.failures,
+            }),
         });
     });
 }
@@ -1,11 +1,15 @@
 import { asyncHandler } from "../helpers/asyncHandler.js";
 import { FolderService } from "../services/folder.service.js";
+import { SecretService } from "../services/secret.service.js";
+import { PolicyService } from "../services/policy.service.js";
 import { ServerError } from "../helpers/serverError.js";
 import { Validator } from "../validator/validator.js";
 
 export class FolderController {
     constructor() {
-        this.service = new FolderService();
+        this.secretService = new SecretService();
+        this.service = new FolderService({ secretService: this.secretService });
+        this.policy = new PolicyService();
     }
 
     /**
@@ -21,7 +25,8 @@ export class FolderController {
             .optional()
             .string()
             .max(100)
-            .nonEmpty();
+            .nonEmpty()
+            .forbiddenChars('/');
 
         Validator.of(req.body.parentId, "parentId")
             .optional()
@@ -29,6 +34,8 @@ export class FolderController {
 
         const { name = 'New Folder', parentId = null } = req.body;
 
+        await this.policy.authorize(req.client, "create", await this.service.pathOf(parentId, name));
+
         const folder = await this.service.create(name, parentId);
         res.status(201).json({ id: folder.id, name: folder.name });
     });
@@ -44,6 +51,8 @@ export class FolderController {
         Validator.of(req.params.id, "id")
             .uuid();
 
+        await this.policy.authorize(req.client, "read", await this.service.pathOf(req.params.id));
+
         const folder = await this.service.get(req.params.id);
         res.json(folder);
     });
@@ -66,7 +75,8 @@ export class FolderController {
             .optional()
             .string()
             .max(100)
-            .nonEmpty();
+            .nonEmpty()
+            .forbiddenChars('/');
 
         Validator.of(req.body.parentId, "parentId")
             .optional()
@@ -80,6 +90,21 @@ export class FolderController {
             throw new ServerError("No updates provided", 400);
         }
 
+        // Renaming or moving is a move like the ones of secrets: the delete capability on the old path
+        // and the create capability on the new path, of the folder and of everything inside it
+        const current = await this.service.get(req.params.id);
+        const subtree = await this.service.subtreePaths(current.id);
+        await this.#authorizeSubtree(req, "delete", subtree, await this.service.pathOf(current.id));
+        await this.#authorizeSubtree(
+            req,
+            "create",
+            subtree,
+            await this.service.pathOf(
+                updates.parentId !== undefined ? updates.parentId : current.parentId,
+                updates.name ?? current.name
+            )
+        );
+
         const folder = await this.service.update(req.params.id, updates);
         res.json(folder);
     });
@@ -95,10 +120,122 @@ export class FolderController {
         Validator.of(req.params.id, "id")
             .uuid();
 
+        await this.#authorizeSubtree(req, "delete", req.params.id, await this.service.pathOf(req.params.id));
+
         await this.service.delete(req.params.id);
         res.status(204).send();
     });
 
+    /**
+     * Restore a folder from the trash, together with its trashed subfolders and secrets
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.id - Folder ID to restore
+     * @param {Object} res - Express response
+     */
+    restore = asyncHandler(async (req, res) => {
+        Validator.of(req.params.id, "id")
+            .uuid();
+
+        // Everything trashed together with the folder comes back with it
+        const folder = await this.service.get(req.params.id, { paranoid: false });
+        await this.#authorizeSubtree(
+            req,
+            "delete",
+            await this.service.subtreePaths(folder.id, { deletedAt: folder.deletedAt }),
+            await this.service.pathOf(folder.id, undefined, { paranoid: false })
+        );
+
+        const restored = await this.service.restore(req.params.id);
+        res.json(restored);
+    });
+
+    /**
+     * Copy a folder with all its subfolders and secrets
+     * @param {Object} req - Express request
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.id - Folder ID to copy
+     * @param {Object} req.body - Request body
+     * @param {string} [req.body.parentId] - Destination parent folder ID (null for root)
+     * @param {string} [req.body.name] - Name of the copy (default: the same name)
+     * @param {Object} res - Express response
+     */
+    copy = asyncHandler(async (req, res) => {
+        Validator.of(req.params.id, "id")
+            .uuid();
+
+        Validator.of(req.body.parentId, "parentId")
+            .optional()
+            .uuid();
+
+        Validator.of(req.body.name, "name")
+            .optional()
+            .string()
+            .max(100)
+            .nonEmpty()
+            .forbiddenChars('/');
+
+        const { parentId = null, name } = req.body;
+
+        // Every secret and subfolder is read from the source and created in the destination
+        const source = await this.service.get(req.params.id);
+        const subtree = await this.service.subtreePaths(source.id);
+        await this.#authorizeSubtree(req, "read", subtree, await this.service.pathOf(source.id));
+        await this.#authorizeSubtree(req, "create", subtree, await this.service.pathOf(parentId, name ?? source.name));
+
+        const result = await this.service.copy(req.params.id, parentId, { name });
+        res.status(201).json(result);
+    });
+
+    /**
+     * Move several folders and secrets to the same folder in a single transaction
+     * @param {Object} req - Express request
+     * @param {Object} req.body - Request body
+     * @param {string} [req.body.targetId] - Destination folder ID (null for root)
+     * @param {string[]} [req.body.folderIds] - Folders to move
+     * @param {string[]} [req.body.secretIds] - Secrets to move
+     * @param {Object} res - Express response
+     */
+    bulkMove = asyncHandler(async (req, res) => {
+        Validator.of(req.body.targetId, "targetId")
+            .optional()
+            .uuid();
+
+        Validator.of(req.body.folderIds, "folderIds")
+            .optional()
+            .array({ max: 1000, unique: true })
+            .each(v => v.uuid());
+
+        Validator.of(req.body.secretIds, "secretIds")
+            .optional()
+            .array({ max: 1000, unique: true })
+            .each(v => v.uuid());
+
+        const { targetId = null, folderIds = [], secretIds = [] } = req.body;
+
+        if (folderIds.length === 0 && secretIds.length === 0) {
+            throw new ServerError('Nothing to move, specify folderIds and/or secretIds', 400);
+        }
+
+        // Same capabilities as moving one secret or folder: delete on the current path and create
+        // on the new one, for a folder also on the paths of everything inside it
+        const targetPath = await this.service.pathOf(targetId);
+        const destinationOf = (path) => `${targetPath === '/' ? '' : targetPath}/${path.split('/').pop()}`;
+
+        for (const id of folderIds) {
+            const path = await this.service.pathOf(id);
+            const subtree = await this.service.subtreePaths(id);
+            await this.#authorizeSubtree(req, "delete", subtree, path);
+            await this.#authorizeSubtree(req, "create", subtree, destinationOf(path));
+        }
+        const secretPaths = await Promise.all(secretIds.map(id => this.secretService.pathOf(id, true)));
+        await this.policy.authorize(req.client, "delete", ...secretPaths);
+        await this.policy.authorize(req.client, "create", ...secretPaths.map(destinationOf));
+
+        const moved = await this.service.bulkMove({ folderIds, secretIds }, targetId);
+        res.json(moved);
+    });
+
     /**
      * List folders within a parent folder
      * @param {Object} req - Express request
@@ -112,10 +249,55 @@ export class FolderController {
             .uuid();
 
         const parentId = req.query.parentId || null;
+        await this.policy.authorize(req.client, "list", await this.service.pathOf(parentId));
+
         const folders = await this.service.list(parentId);
         res.json(folders);
     });
 
+    /**
+     * Get the folder hierarchy as a nested tree with the number of secrets the client can list in each folder
+     * @param {Object} req - Express request
+     * @param {Object} req.query - Query parameters
+     * @param {string} [req.query.rootId] - Folder to start from (default: root)
+     * @param {string} [req.query.depth] - Max levels below the starting folder (default: no limit)
+     * @param {Object} res - Express response
+     */
+    tree = asyncHandler(async (req, res) => {
+        Validator.of(req.query.rootId, "rootId")
+            .optional()
+            .uuid();
+
+        Validator.of(req.query.depth, "depth")
+            .optional()
+            .number(1, 100)
+            .custom(Number.isInteger, "depth must be an integer");
+
+        const rootId = req.query.rootId || null;
+        const depth = req.query.depth ? Number(req.query.depth) : null;
+
+        const rootPath = await this.service.pathOf(rootId);
+        await this.policy.authorize(req.client, "list", rootPath);
+
+        // Only the secrets and the folders the client is allowed to list, a hidden folder hides its subtree too
+        const policies = await this.policy.forClient(req.client);
+        const tree = await this.service.tree(rootId, depth, {
+            countable: (path) => policies.can("list", path)
+        });
+
+        const prune = (node, path) => {
+            node.children = node.children.filter((child) => {
+                const childPath = `${path === '/' ? '' : path}/${child.name}`;
+                if (!policies.can("list", childPath)) return false;
+                prune(child, childPath);
+                return true;
+            });
+        };
+        prune(tree, rootPath);
+
+        res.json(tree);
+    });
+
     /**
      * Get folder path (breadcrumb)
      * @param {Object} req - Express request
@@ -127,10 +309,32 @@ export class FolderController {
         Validator.of(req.params.id, "id")
             .uuid();
 
+        await this.policy.authorize(req.client, "read", await this.service.pathOf(req.params.id));
+
         const path = await this.service.getPath(req.params.id);
         res.json({
             path: "/" + path.map(folder => folder.name).join('/'),
             folders: path
         });
     });
+
+    /**
+     * Checks a capability on folder paths and on every subfolder and secret below them
+     * @param {Object} req - Express request
+     * @param {string} capability - One of PolicyService.CAPABILITIES
+     * @param {string|string[]} subtree - Folder ID, or the paths from FolderService.subtreePaths()
+     * @param {...string} folderPaths - Paths the subtree is checked under, e.g. the old and the new one
+     * @throws {ServerError} If any path is not allowed
+     */
+    async #authorizeSubtree(req, capability, subtree, ...folderPaths) {
+        const relativePaths = Array.isArray(subtree)
+            ? subtree
+            : await this.service.subtreePaths(subtree);
+
+        await this.policy.authorize(
+            req.client,
+            capability,
+            ...folderPaths.flatMap(path => [path, ...relativePaths.map(relative => path + relative)])
+        );
+    }
 }
\ No newline at end of file
@@ -0,0 +1,48 @@
+import { asyncHandler } from "../helpers/asyncHandler.js";
+import { PermissionService } from "../services/permission.service.js";
+import { PermissionValidator } from "../validator/permission.validator.js";
+
+export class PermissionController {
+    constructor() {
+        this.service = new PermissionService();
+    }
+
+    /**
+     * Creates a permission
+     * @param {Object} req - Express request
+     * @param {Object} req.body - Request body
+     * @param {string} req.body.name - Permission name, e.g. 'secrets:write'
+     * @param {string} [req.body.description]
+     * @param {Object} res - Express response
+     */
+    create = asyncHandler(async (req, res) => {
+        PermissionValidator.name(req.body.name);
+        PermissionValidator.description(req.body.description);
+
+        const permission = await this.service.create(req.body.name, req.body.description);
+        res.status(201).json(permission);
+    });
+
+    /**
+     * Lists all permissions
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    list = asyncHandler(async (req, res) => {
+        const permissions = await this.service.list();
+        res.json(permissions);
+    });
+
+    /**
+     * Deletes a permission
+     * @param {Object} req - Express request
+     * @param {string} req.params.id - Permission ID
+     * @param {Object} res - Express response
+     */
+    delete = asyncHandler(async (req, res) => {
+        PermissionValidator.id(req.params.id);
+
+        await this.service.delete(req.params.id);
+        res.status(204).send();
+    });
+}
@@ -0,0 +1,117 @@
+import { asyncHandler } from "../helpers/asyncHandler.js";
+import { PolicyService } from "../services/policy.service.js";
+import { ServerError } from "../helpers/serverError.js";
+import { PolicyValidator } from "../validator/policy.validator.js";
+
+export class PolicyController {
+    constructor() {
+        this.service = new PolicyService();
+    }
+
+    /**
+     * Creates a policy granting capabilities on a path glob to a client or a role
+     * @param {Object} req - Express request
+     * @param {Object} req.body - Request body
+     * @param {'client'|'role'} req.body.subjectType - Whether subject is a client id or a role name
+     * @param {string} req.body.subject - Client id or role name
+     * @param {string} req.body.path - Glob on folder and secret paths, e.g. '/prod/**'
+     * @param {string[]} req.body.capabilities - read, create, update, delete, list
+     * @param {string} [req.body.description]
+     * @param {Object} res - Express response
+     */
+    create = asyncHandler(async (req, res) => {
+        PolicyValidator.subjectType(req.body.subjectType);
+        PolicyValidator.subject(req.body.subject);
+        PolicyValidator.path(req.body.path);
+        PolicyValidator.capabilities(req.body.capabilities);
+        PolicyValidator.description(req.body.description);
+
+        const { subjectType, subject, path, capabilities, description } = req.body;
+
+        const policy = await this.service.create({
+            subjectType,
+            subject,
+            path,
+            capabilities,
+            description,
+        });
+        res.status(201).json(policy);
+    });
+
+    /**
+     * Retrieves a policy
+     * @param {Object} req - Express request
+     * @param {string} req.params.id - Policy ID
+     * @param {Object} res - Express response
+     */
+    get = asyncHandler(async (req, res) => {
+        PolicyValidator.id(req.params.id);
+
+        const policy = await this.service.get(req.params.id);
+        res.json(policy);
+    });
+
+    /**
+     * Lists the policies, optionally of a single subject
+     * @param {Object} req - Express request
+     * @param {Object} req.query - Query parameters
+     * @param {string} [req.query.subjectType] - client or role
+     * @param {string} [req.query.subject] - Client id or role name
+     * @param {Object} res - Express response
+     */
+    list = asyncHandler(async (req, res) => {
+        if (req.query.subjectType !== undefined) PolicyValidator.subjectType(req.query.subjectType);
+        if (req.query.subject !== undefined) PolicyValidator.subject(req.query.subject);
+
+        const policies = await this.service.list({
+            subjectType: req.query.subjectType,
+            subject: req.query.subject,
+        });
+        res.json(policies);
+    });
+
+    /**
+     * Updates a policy
+     * @param {Object} req - Express request
+     * @param {string} req.params.id - Policy ID
+     * @param {Object} req.body - Fields to change, same as create()
+     * @param {Object} res - Express response
+     */
+    update = asyncHandler(async (req, res) => {
+        PolicyValidator.id(req.params.id);
+
+        const { subjectType, subject, path, capabilities, description } = req.body;
+
+        if (subjectType !== undefined) PolicyValidator.subjectType(subjectType);
+        if (subject !== undefined) PolicyValidator.subject(subject);
+        if (path !== undefined) PolicyValidator.path(path);
+        if (capabilities !== undefined) PolicyValidator.capabilities(capabilities);
+        PolicyValidator.description(description);
+
+        if ([subjectType, subject, path, capabilities, description].every((v) => v === undefined)) {
+            throw new ServerError("No updates provided", 400);
+        }
+
+        const policy = await this.service.update(req.params.id, {
+            subjectType,
+            subject,
+            path,
+            capabilities,
+            description,
+        });
+        res.json(policy);
+    });
+
+    /**
+     * Deletes a policy
+     * @param {Object} req - Express request
+     * @param {string} req.params.id - Policy ID
+     * @param {Object} res - Express response
+     */
+    delete = asyncHandler(async (req, res) => {
+        PolicyValidator.id(req.params.id);
+
+        await this.service.delete(req.params.id);
+        res.status(204).send();
+    });
+}
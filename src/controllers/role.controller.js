@@ -0,0 +1,93 @@
+import { asyncHandler } from "../helpers/asyncHandler.js";
+import { RoleService } from "../services/role.service.js";
+import { ServerError } from "../helpers/serverError.js";
+import { RoleValidator } from "../validator/role.validator.js";
+
+export class RoleController {
+    constructor() {
+        this.service = new RoleService();
+    }
+
+    /**
+     * Creates a role
+     * @param {Object} req - Express request
+     * @param {Object} req.body - Request body
+     * @param {string} req.body.name - Role name
+     * @param {string} [req.body.description]
+     * @param {string[]} [req.body.permissions] - Names of the permissions granted by the role
+     * @param {Object} res - Express response
+     */
+    create = asyncHandler(async (req, res) => {
+        RoleValidator.name(req.body.name);
+        RoleValidator.description(req.body.description);
+        RoleValidator.permissions(req.body.permissions);
+
+        const { name, description, permissions } = req.body;
+
+        const role = await this.service.create({ name, description, permissions });
+        res.status(201).json(role);
+    });
+
+    /**
+     * Retrieves a role with its permissions
+     * @param {Object} req - Express request
+     * @param {string} req.params.id - Role ID
+     * @param {Object} res - Express response
+     */
+    get = asyncHandler(async (req, res) => {
+        RoleValidator.id(req.params.id);
+
+        const role = await this.service.get(req.params.id);
+        res.json(role);
+    });
+
+    /**
+     * Lists all roles with their permissions
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    list = asyncHandler(async (req, res) => {
+        const roles = await this.service.list();
+        res.json(roles);
+    });
+
+    /**
+     * Updates a role, the changes apply to its clients at their next request
+     * @param {Object} req - Express request
+     * @param {string} req.params.id - Role ID
+     * @param {Object} req.body - Request body
+     * @param {string} [req.body.name] - New name
+     * @param {string} [req.body.description] - New description
+     * @param {string[]} [req.body.permissions] - Replaces the granted permissions
+     * @param {Object} res - Express response
+     */
+    update = asyncHandler(async (req, res) => {
+        RoleValidator.id(req.params.id);
+
+        const { name, description, permissions } = req.body;
+
+        if (name !== undefined) RoleValidator.name(name);
+        RoleValidator.description(description);
+        RoleValidator.permissions(permissions);
+
+        if (name === undefined && description === undefined && permissions === undefined) {
+            throw new ServerError("No updates provided", 400);
+        }
+
+        const role = await this.service.update(req.params.id, { name, description, permissions });
+        res.json(role);
+    });
+
+    /**
+     * Deletes a role
+     * @param {Object} req - Express request
+     * @param {string} req.params.id - Role ID
+     * @param {Object} res - Express response
+     */
+    delete = asyncHandler(async (req, res) => {
+        RoleValidator.id(req.params.id);
+
+        await this.service.delete(req.params.id);
+        res.status(204).send();
+    });
+}
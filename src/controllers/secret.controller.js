@@ -1,12 +1,17 @@
 import { asyncHandler } from "../helpers/asyncHandler.js";
 import { SecretService } from "../services/secret.service.js";
+import { PolicyService } from "../services/policy.service.js";
 import { ServerError } from "../helpers/serverError.js";
 import { SecretValidator } from "../validator/secret.validator.js";
 import { Validator } from "../validator/validator.js";
+import { Config } from "../config.js";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
 
 export class SecretController {
     constructor() {
         this.service = new SecretService();
+        this.policy = new PolicyService();
     }
 
     /**
@@ -14,66 +19,577 @@ export class SecretController {
      * @param {Object} req - Express request object
      * @param {Object} req.body - Request body
      * @param {string} req.body.name - Secret name/identifier
-     * @param {string} req.body.value - Secret value to encrypt
+     * @param {string|Object} req.body.value - Secret value to encrypt (string or JSON object)
+     * @param {string} [req.body.expiresAt] - Expiration date (ISO string or timestamp)
+     * @param {number} [req.body.ttl] - Time to live in seconds, alternative to expiresAt
+     * @param {Object<string, string>} [req.body.metadata] - Unencrypted key/value metadata
+     * @param {string[]} [req.body.tags] - Unencrypted tags
      * @param {Object} res - Express response object
      */
     create = asyncHandler(async (req, res) => {
         SecretValidator.name(req.body.name);
         SecretValidator.value(req.body.value);
         SecretValidator.folderId(req.body.folderId);
+        SecretValidator.expiresAt(req.body.expiresAt);
+        SecretValidator.ttl(req.body.ttl);
+        SecretValidator.metadata(req.body.metadata);
+        SecretValidator.tags(req.body.tags);
 
-        const { name, value, folderId = null } = req.body;
+        const { name, value, folderId = null, metadata = {}, tags = [] } = req.body;
+        const expiresAt = this.#expiresAt(req.body) ?? null;
 
-        const secret = await this.service.create(name, value, folderId);
+        await this.#authorizeNew(req, folderId, name);
+
+        const secret = await this.service.create(name, value, folderId, {
+            expiresAt,
+            metadata,
+            tags,
+        });
         res.status(201).json({
             id: secret.id,
             name: secret.name,
+            expiresAt: secret.expiresAt,
+            metadata: secret.metadata,
+            tags: secret.tags,
             createdAt: secret.createdAt,
         });
     });
 
     /**
-     * Retrieves a secret by name
+     * Retrieves a secret by id, name or path (URL encoded, e.g. prod%2Fdb-password)
      * @param {Object} req - Express request object
      * @param {Object} req.params - Request parameters
-     * @param {string} req.params.name - Secret name
+     * @param {string} req.params.identifier - Secret id, name or path
+     * @param {Object} req.query - Query parameters
+     * @param {string} [req.query.version] - Version to retrieve (default: current)
      * @param {Object} res - Express response object
      */
     get = asyncHandler(async (req, res) => {
+        if (req.params.identifier.includes("/")) {
+            SecretValidator.path(req.params.identifier);
+        } else {
+            SecretValidator.identifier(req.params.identifier);
+        }
+        SecretValidator.version(req.query.version);
+
+        const { identifier } = req.params;
+        const version = req.query.version ? Number(req.query.version) : null;
+
+        const isUUID = Validator.isUuid(identifier);
+
+        await this.#authorize(req, "read", identifier, isUUID);
+
+        const secret = await this.service.getAsString(identifier, isUUID, version, { clientId: req.client.id });
+        // With fail-closed auditing the read is recorded before the value is sent
+        await req.auditBeforeSend?.();
+        res.status(200).json(secret);
+    });
+
+    /**
+     * Creates a new binary secret from the raw request body
+     * @param {Object} req - Express request object
+     * @param {Buffer} req.body - Raw secret bytes, the Content-Type header is stored as the secret content type
+     * @param {Object} req.query - Query parameters
+     * @param {string} req.query.name - Secret name/identifier
+     * @param {string} [req.query.folderId] - Folder ID (default: root)
+     * @param {string} [req.query.expiresAt] - Expiration date (ISO string or timestamp)
+     * @param {string} [req.query.ttl] - Time to live in seconds, alternative to expiresAt
+     * @param {string|string[]} [req.query.tag] - Unencrypted tag, can be repeated (?tag=a&tag=b)
+     * @param {string} [req.query["meta.<key>"]] - Unencrypted metadata value (?meta.owner=payments)
+     * @param {Object} res - Express response object
+     */
+    createBinary = asyncHandler(async (req, res) => {
+        SecretValidator.name(req.query.name);
+        SecretValidator.folderId(req.query.folderId);
+        SecretValidator.binary(req.body);
+        SecretValidator.contentType(req.get("Content-Type"));
+        SecretValidator.expiresAt(req.query.expiresAt);
+        SecretValidator.ttl(req.query.ttl);
+
+        const { name, folderId = null } = req.query;
+        const { tags, metadata } = this.#tagsAndMetadata(req.query);
+        const expiresAt = this.#expiresAt(req.query) ?? null;
+
+        await this.#authorizeNew(req, folderId, name);
+
+        const secret = await this.service.create(name, req.body, folderId, {
+            expiresAt,
+            metadata,
+            tags,
+            contentType: req.get("Content-Type"),
+        });
+        res.status(201).json({
+            id: secret.id,
+            name: secret.name,
+            contentType: secret.contentType,
+            expiresAt: secret.expiresAt,
+            metadata: secret.metadata,
+            tags: secret.tags,
+            createdAt: secret.createdAt,
+        });
+    });
+
+    /**
+     * Replaces the value of a secret with the raw request body (binary secret)
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.id - Secret ID
+     * @param {Buffer} req.body - Raw secret bytes, the Content-Type header is stored as the secret content type
+     * @param {Object} res - Express response object
+     */
+    updateBinary = asyncHandler(async (req, res) => {
+        SecretValidator.id(req.params.id);
+        SecretValidator.binary(req.body);
+        SecretValidator.contentType(req.get("Content-Type"));
+
+        await this.#authorize(req, "update", req.params.id);
+
+        const updatedSecret = await this.service.update(
+            req.params.id,
+            null,
+            req.body,
+            { contentType: req.get("Content-Type") }
+        );
+        res.status(200).json({
+            name: updatedSecret.name,
+            version: updatedSecret.version,
+            contentType: updatedSecret.contentType,
+            updatedAt: updatedSecret.updatedAt,
+        });
+    });
+
+    /**
+     * Downloads the raw value of a secret with its content type
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.identifier - Secret name or ID
+     * @param {Object} req.query - Query parameters
+     * @param {string} [req.query.version] - Version to retrieve (default: current)
+     * @param {Object} res - Express response object
+     */
+    download = asyncHandler(async (req, res) => {
+        SecretValidator.identifier(req.params.identifier);
+        SecretValidator.version(req.query.version);
+
+        const { identifier } = req.params;
+        const version = req.query.version ? Number(req.query.version) : null;
+
+        const isUUID = Validator.isUuid(identifier);
+
+        await this.#authorize(req, "read", identifier, isUUID);
+
+        const secret = await this.service.get(identifier, isUUID, version, { clientId: req.client.id });
+        await req.auditBeforeSend?.();
+
+        const contentType =
+            secret.contentType ??
+            (secret.format === "json"
+                ? "application/json"
+                : "text/plain; charset=utf-8");
+
+        // attachment() guesses the type from the name, so the stored one is set after
+        res.status(200)
+            .attachment(secret.name)
+            .type(contentType)
+            .send(Buffer.from(secret.data));
+    });
+
+    /**
+     * Creates a new binary secret streaming the request body, encrypted in segments (large secrets)
+     * @param {Object} req - Express request object (the body is not parsed, it's read as a stream)
+     * @param {Object} req.query - Query parameters
+     * @param {string} req.query.name - Secret name/identifier
+     * @param {string} [req.query.folderId] - Folder ID (default: root)
+     * @param {string} [req.query.expiresAt] - Expiration date (ISO string or timestamp)
+     * @param {string} [req.query.ttl] - Time to live in seconds, alternative to expiresAt
+     * @param {string|string[]} [req.query.tag] - Unencrypted tag, can be repeated (?tag=a&tag=b)
+     * @param {string} [req.query["meta.<key>"]] - Unencrypted metadata value (?meta.owner=payments)
+     * @param {Object} res - Express response object
+     */
+    createStream = asyncHandler(async (req, res) => {
+        SecretValidator.name(req.query.name);
+        SecretValidator.folderId(req.query.folderId);
+        SecretValidator.contentType(req.get("Content-Type"));
+        SecretValidator.expiresAt(req.query.expiresAt);
+        SecretValidator.ttl(req.query.ttl);
+
+        const { name, folderId = null } = req.query;
+        const { tags, metadata } = this.#tagsAndMetadata(req.query);
+        const expiresAt = this.#expiresAt(req.query) ?? null;
+
+        await this.#authorizeNew(req, folderId, name);
+
+        const secret = await this.service.createStream(name, req, folderId, {
+            expiresAt,
+            metadata,
+            tags,
+            contentType: req.get("Content-Type"),
+        });
+        res.status(201).json({
+            id: secret.id,
+            name: secret.name,
+            contentType: secret.contentType,
+            expiresAt: secret.expiresAt,
+            metadata: secret.metadata,
+            tags: secret.tags,
+            createdAt: secret.createdAt,
+        });
+    });
+
+    /**
+     * Replaces the value of a secret streaming the request body, encrypted in segments
+     * @param {Object} req - Express request object (the body is not parsed, it's read as a stream)
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.id - Secret ID
+     * @param {Object} res - Express response object
+     */
+    updateStream = asyncHandler(async (req, res) => {
+        SecretValidator.id(req.params.id);
+        SecretValidator.contentType(req.get("Content-Type"));
+
+        await this.#authorize(req, "update", req.params.id);
+
+        const updatedSecret = await this.service.updateStream(req.params.id, req, {
+            contentType: req.get("Content-Type"),
+        });
+        res.status(200).json({
+            name: updatedSecret.name,
+            version: updatedSecret.version,
+            contentType: updatedSecret.contentType,
+            updatedAt: updatedSecret.updatedAt,
+        });
+    });
+
+    /**
+     * Streams the decrypted value of a secret, without buffering it
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.identifier - Secret name or ID
+     * @param {Object} req.query - Query parameters
+     * @param {string} [req.query.version] - Version to retrieve (default: current)
+     * @param {Object} res - Express response object
+     */
+    downloadStream = asyncHandler(async (req, res) => {
         SecretValidator.identifier(req.params.identifier);
+        SecretValidator.version(req.query.version);
 
         const { identifier } = req.params;
+        const version = req.query.version ? Number(req.query.version) : null;
+
+        const isUUID = Validator.isUuid(identifier);
+
+        await this.#authorize(req, "read", identifier, isUUID);
+
+        const { secret, stream } = await this.service.getStream(identifier, isUUID, version, { clientId: req.client.id });
+        await req.auditBeforeSend?.();
+
+        res.status(200)
+            .attachment(secret.name)
+            .type(secret.contentType ?? "application/octet-stream");
+
+        // An error after the headers goes to the error handler, which closes the connection
+        await pipeline(Readable.from(stream), res);
+    });
+
+    /**
+     * Retrieves a single field of a JSON secret
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.identifier - Secret name or ID
+     * @param {string} req.params.field - Field name
+     * @param {Object} res - Express response object
+     */
+    getField = asyncHandler(async (req, res) => {
+        SecretValidator.identifier(req.params.identifier);
+        SecretValidator.field(req.params.field);
+
+        const { identifier, field } = req.params;
 
         const isUUID = Validator.isUuid(identifier);
 
-        const secret = await this.service.getAsString(identifier, isUUID);
+        await this.#authorize(req, "read", identifier, isUUID);
+
+        const result = await this.service.getField(identifier, isUUID, field, { clientId: req.client.id });
+        await req.auditBeforeSend?.();
+        res.status(200).json(result);
+    });
+
+    /**
+     * Updates some fields of a JSON secret, a null value removes the field
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.id - Secret ID
+     * @param {Object} req.body - Request body
+     * @param {Object} req.body.fields - Fields to set (null to remove)
+     * @param {Object} res - Express response object
+     */
+    patchFields = asyncHandler(async (req, res) => {
+        SecretValidator.id(req.params.id);
+        SecretValidator.fields(req.body.fields);
+
+        await this.#authorize(req, "update", req.params.id);
+
+        const secret = await this.service.patchFields(
+            req.params.id,
+            req.body.fields
+        );
+        res.status(200).json({
+            name: secret.name,
+            version: secret.version,
+            updatedAt: secret.updatedAt,
+        });
+    });
+
+    /**
+     * Retrieves a secret by its folder path, e.g. GET /by-path/prod/payments/stripe-key
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.0 - Secret path
+     * @param {Object} req.query - Query parameters
+     * @param {string} [req.query.version] - Version to retrieve (default: current)
+     * @param {Object} res - Express response object
+     */
+    getByPath = asyncHandler(async (req, res) => {
+        SecretValidator.path(req.params[0]);
+        SecretValidator.version(req.query.version);
+
+        const version = req.query.version ? Number(req.query.version) : null;
+
+        await this.policy.authorize(
+            req.client,
+            "read",
+            this.service.normalizePath(req.params[0])
+        );
+
+        const id = await this.service.resolvePath(req.params[0]);
+
+        const secret = await this.service.getAsString(id, true, version, { clientId: req.client.id });
+        await req.auditBeforeSend?.();
         res.status(200).json(secret);
     });
 
+    /**
+     * Creates a secret by its folder path, missing folders are created
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.0 - Secret path, the last segment is the secret name
+     * @param {Object} req.body - Request body, same as create() without name and folderId
+     * @param {Object} res - Express response object
+     */
+    createByPath = asyncHandler(async (req, res) => {
+        SecretValidator.path(req.params[0]);
+
+        const { folders, name } = this.service.splitPath(req.params[0]);
+
+        SecretValidator.name(name);
+        folders.forEach((folder) =>
+            Validator.of(folder, "folder name").string().max(100).nonEmpty()
+        );
+        SecretValidator.value(req.body.value);
+        SecretValidator.expiresAt(req.body.expiresAt);
+        SecretValidator.ttl(req.body.ttl);
+        SecretValidator.metadata(req.body.metadata);
+        SecretValidator.tags(req.body.tags);
+
+        const { value, metadata = {}, tags = [] } = req.body;
+        const expiresAt = this.#expiresAt(req.body) ?? null;
+
+        await this.policy.authorize(
+            req.client,
+            "create",
+            this.service.normalizePath(req.params[0])
+        );
+
+        const secret = await this.service.createByPath(req.params[0], value, {
+            expiresAt,
+            metadata,
+            tags,
+        });
+        res.status(201).json({
+            id: secret.id,
+            name: secret.name,
+            folderId: secret.folderId,
+            expiresAt: secret.expiresAt,
+            metadata: secret.metadata,
+            tags: secret.tags,
+            createdAt: secret.createdAt,
+        });
+    });
+
+    /**
+     * Updates the value of a secret by its folder path
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.0 - Secret path
+     * @param {Object} req.body - Request body, same as update() without name
+     * @param {Object} res - Express response object
+     */
+    updateByPath = asyncHandler(async (req, res) => {
+        SecretValidator.path(req.params[0]);
+        SecretValidator.value(req.body.value);
+        SecretValidator.expiresAt(req.body.expiresAt);
+        SecretValidator.ttl(req.body.ttl);
+
+        const expiresAt = this.#expiresAt(req.body);
+
+        await this.policy.authorize(
+            req.client,
+            "update",
+            this.service.normalizePath(req.params[0])
+        );
+
+        const id = await this.service.resolvePath(req.params[0]);
+
+        const updatedSecret = await this.service.update(id, null, req.body.value, {
+            expiresAt,
+        });
+        res.status(200).json({
+            name: updatedSecret.name,
+            version: updatedSecret.version,
+            expiresAt: updatedSecret.expiresAt,
+            updatedAt: updatedSecret.updatedAt,
+        });
+    });
+
+    /**
+     * Moves a secret to the trash by its folder path
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.0 - Secret path
+     * @param {Object} res - Express response object
+     */
+    deleteByPath = asyncHandler(async (req, res) => {
+        SecretValidator.path(req.params[0]);
+
+        await this.policy.authorize(
+            req.client,
+            "delete",
+            this.service.normalizePath(req.params[0])
+        );
+
+        const id = await this.service.resolvePath(req.params[0]);
+
+        await this.service.delete(id);
+        res.status(204).end();
+    });
+
+    /**
+     * Lists all versions of a secret
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.id - Secret ID
+     * @param {Object} res - Express response object
+     */
+    listVersions = asyncHandler(async (req, res) => {
+        SecretValidator.id(req.params.id);
+
+        await this.#authorize(req, "read", req.params.id);
+
+        const versions = await this.service.listVersions(req.params.id);
+        res.status(200).json(versions);
+    });
+
+    /**
+     * Promotes an old version of a secret to current
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.id - Secret ID
+     * @param {Object} req.body - Request body
+     * @param {number} req.body.version - Version to restore
+     * @param {Object} res - Express response object
+     */
+    rollback = asyncHandler(async (req, res) => {
+        SecretValidator.id(req.params.id);
+        Validator.of(req.body.version, "version")
+            .nonEmpty()
+            .number()
+            .custom(Number.isInteger, "version must be an integer")
+            .min(1);
+
+        await this.#authorize(req, "update", req.params.id);
+
+        const secret = await this.service.rollback(
+            req.params.id,
+            Number(req.body.version)
+        );
+        res.status(200).json({
+            name: secret.name,
+            version: secret.version,
+            updatedAt: secret.updatedAt,
+        });
+    });
+
     /**
      * Updates an existing secret
      * @param {Object} req - Express request object
      * @param {Object} req.params - Request parameters
      * @param {string} req.params.name - Secret name
      * @param {Object} req.body - Request body
-     * @param {string} req.body.value - New secret value
+     * @param {string|Object} req.body.value - New secret value (string or JSON object)
+     * @param {string|null} [req.body.expiresAt] - New expiration date, null removes it
+     * @param {number} [req.body.ttl] - Time to live in seconds, alternative to expiresAt
      * @param {Object} res - Express response object
      */
     update = asyncHandler(async (req, res) => {
         SecretValidator.id(req.params.id);
         SecretValidator.name(req.body.name);
         SecretValidator.value(req.body.value);
+        SecretValidator.expiresAt(req.body.expiresAt);
+        SecretValidator.ttl(req.body.ttl);
 
         const { id } = req.params;
         const { name, value } = req.body;
+        const expiresAt = this.#expiresAt(req.body);
 
-        const updatedSecret = await this.service.update(id, name, value);
+        await this.#authorize(req, "update", id);
+
+        const updatedSecret = await this.service.update(id, name, value, {
+            expiresAt,
+        });
         res.status(200).json({
             name: updatedSecret.name,
+            version: updatedSecret.version,
+            expiresAt: updatedSecret.expiresAt,
             updatedAt: updatedSecret.updatedAt,
         });
     });
 
+    /**
+     * Replaces the metadata and/or the tags of a secret
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.id - Secret ID
+     * @param {Object} req.body - Request body
+     * @param {Object<string, string>} [req.body.metadata] - New metadata
+     * @param {string[]} [req.body.tags] - New tags
+     * @param {Object} res - Express response object
+     */
+    updateMetadata = asyncHandler(async (req, res) => {
+        SecretValidator.id(req.params.id);
+        SecretValidator.metadata(req.body.metadata);
+        SecretValidator.tags(req.body.tags);
+
+        const { metadata, tags } = req.body;
+
+        if (metadata === undefined && tags === undefined) {
+            throw new ServerError("No updates provided", 400);
+        }
+
+        await this.#authorize(req, "update", req.params.id);
+
+        const secret = await this.service.updateMetadata(req.params.id, {
+            metadata: metadata ?? undefined,
+            tags: tags ?? undefined,
+        });
+        res.status(200).json({
+            id: secret.id,
+            name: secret.name,
+            metadata: secret.metadata,
+            tags: secret.tags,
+            updatedAt: secret.updatedAt,
+        });
+    });
+
     /**
      * Deletes a secret by name
      * @param {Object} req - Express request object
@@ -90,6 +606,8 @@ export class SecretController {
             throw new ServerError("Secret name is required", 400);
         }
 
+        await this.#authorize(req, "delete", id);
+
         const isDeleted = await this.service.delete(id);
         if (!isDeleted) {
             throw new ServerError("Secret not found", 404);
@@ -99,13 +617,136 @@ export class SecretController {
     });
 
     /**
-     * Lists all secret names
+     * Restores a secret from the trash
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.id - Secret ID
+     * @param {Object} res - Express response object
+     */
+    restore = asyncHandler(async (req, res) => {
+        SecretValidator.id(req.params.id);
+
+        await this.#authorize(req, "delete", req.params.id, true, { paranoid: false });
+
+        const secret = await this.service.restore(req.params.id);
+        res.status(200).json({
+            id: secret.id,
+            name: secret.name,
+            folderId: secret.folderId,
+        });
+    });
+
+    /**
+     * Moves a secret to another folder
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.id - Secret ID
+     * @param {Object} req.body - Request body
+     * @param {string|null} [req.body.folderId] - Destination folder ID (default: root)
+     * @param {string} [req.body.name] - New name (default: the current one)
+     * @param {Object} res - Express response object
+     */
+    move = asyncHandler(async (req, res) => {
+        SecretValidator.id(req.params.id);
+        SecretValidator.folderId(req.body.folderId);
+        if (req.body.name !== undefined) SecretValidator.name(req.body.name);
+
+        const { folderId = null, name } = req.body;
+
+        // A move deletes the secret at its current path and creates it at the new one, same as the folder moves
+        const source = await this.service.pathOf(req.params.id, true);
+        await this.policy.authorize(req.client, "delete", source);
+        await this.#authorizeNew(req, folderId, name ?? source.split("/").pop());
+
+        const secret = await this.service.move(req.params.id, folderId, { name });
+        res.status(200).json({
+            id: secret.id,
+            name: secret.name,
+            folderId: secret.folderId,
+            updatedAt: secret.updatedAt,
+        });
+    });
+
+    /**
+     * Copies a secret to a folder, the copy is encrypted again and starts from version 1
+     * @param {Object} req - Express request object
+     * @param {Object} req.params - Request parameters
+     * @param {string} req.params.id - Secret ID
+     * @param {Object} req.body - Request body
+     * @param {string|null} [req.body.folderId] - Destination folder ID (default: root)
+     * @param {string} [req.body.name] - Name of the copy (default: the same name)
+     * @param {Object} res - Express response object
+     */
+    copy = asyncHandler(async (req, res) => {
+        SecretValidator.id(req.params.id);
+        SecretValidator.folderId(req.body.folderId);
+        if (req.body.name !== undefined) SecretValidator.name(req.body.name);
+
+        const { folderId = null, name } = req.body;
+
+        const source = await this.service.pathOf(req.params.id, true);
+        await this.policy.authorize(req.client, "read", source);
+        await this.#authorizeNew(req, folderId, name ?? source.split("/").pop());
+
+        const secret = await this.service.copy(req.params.id, folderId, { name });
+        res.status(201).json({
+            id: secret.id,
+            name: secret.name,
+            folderId: secret.folderId,
+            createdAt: secret.createdAt,
+        });
+    });
+
+    /**
+     * Lists all secret names, optionally filtered by tags and metadata
      * @param {Object} req - Express request object
+     * @param {Object} req.query - Query parameters
+     * @param {string|string[]} [req.query.tag] - Required tag, can be repeated (?tag=a&tag=b)
+     * @param {string} [req.query["meta.<key>"]] - Required metadata value (?meta.owner=payments)
      * @param {Object} res - Express response object
      */
     list = asyncHandler(async (req, res) => {
-        const secrets = await this.service.list();
-        res.status(200).json(secrets);
+        const { tags, metadata } = this.#tagsAndMetadata(req.query);
+
+        const secrets = await this.service.list({ tags, metadata });
+
+        // Only the secrets the client is allowed to list
+        const policies = await this.policy.forClient(req.client);
+        const paths = await this.service.folderService.getPathMap();
+        const allowed = secrets.filter((secret) =>
+            policies.can(
+                "list",
+                `${secret.folderId ? paths.get(secret.folderId) : ""}/${secret.name}`
+            )
+        );
+
+        res.status(200).json(allowed);
+    });
+
+    /**
+     * Lists the secrets not read nor changed in the last days, to find unused credentials
+     * @param {Object} req - Express request object
+     * @param {Object} req.query - Query parameters
+     * @param {string} [req.query.days] - Days without reads and changes (default: Config.STALE_SECRET_DAYS)
+     * @param {Object} res - Express response object
+     */
+    stale = asyncHandler(async (req, res) => {
+        Validator.of(req.query.days, "days").optional().number(1, 3650);
+
+        const days = req.query.days ? Number(req.query.days) : Config.STALE_SECRET_DAYS;
+        const secrets = await this.service.listStale(days);
+
+        // Only the secrets the client is allowed to list, with their path
+        const policies = await this.policy.forClient(req.client);
+        const paths = await this.service.folderService.getPathMap();
+        const allowed = secrets
+            .map((secret) => ({
+                ...secret,
+                path: `${secret.folderId ? paths.get(secret.folderId) : ""}/${secret.name}`,
+            }))
+            .filter((secret) => policies.can("list", secret.path));
+
+        res.status(200).json({ days, secrets: allowed });
     });
 
     /**
@@ -121,25 +762,109 @@ export class SecretController {
             .uuid();
 
         const folderId = req.params.folderId || null;
+
+        await this.policy.authorize(
+            req.client,
+            "list",
+            await this.service.folderService.pathOf(folderId)
+        );
+
         const secrets = await this.service.listFolder(folderId);
         res.json(secrets);
     });
 
     /**
-     * Checks if a secret exists
+     * Checks if a secret exists in a folder
      * @param {Object} req - Express request object
      * @param {Object} req.params - Request parameters
      * @param {string} req.params.name - Secret name
+     * @param {Object} req.query - Query parameters
+     * @param {string} [req.query.folderId] - Folder ID (default: root)
      * @param {Object} res - Express response object
      */
     exists = asyncHandler(async (req, res) => {
-        SecretValidator.name(req.body.name);
+        SecretValidator.name(req.params.name);
+        SecretValidator.folderId(req.query.folderId);
 
         const { name } = req.params;
+        const folderId = req.query.folderId || null;
+
+        await this.policy.authorize(
+            req.client,
+            "list",
+            await this.service.folderService.pathOf(folderId)
+        );
 
-        const secrets = await this.service.list();
+        const secrets = await this.service.listFolder(folderId);
         const exists = secrets.some((secret) => secret.name === name);
 
         res.status(200).json({ exists });
     });
+
+    /**
+     * Checks the client policies on an existing secret
+     * @param {Object} req - Express request object (req.client is set by Authorize)
+     * @param {string} capability - read, update, delete, ...
+     * @param {string} identifier - Secret id, name or path
+     * @param {boolean} [isUUID=true] - true if identifier is an id
+     * @param {Object} [options] - Passed to SecretService.pathOf (e.g. paranoid)
+     * @throws {ServerError} 403 if the client is not allowed
+     */
+    async #authorize(req, capability, identifier, isUUID = true, options) {
+        const path = await this.service.pathOf(identifier, isUUID, options);
+        await this.policy.authorize(req.client, capability, path);
+    }
+
+    /**
+     * Checks that the client can create a secret with this name in the folder
+     * @param {Object} req - Express request object
+     * @param {string|null} folderId - Folder ID (null for root)
+     * @param {string} name - Secret name
+     * @throws {ServerError} 403 if the client is not allowed
+     */
+    async #authorizeNew(req, folderId, name) {
+        const path = await this.service.folderService.pathOf(folderId || null, name);
+        await this.policy.authorize(req.client, "create", path);
+    }
+
+    /**
+     * Reads tags (?tag=a&tag=b) and metadata (?meta.<key>=value) from the query string
+     * @param {Object} query - req.query
+     * @returns {{tags: string[], metadata: Object<string, string>}}
+     * @throws {ServerError} 400 if a tag or a metadata entry is not valid
+     */
+    #tagsAndMetadata(query) {
+        const tags = query.tag === undefined ? [] : [].concat(query.tag);
+
+        const metadata = {};
+        for (const [key, value] of Object.entries(query)) {
+            if (key.startsWith("meta.")) {
+                metadata[key.slice("meta.".length)] = value;
+            }
+        }
+
+        SecretValidator.tags(tags);
+        SecretValidator.metadata(metadata);
+
+        return { tags, metadata };
+    }
+
+    /**
+     * Resolves the expiration date from expiresAt or ttl
+     * @param {Object} body - Request body
+     * @returns {Date|null|undefined} undefined if neither is given, null if expiresAt is explicitly null
+     */
+    #expiresAt(body) {
+        if (body.expiresAt !== undefined && body.ttl !== undefined) {
+            throw new ServerError("Specify either expiresAt or ttl, not both", 400);
+        }
+
+        if (body.ttl !== undefined) {
+            return new Date(Date.now() + Number(body.ttl) * 1000);
+        }
+
+        if (body.expiresAt === null) return null;
+        if (body.expiresAt !== undefined) return new Date(body.expiresAt);
+        return undefined;
+    }
 }
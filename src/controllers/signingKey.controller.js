@@ -0,0 +1,35 @@
+import { asyncHandler } from "../helpers/asyncHandler.js";
+import { SigningKeyService } from "../services/signingKey.service.js";
+
+export class SigningKeyController {
+    /**
+     * Publishes the public keys that verify vault-issued tokens (JWKS)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    jwks = asyncHandler(async (req, res) => {
+        res.set("Cache-Control", "public, max-age=300");
+        res.status(200).json(SigningKeyService.jwks());
+    });
+
+    /**
+     * Lists the signing keys (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    list = asyncHandler(async (req, res) => {
+        const keys = await SigningKeyService.list();
+        res.status(200).json(keys);
+    });
+
+    /**
+     * Generates a new signing key, the previous one keeps verifying
+     * for Config.JWT_KEY_GRACE_HOURS (admin only)
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    rotate = asyncHandler(async (req, res) => {
+        const key = await SigningKeyService.rotate();
+        res.status(201).json(key);
+    });
+}
@@ -0,0 +1,41 @@
+import { asyncHandler } from "../helpers/asyncHandler.js";
+import { TrashService } from "../services/trash.service.js";
+import { FolderService } from "../services/folder.service.js";
+import { PolicyService } from "../services/policy.service.js";
+
+export class TrashController {
+    constructor() {
+        this.service = new TrashService();
+        this.folderService = new FolderService();
+        this.policy = new PolicyService();
+    }
+
+    /**
+     * Lists the trashed secrets and folders the client is allowed to list
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    list = asyncHandler(async (req, res) => {
+        const trash = await this.service.list();
+
+        // Paths as they were before the deletion, trashed parents included
+        const policies = await this.policy.forClient(req.client);
+        const paths = await this.folderService.getPathMap({ paranoid: false });
+        const pathOf = (folderId, name) => `${folderId ? paths.get(folderId) : ""}/${name}`;
+
+        res.status(200).json({
+            secrets: trash.secrets.filter((secret) => policies.can("list", pathOf(secret.folderId, secret.name))),
+            folders: trash.folders.filter((folder) => policies.can("list", pathOf(folder.parentId, folder.name))),
+        });
+    });
+
+    /**
+     * Permanently removes the trashed items older than the retention window
+     * @param {Object} req - Express request
+     * @param {Object} res - Express response
+     */
+    purge = asyncHandler(async (req, res) => {
+        const purged = await this.service.purgeExpired();
+        res.status(200).json(purged);
+    });
+}
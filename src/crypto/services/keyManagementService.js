@@ -1,9 +1,11 @@
+import { Op } from "sequelize";
 import { KeyManagementServiceClient } from "@google-cloud/kms";
 import crc32c from "fast-crc32c";
 import { Config } from "../../config.js";
 import { DEKService } from "../../services/dek.service.js";
 import { AES256GCM } from "../symmetric/aes256gcm.js";
 import { DEK } from "../../models/dek.js";
+import { SigningKey } from "../../models/signingKey.js";
 
 export class KeyManagementService {
     static #keys = new Map();
@@ -234,25 +236,96 @@ export class KeyManagementService {
         }
     }
 
+    /**
+     * Re-encrypts the private keys of the JWT signing keys with a new KEK.
+     * They are wrapped like the DEKs: left on the old KEK they no longer load once it is retired
+     * @param {string} newKekId - The new KEK identifier
+     * @returns {Promise<{total: number, success: number, failures: Array<{id: string, error: string}>}>}
+     */
+    static async reencryptSigningKeysWithNewKek(newKekId) {
+        if (!newKekId || typeof newKekId !== "string") {
+            throw new Error("newKekId must be a non-empty string");
+        }
+
+        const results = {
+            total: 0,
+            success: 0,
+            failures: [],
+        };
+
+        const keys = await SigningKey.findAll({
+            where: { kekId: { [Op.ne]: newKekId } },
+        });
+        results.total = keys.length;
+
+        for (const key of keys) {
+            try {
+                const pkcs8 = await this.decryptDEK(key.privateKey, key.kekId);
+                const reencrypted = await this.#encryptWithKek(pkcs8, newKekId);
+
+                await SigningKey.update(
+                    { privateKey: reencrypted, kekId: newKekId },
+                    { where: { id: key.id } }
+                );
+
+                results.success++;
+            } catch (error) {
+                results.failures.push({
+                    id: key.id,
+                    error: error.message,
+                });
+                console.error(`Failed to re-encrypt signing key ${key.id}:`, error);
+            }
+        }
+
+        return results;
+    }
+
     /**
      * Rotates to a new KEK version (high-level operation)
      * @param {string} newKekId - The new KEK identifier
-     * @returns {Promise<{dekRotation: object, secretRotation: object}>}
+     * @returns {Promise<{dekRotation: object, signingKeyRotation: object}>}
      */
     static async rotateToNewKek(newKekId) {
         // 1. First re-encrypt all DEKs with new KEK
         const dekResults = await this.reencryptAllDeksWithNewKek(newKekId);
 
-        // 2. Update configuration to use new KEK as default
+        // 2. Then the private keys of the JWT signing keys
+        const signingKeyResults = await this.reencryptSigningKeysWithNewKek(newKekId);
+
+        // 3. Update configuration to use new KEK as default
         Config.KMS.defaultKekId = newKekId;
 
-        // 3. Return both operations results
+        // 4. Return both operations results
         return {
             dekRotation: dekResults,
+            signingKeyRotation: signingKeyResults,
             // secretRotation will be handled by SecretService
         };
     }
 
+    /**
+     * Encrypts a key with a given KEK instead of the default one
+     * @param {Buffer} plaintextKey
+     * @param {string} kekId - KEK identifier in Config.KMS
+     * @returns {Promise<Buffer>} Encrypted key
+     */
+    static async #encryptWithKek(plaintextKey, kekId) {
+        if (Config.DEV) return await this.#encryptDEKDev(plaintextKey);
+        // ---
+        const [encryptResponse] = await this.#client.encrypt({
+            name: this.#client.cryptoKeyPath(
+                Config.KMS.projectId,
+                Config.KMS[kekId].locationId,
+                Config.KMS[kekId].keyRingId,
+                Config.KMS[kekId].keyId
+            ),
+            plaintext: plaintextKey,
+        });
+
+        return encryptResponse.ciphertext;
+    }
+
     // Private methods
     static async #loadKeysFromDb() {
         const deks = await this.#dekService.getAllDeks(true);
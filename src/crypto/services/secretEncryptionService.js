@@ -1,9 +1,11 @@
 import { MessagePack } from '../../helpers/messagepack.js';
 import { AES256GCM } from '../symmetric/aes256gcm.js';
+import { AES256GCMStream } from '../symmetric/aes256gcmStream.js';
 import { KeyManagementService } from './keyManagementService.js';
 
 export class SecretEncryptionService {
     static #SupportedAlgorithm = 'AES-256-GCM';
+    static #StreamAlgorithm = 'AES-256-GCM-STREAM';
 
     /**
      * Encrypts secret data
@@ -94,4 +96,76 @@ export class SecretEncryptionService {
             throw new Error(`Failed to decrypt secret: ${ex.message}`);
         }
     }
-}
\ No newline at end of file
+
+    /**
+     * Encrypts a stream of secret data in segments (for large secrets).
+     * The package only holds the header, the encrypted segments are stored apart.
+     * @param {AsyncIterable<Uint8Array>} source - Plaintext chunks
+     * @param {number} [dekId] - Optional Data Encryption Key ID (uses default if not specified)
+     * @returns {{ package: Uint8Array, segments: AsyncGenerator<Uint8Array> }} Header package and encrypted segments
+     * @throws {Error} When the DEK is not available
+     */
+    static encryptStream(source, dekId = null) {
+        try {
+            // Use default key if not specified
+            dekId = dekId ?? KeyManagementService.defaultDekId;
+            const dek = KeyManagementService.getKey(dekId);
+
+            // Create Package Header
+            const header = {
+                alg: this.#StreamAlgorithm,
+                version: 1,
+                dekId: dekId,
+                segmentSize: AES256GCMStream.SEGMENT_SIZE,
+                noncePrefix: AES256GCMStream.generateNoncePrefix(),
+            };
+
+            // Serialize header (AAD of every segment)
+            const headerBytes = MessagePack.encode(header);
+
+            return {
+                package: MessagePack.encode({ header }),
+                segments: AES256GCMStream.encrypt(source, dek, header.noncePrefix, headerBytes, header.segmentSize),
+            };
+        } catch (ex) {
+            throw new Error(`Failed to encrypt secret stream: ${ex.message}`);
+        }
+    }
+
+    /**
+     * Decrypts the segments of a stream package
+     * @param {Uint8Array} encryptedPackageBytes - Header package bytes
+     * @param {number} expectedDekId - dekId from Secret model
+     * @param {AsyncIterable<Uint8Array>} segments - Encrypted segments, in order
+     * @returns {AsyncGenerator<Uint8Array>} Plaintext segments, a truncated or tampered stream throws while iterating
+     * @throws {Error} When the package is invalid
+     */
+    static decryptStream(encryptedPackageBytes, expectedDekId, segments) {
+        if (!encryptedPackageBytes || encryptedPackageBytes.length === 0) {
+            throw new Error('Encrypted package cannot be null or empty');
+        }
+
+        try {
+            const { header } = MessagePack.decode(encryptedPackageBytes);
+
+            // Validate package
+            if (header.alg !== this.#StreamAlgorithm) {
+                throw new Error(`Unsupported algorithm: ${header.alg}. Only ${this.#StreamAlgorithm} is supported.`);
+            }
+
+            // Checking dekId (id from header and id from the model)
+            if (expectedDekId !== header.dekId) {
+                throw new Error(`DEK mismatch: expected ${expectedDekId}, found ${header.dekId}`);
+            }
+
+            const dek = KeyManagementService.getKey(header.dekId);
+
+            // Serialize Header (AAD)
+            const headerBytes = MessagePack.encode(header);
+
+            return AES256GCMStream.decrypt(segments, dek, header.noncePrefix, headerBytes);
+        } catch (ex) {
+            throw new Error(`Failed to decrypt secret stream: ${ex.message}`);
+        }
+    }
+}
@@ -0,0 +1,151 @@
+import { AES256GCM } from './aes256gcm.js';
+
+/**
+ * Segmented AES-256-GCM (STREAM construction).
+ * The plaintext is split in fixed size segments, each one encrypted on its own with nonce
+ * [prefix (7B), segment index (4B big endian), last segment flag (1B)].
+ * Reordering changes the index, truncation drops the segment marked as last:
+ * both make the authentication fail.
+ */
+export class AES256GCMStream {
+    static SEGMENT_SIZE = 64 * 1024;
+    static NONCE_PREFIX_LENGTH = 7;
+    static #MAX_SEGMENTS = 2 ** 32;
+
+    /**
+     * Generates the random nonce prefix of a new stream
+     * @returns {Uint8Array} 7 bytes
+     */
+    static generateNoncePrefix() {
+        return crypto.getRandomValues(new Uint8Array(this.NONCE_PREFIX_LENGTH));
+    }
+
+    /**
+     * Encrypts a stream segment by segment
+     * @param {AsyncIterable<Uint8Array>|Iterable<Uint8Array>} source - Plaintext chunks of any size
+     * @param {CryptoKey|Uint8Array} key - Either a CryptoKey or raw key bytes
+     * @param {Uint8Array} noncePrefix - 7 bytes, unique for every stream encrypted with the same key
+     * @param {Uint8Array} [aad] - Additional authenticated data, bound to every segment
+     * @param {number} [segmentSize=AES256GCMStream.SEGMENT_SIZE] - Plaintext bytes per segment
+     * @returns {AsyncGenerator<Uint8Array>} Encrypted segments [ciphertext, tag (16B)], in order
+     */
+    static async *encrypt(source, key, noncePrefix, aad, segmentSize = this.SEGMENT_SIZE) {
+        let cryptoKey = key;
+        if (key instanceof Uint8Array) {
+            cryptoKey = await AES256GCM.importKey(key, false);
+        }
+
+        let buffer = new Uint8Array(0);
+        let index = 0;
+
+        for await (const chunk of source) {
+            buffer = this.#concat(buffer, chunk);
+            // Strictly greater: the remainder is kept until we know whether it is the last one
+            while (buffer.length > segmentSize) {
+                yield await this.#encryptSegment(
+                    buffer.subarray(0, segmentSize), cryptoKey, noncePrefix, index++, false, aad
+                );
+                buffer = buffer.slice(segmentSize);
+            }
+        }
+
+        yield await this.#encryptSegment(buffer, cryptoKey, noncePrefix, index, true, aad);
+    }
+
+    /**
+     * Decrypts a stream produced by encrypt()
+     * @param {AsyncIterable<Uint8Array>|Iterable<Uint8Array>} segments - Encrypted segments, in order
+     * @param {CryptoKey|Uint8Array} key - Either a CryptoKey or raw key bytes
+     * @param {Uint8Array} noncePrefix - Prefix used during encryption
+     * @param {Uint8Array} [aad] - Additional authenticated data
+     * @returns {AsyncGenerator<Uint8Array>} Plaintext segments
+     * @throws {Error} If a segment fails authentication or the stream is truncated
+     */
+    static async *decrypt(segments, key, noncePrefix, aad) {
+        let cryptoKey = key;
+        if (key instanceof Uint8Array) {
+            cryptoKey = await AES256GCM.importKey(key, false);
+        }
+
+        let pending = null;
+        let index = 0;
+
+        for await (const segment of segments) {
+            if (pending) {
+                yield await this.#decryptSegment(pending, cryptoKey, noncePrefix, index++, false, aad);
+            }
+            pending = segment;
+        }
+
+        if (!pending) {
+            throw new Error('Invalid encrypted stream: no segments');
+        }
+
+        // If the stream was truncated this segment was not encrypted as the last one
+        yield await this.#decryptSegment(pending, cryptoKey, noncePrefix, index, true, aad);
+    }
+
+    /**
+     * Builds the nonce of a segment
+     * @param {Uint8Array} noncePrefix
+     * @param {number} index
+     * @param {boolean} isLast
+     * @returns {Uint8Array} 12 bytes
+     */
+    static #nonce(noncePrefix, index, isLast) {
+        if (noncePrefix.length !== this.NONCE_PREFIX_LENGTH) {
+            throw new Error(`Nonce prefix must be ${this.NONCE_PREFIX_LENGTH} bytes`);
+        }
+        if (index >= this.#MAX_SEGMENTS) {
+            throw new Error('Too many segments in the stream');
+        }
+
+        const nonce = new Uint8Array(12);
+        nonce.set(noncePrefix, 0);
+        new DataView(nonce.buffer).setUint32(this.NONCE_PREFIX_LENGTH, index, false);
+        nonce[11] = isLast ? 1 : 0;
+        return nonce;
+    }
+
+    static async #encryptSegment(segment, key, noncePrefix, index, isLast, aad) {
+        const ciphertext = await crypto.subtle.encrypt(
+            {
+                name: 'AES-GCM',
+                iv: this.#nonce(noncePrefix, index, isLast),
+                tagLength: 128,
+                ...(aad && { additionalData: aad })
+            },
+            key,
+            segment
+        );
+
+        return new Uint8Array(ciphertext);
+    }
+
+    static async #decryptSegment(segment, key, noncePrefix, index, isLast, aad) {
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: this.#nonce(noncePrefix, index, isLast),
+                    tagLength: 128,
+                    ...(aad && { additionalData: aad })
+                },
+                key,
+                segment
+            );
+
+            return new Uint8Array(plaintext);
+        } catch (err) {
+            throw new Error(`Decryption failed: segment ${index} authentication failed (corrupted, reordered or truncated stream)`);
+        }
+    }
+
+    static #concat(a, b) {
+        if (a.length === 0) return new Uint8Array(b);
+        const result = new Uint8Array(a.length + b.length);
+        result.set(a, 0);
+        result.set(b, a.length);
+        return result;
+    }
+}
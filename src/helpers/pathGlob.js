@@ -0,0 +1,58 @@
+/**
+ * Glob matching on slash separated paths (e.g. '/prod/payments/stripe-key').
+ * - `*` matches any character except '/' (one segment or part of it)
+ * - `?` matches a single character except '/'
+ * - `**` matches any number of segments, zero included ('/prod/**' matches '/prod' too)
+ */
+export class PathGlob {
+    static #cache = new Map();
+
+    /**
+     * Checks if a path matches a glob pattern
+     * @param {string} pattern - Glob pattern, e.g. '/prod/**' or '**\/db-*'
+     * @param {string} path - Absolute path, e.g. '/prod/db-password'
+     * @returns {boolean}
+     */
+    static match(pattern, path) {
+        return this.compile(pattern).test(path);
+    }
+
+    /**
+     * Converts a glob pattern to a regular expression (cached)
+     * @param {string} pattern - Glob pattern
+     * @returns {RegExp}
+     */
+    static compile(pattern) {
+        let regex = this.#cache.get(pattern);
+        if (regex) return regex;
+
+        let source = '';
+        for (let i = 0; i < pattern.length; i++) {
+            const char = pattern[i];
+
+            if (char === '*' && pattern[i + 1] === '*') {
+                i++;
+                if (pattern[i + 1] === '/') {
+                    // '**/' : zero or more whole segments
+                    i++;
+                    source += '(?:.*/)?';
+                } else if (source.endsWith('/') && i === pattern.length - 1) {
+                    // trailing '/**' : the folder itself or anything below it
+                    source = source.slice(0, -1) + '(?:/.*)?';
+                } else {
+                    source += '.*';
+                }
+            } else if (char === '*') {
+                source += '[^/]*';
+            } else if (char === '?') {
+                source += '[^/]';
+            } else {
+                source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+            }
+        }
+
+        regex = new RegExp(`^${source}$`);
+        this.#cache.set(pattern, regex);
+        return regex;
+    }
+}
@@ -1,6 +1,12 @@
 export class ServerError extends Error {
-    constructor(message, httpStatusCode = 500) {
+    /**
+     * @param {string} message
+     * @param {number} [httpStatusCode=500]
+     * @param {Object<string, string>} [headers] - Extra response headers, e.g. Retry-After
+     */
+    constructor(message, httpStatusCode = 500, headers = null) {
         super(message);
         this.httpStatusCode = httpStatusCode;
+        this.headers = headers;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,17 @@
+import { Job } from "./job.js";
+import { Config } from "../config.js";
+import { SecretService } from "../services/secret.service.js";
+
+const service = new SecretService();
+
+/**
+ * Removes expired secrets every 5 minutes, according to Config.EXPIRED_SECRETS_ACTION
+ */
+export const ExpiredSecretsJob = new Job("Expired secrets sweep", 5 * 60 * 1000, async () => {
+    const removed = await service.sweepExpired(Config.EXPIRED_SECRETS_ACTION);
+    if (removed > 0) {
+        console.log(
+            `Expired secrets sweep: ${removed} secrets (${Config.EXPIRED_SECRETS_ACTION})`
+        );
+    }
+});
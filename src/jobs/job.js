@@ -0,0 +1,53 @@
+/**
+ * Periodic background task running inside the server process.
+ * Errors are logged and never thrown, a failed run doesn't stop the next ones.
+ *
+ * @example
+ * const job = new Job('Cleanup', 60 * 1000, async () => { ... });
+ * job.start();
+ */
+export class Job {
+    #timer = null;
+
+    /**
+     * @param {string} name - Job name, used in logs
+     * @param {number} interval - Milliseconds between two runs
+     * @param {() => Promise<void>} task - Work to do at every run
+     */
+    constructor(name, interval, task) {
+        this.name = name;
+        this.interval = interval;
+        this.task = task;
+    }
+
+    /**
+     * Runs the task immediately and then every `interval` ms
+     */
+    start() {
+        if (this.#timer) return;
+
+        this.run();
+        this.#timer = setInterval(() => this.run(), this.interval);
+        // Does not keep the process alive on its own
+        this.#timer.unref();
+    }
+
+    /**
+     * Stops the periodic execution
+     */
+    stop() {
+        clearInterval(this.#timer);
+        this.#timer = null;
+    }
+
+    /**
+     * Runs the task once
+     */
+    async run() {
+        try {
+            await this.task();
+        } catch (error) {
+            console.error(`${this.name} failed:`, error);
+        }
+    }
+}
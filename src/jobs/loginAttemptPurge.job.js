@@ -0,0 +1,11 @@
+import { Job } from "./job.js";
+import { LoginThrottleService } from "../services/loginThrottle.service.js";
+
+const service = new LoginThrottleService();
+
+/**
+ * Removes failed login counters outside the attempt window and not locked, every hour
+ */
+export const LoginAttemptPurgeJob = new Job("Login attempts purge", 60 * 60 * 1000, async () => {
+    await service.purge();
+});
@@ -0,0 +1,14 @@
+import { Job } from "./job.js";
+import { SigningKeyService } from "../services/signingKey.service.js";
+
+/**
+ * Reloads the signing keys every 5 minutes (rotations done by other instances)
+ * and removes the retired keys past the grace period
+ */
+export const SigningKeyReloadJob = new Job("Signing keys reload", 5 * 60 * 1000, async () => {
+    const removed = await SigningKeyService.purgeRetired();
+    await SigningKeyService.reload();
+    if (removed > 0) {
+        console.log(`Signing keys reload: removed ${removed} retired keys`);
+    }
+});
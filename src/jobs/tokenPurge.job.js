@@ -0,0 +1,16 @@
+import { Job } from "./job.js";
+import { TokenService } from "../services/token.service.js";
+
+const service = new TokenService();
+
+/**
+ * Removes expired refresh tokens and revocations of expired access tokens, every hour
+ */
+export const TokenPurgeJob = new Job("Token purge", 60 * 60 * 1000, async () => {
+    const { refreshTokens, revokedTokens } = await service.purgeExpired();
+    if (refreshTokens > 0 || revokedTokens > 0) {
+        console.log(
+            `Token purge: removed ${refreshTokens} refresh tokens and ${revokedTokens} revocations`
+        );
+    }
+});
@@ -0,0 +1,16 @@
+import { Job } from "./job.js";
+import { TrashService } from "../services/trash.service.js";
+
+const service = new TrashService();
+
+/**
+ * Permanently removes trashed items older than Config.TRASH_RETENTION_DAYS, every hour
+ */
+export const TrashPurgeJob = new Job("Trash purge", 60 * 60 * 1000, async () => {
+    const { secrets, folders } = await service.purgeExpired();
+    if (secrets > 0 || folders > 0) {
+        console.log(
+            `Trash purge: removed ${secrets} secrets and ${folders} folders`
+        );
+    }
+});
@@ -0,0 +1,92 @@
+import { Config } from "../config.js";
+import { AuditService } from "../services/audit.service.js";
+import { ServerError } from "../helpers/serverError.js";
+
+/**
+ * Middleware che registra l'operazione nell'audit log a risposta conclusa:
+ * client, azione, oggetto, esito, IP e request id.
+ * Va messo prima di Authorize, così vengono registrate anche le richieste rifiutate
+ *
+ * @param {string} action - Nome dell'operazione, es. 'secret.read'
+ * @param {Object} [options]
+ * @param {boolean} [options.failClosed=false] - Con Config.AUDIT_FAIL_CLOSED rifiuta la richiesta (503)
+ *                                               se l'audit log o uno dei sink non funziona, e il controller
+ *                                               deve chiamare req.auditBeforeSend() prima di inviare il segreto
+ * @returns {Function} Middleware Express
+ *
+ * @example
+ * router.get('/:identifier', Audit('secret.read', { failClosed: true }), Authorize(), controller.get);
+ * // nel controller, dopo aver letto il segreto
+ * await req.auditBeforeSend?.();
+ * res.json(secret);
+ */
+export const Audit = (action, { failClosed = false } = {}) => {
+    return (req, res, next) => {
+        // Letto subito: dopo un errore Express ripristina i params del router padre
+        const target = targetOf(req);
+        const entry = () => ({
+            clientId: req.client?.id ?? req.auth?.clientId ?? null,
+            action,
+            target,
+            ip: req.ip,
+            requestId: req.id,
+        });
+
+        // Lettura registrata prima dell'invio: se la scrittura fallisce il segreto non esce
+        let recordedStatus = null;
+        if (failClosed && Config.AUDIT_FAIL_CLOSED) {
+            req.auditBeforeSend = async () => {
+                try {
+                    await new AuditService().record({ ...entry(), outcome: 'success', status: 200 });
+                } catch (error) {
+                    console.error(`❌ Audit log non scritto per ${action}:`, error);
+                    throw new ServerError('Auditing is unavailable', 503);
+                }
+                recordedStatus = 200;
+            };
+        }
+
+        res.on('close', () => {
+            // Una risposta interrotta (es. stream chiuso dal client) non è andata a buon fine
+            const outcome = res.writableFinished ? AuditService.outcomeOf(res.statusCode) : 'failure';
+
+            // Già registrata da auditBeforeSend, si aggiunge una voce solo se poi l'invio non è riuscito
+            if (res.writableFinished && res.statusCode === recordedStatus) return;
+
+            new AuditService().record({
+                ...entry(),
+                outcome,
+                status: res.statusCode,
+            }).catch((error) => {
+                console.error(`❌ Audit log non scritto per ${action}:`, error);
+            });
+        });
+
+        // Il rifiuto viene comunque registrato: se la scrittura riesce l'audit torna disponibile
+        if (failClosed && Config.AUDIT_FAIL_CLOSED && !AuditService.isAvailable) {
+            return next(new ServerError('Auditing is unavailable', 503));
+        }
+
+        next();
+    };
+};
+
+/**
+ * Oggetto dell'operazione: percorso o identificativo nei params, altrimenti il nome nel body o nella query
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const targetOf = (req) => {
+    const { params = {}, body, query } = req;
+    return params[0]
+        ?? params.identifier
+        ?? params.clientId
+        ?? params.id
+        ?? params.folderId
+        ?? params.name
+        ?? params.key
+        ?? params.kekId
+        ?? body?.name
+        ?? query?.name
+        ?? null;
+};
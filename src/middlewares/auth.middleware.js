@@ -1,19 +1,27 @@
 import { asyncHandler } from "../helpers/asyncHandler.js";
 import { ClientService } from "../services/client.service.js";
+import { TokenService } from "../services/token.service.js";
 import { ServerError } from "../helpers/serverError.js";
-import { JWT } from "../auth/jsonwebtoken.js";
+import { SigningKeyService } from "../services/signingKey.service.js";
+import { ClientCertificateService } from "../services/clientCertificate.service.js";
+import { ApiKeyService } from "../services/apiKey.service.js";
+import { RoleService } from "../services/role.service.js";
 import { Config } from "../config.js";
 
 /**
  * Middleware di autorizzazione che verifica:
- * 1. Presenza e validità del token JWT
+ * 1. Presenza e validità del token JWT, non revocato,
+ *    oppure in alternativa una API key (header X-API-Key)
+ *    o un certificato client verificato (mTLS) associato a un client
  * 2. Stato attivo del client
- * 3. Eventuali ruoli o permessi richiesti
+ * 3. Eventuali ruoli o permessi richiesti (i permessi effettivi includono quelli ereditati dai ruoli)
  * 
  * @param {Object} options - Opzioni di configurazione
  * @param {string[]} [options.roles] - Ruoli richiesti (almeno uno)
  * @param {string[]} [options.permissions] - Permessi richiesti (almeno uno)
  * @param {boolean} [options.requireAllPermissions=false] - Se true, richiede tutti i permessi specificati
+ * @param {boolean} [options.allowApiKey=true] - Se false la route non è accessibile con una API key
+ *                                              (es. gestione delle credenziali del client)
  * @returns {Function} Middleware Express
  * 
  * @example
@@ -32,30 +40,48 @@ import { Config } from "../config.js";
 export const Authorize = (options = {}) => {
     return asyncHandler(async (req, res, next) => {
         const authHeader = req.headers.authorization;
-        
-        // Verifica presenza token
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            throw new ServerError('Authentication required', 401);
-        }
-
         const service = new ClientService();
-        const token = authHeader.split(' ')[1];
-        const { isValid, payload } = await JWT.verify(token, Config.JWT_SIGN_KEY);
 
-        // Verifica validità token
-        if (!isValid || !payload) {
-            throw new ServerError('Invalid or expired token', 401);
+        // Token se presente, poi API key, altrimenti certificato client
+        let auth;
+        if (authHeader) {
+            auth = await authenticateBearer(authHeader);
+        } else if (req.headers['x-api-key']) {
+            auth = await authenticateApiKey(req.headers['x-api-key'], req.ip);
+        } else if (Config.TLS_CLIENT_CA && req.socket.authorized) {
+            auth = await authenticateCertificate(req.socket.getPeerCertificate());
+        } else {
+            throw new ServerError('Authentication required', 401);
         }
 
+        // Dati del token, della API key o del certificato: usati da logout e revoca,
+        // e dall'audit log anche quando la richiesta viene poi rifiutata
+        req.auth = auth;
+
         // Verifica stato client
-        const client = await service.getClientById(payload.clientId);
+        const client = await service.getClientById(auth.clientId);
         if (!client || !client.isActive) {
             throw new ServerError('Client account is inactive', 401);
         }
 
-        // Estrai ruoli e permessi dal payload
-        const clientRoles = payload.roles || [];
-        const clientPermissions = payload.permissions || [];
+        // Ruoli e permessi letti dal database (non dal token), le modifiche valgono senza un nuovo login.
+        // Dal token arrivano solo i ruoli della sessione di un workload, i loro permessi sono letti dal database
+        let { roles: clientRoles, permissions: clientPermissions } = await service.getAccess(client.id, auth.roles);
+
+        // Una API key non può ottenere credenziali che valgono come il client intero
+        if (auth.method === 'apiKey' && options.allowApiKey === false) {
+            throw new ServerError('Not allowed with an API key', 403);
+        }
+
+        // Una API key usa solo i permessi a lei concessi che il client ha ancora, mai il ruolo admin.
+        // Per un admin il ruolo '*' vale come ogni permesso e ogni policy, entro i permessi e le cartelle della chiave
+        const adminKey = auth.method === 'apiKey' && clientRoles.includes(RoleService.ADMIN_ROLE);
+        if (auth.method === 'apiKey') {
+            clientRoles = clientRoles.filter(role => role !== RoleService.ADMIN_ROLE);
+            clientPermissions = adminKey
+                ? auth.permissions
+                : clientPermissions.filter(permission => auth.permissions.includes(permission));
+        }
         
         // Verifica ruoli se specificati
         if (options.roles && options.roles.length > 0) {
@@ -93,13 +119,89 @@ export const Authorize = (options = {}) => {
 
         // Aggiungi informazioni del client alla request
         req.client = {
-            id: payload.clientId,
+            id: client.id,
             name: client.name,
             roles: clientRoles,
             permissions: clientPermissions,
-            isActive: client.isActive
+            isActive: client.isActive,
+            // Cartelle raggiungibili con la API key, entro le policy (undefined = nessun limite)
+            folders: auth.folders,
+            // API key di un admin: le cartelle della chiave sono raggiungibili senza policy
+            adminKey
         };
-
         next();
     });
-};
\ No newline at end of file
+};
+
+/**
+ * Verifica il bearer token
+ * @param {string} authHeader - Header Authorization
+ * @returns {Promise<{method: 'bearer', clientId: string, jti: string, fid?: string, exp: number, roles?: string[]}>}
+ * @throws {ServerError} Se il token manca, non è valido o è stato revocato
+ */
+const authenticateBearer = async (authHeader) => {
+    if (!authHeader.startsWith('Bearer ')) {
+        throw new ServerError('Authentication required', 401);
+    }
+
+    const token = authHeader.split(' ')[1];
+    const { isValid, payload } = await SigningKeyService.verify(token);
+
+    // Verifica validità token (i token senza jti non sono revocabili e non vengono accettati)
+    if (!isValid || !payload || !payload.jti) {
+        throw new ServerError('Invalid or expired token', 401);
+    }
+
+    // Verifica revoca (logout, revoca esplicita o riuso del refresh token)
+    if (await new TokenService().isRevoked(payload.jti)) {
+        throw new ServerError('Token has been revoked', 401);
+    }
+
+    return {
+        method: 'bearer',
+        clientId: payload.clientId,
+        jti: payload.jti,
+        fid: payload.fid,
+        exp: payload.exp,
+        // Ruoli della sessione, concessi dai claim del token del workload al login
+        roles: payload.roles
+    };
+};
+
+/**
+ * Verifica la API key
+ * @param {string} key - Header X-API-Key
+ * @param {string} ip - Indirizzo del chiamante, registrato come ultimo utilizzo
+ * @returns {Promise<{method: 'apiKey', clientId: string, keyId: string, permissions: string[], folders: string[]}>}
+ * @throws {ServerError} Se la chiave non è valida, è scaduta o è stata revocata
+ */
+const authenticateApiKey = async (key, ip) => {
+    const apiKey = await new ApiKeyService().authenticate(key, ip);
+
+    return {
+        method: 'apiKey',
+        clientId: apiKey.clientId,
+        keyId: apiKey.id,
+        permissions: apiKey.permissions,
+        folders: apiKey.folders
+    };
+};
+
+/**
+ * Associa il certificato client, già verificato dal TLS con la CA configurata, a un client
+ * @param {import('tls').PeerCertificate} certificate
+ * @returns {Promise<{method: 'certificate', clientId: string, fingerprint: string}>}
+ * @throws {ServerError} Se il certificato non è associato a nessun client
+ */
+const authenticateCertificate = async (certificate) => {
+    const clientId = await new ClientCertificateService().resolve(certificate);
+    if (!clientId) {
+        throw new ServerError('Client certificate is not bound to a client', 401);
+    }
+
+    return {
+        method: 'certificate',
+        clientId,
+        fingerprint: certificate.fingerprint256
+    };
+};
@@ -9,7 +9,13 @@ import { ServerError } from "../helpers/serverError.js";
  * @returns 
  */
 export const errorHandler = async (error, req, res, next) => {
+    // Risposta già iniziata (es. stream interrotto): l'errore non si può più inviare,
+    // il gestore di Express chiude la connessione
+    if (res.headersSent) {
+        return next(error);
+    }
     if (error instanceof ServerError) {
+        if (error.headers) res.set(error.headers);
         return res.status(error.httpStatusCode).json({ error: error.message });
     }
     // -- gestione di altri errori generici
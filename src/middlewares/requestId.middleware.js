@@ -0,0 +1,15 @@
+import { v7 as uuidv7 } from "uuid";
+
+/**
+ * Assegna un id a ogni richiesta (req.id), riusando l'header X-Request-Id
+ * del proxy o del chiamante se valido, e lo restituisce nella risposta
+ * @returns {Function} Middleware Express
+ */
+export const RequestId = () => {
+    return (req, res, next) => {
+        const header = req.get('X-Request-Id');
+        req.id = header && /^[\w.:-]{1,100}$/.test(header) ? header : uuidv7();
+        res.set('X-Request-Id', req.id);
+        next();
+    };
+};
@@ -0,0 +1,78 @@
+import { DataTypes } from "sequelize";
+import { v7 as uuidv7 } from "uuid";
+import { database } from "../data/database.js";
+
+export const ApiKey = database.define(
+    "ApiKey",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: () => uuidv7(),
+            primaryKey: true,
+        },
+        clientId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            comment: "Client per conto del quale agisce la chiave",
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            comment: "Descrizione, es. ci-deploy",
+        },
+        hashedKey: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            comment: "SHA-256 della parte segreta della chiave",
+        },
+        permissions: {
+            type: DataTypes.ARRAY(DataTypes.STRING(100)),
+            allowNull: false,
+            defaultValue: [],
+            comment: "Sottoinsieme dei permessi del client utilizzabili con la chiave",
+        },
+        folders: {
+            type: DataTypes.ARRAY(DataTypes.STRING(1000)),
+            allowNull: false,
+            defaultValue: [],
+            comment: "Glob dei percorsi raggiungibili, entro le policy del client",
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: null,
+        },
+        lastUsedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: null,
+        },
+        lastUsedIp: {
+            type: DataTypes.STRING(45),
+            allowNull: true,
+            defaultValue: null,
+        },
+        revokedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: null,
+        },
+        createdBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            defaultValue: null,
+            comment: "Admin che ha emesso la chiave",
+        },
+    },
+    {
+        tableName: "api_key",
+        timestamps: true,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+        indexes: [
+            {
+                fields: ["clientId"],
+            },
+        ],
+    }
+);
@@ -1,7 +1,18 @@
-import './client.js';
+import { Client } from './client.js';
 import { Secret } from './secret.js';
 import { DEK } from './dek.js';
 import { Folder } from './folder.js';
+import { SecretVersion } from './secretVersion.js';
+import { Role } from './role.js';
+import { Permission } from './permission.js';
+import { RolePermission } from './rolePermission.js';
+import { ClientRole } from './clientRole.js';
+import { ClientPermission } from './clientPermission.js';
+import { RefreshToken } from './refreshToken.js';
+import { RevokedToken } from './revokedToken.js';
+import { ClientCertificate } from './clientCertificate.js';
+import { ApiKey } from './apiKey.js';
+import { WorkloadIdentity } from './workloadIdentity.js';
 
 // Una DEK cifra n segreti
 
@@ -35,4 +46,120 @@ Folder.hasMany(Secret, {
 Secret.belongsTo(Folder, {
     foreignKey: 'folderId',
     onDelete: 'CASCADE'
-});
\ No newline at end of file
+});
+
+// Un segreto ha n versioni precedenti
+
+Secret.hasMany(SecretVersion, {
+    foreignKey: 'secretId',
+    onDelete: 'CASCADE',
+});
+
+SecretVersion.belongsTo(Secret, {
+    foreignKey: 'secretId',
+    onDelete: 'CASCADE',
+});
+
+SecretVersion.belongsTo(DEK, {
+    foreignKey: 'dekId',
+});
+
+// Un client ha n ruoli, un ruolo è assegnato a n client
+
+Client.belongsToMany(Role, {
+    through: ClientRole,
+    foreignKey: 'clientId',
+    otherKey: 'roleId',
+});
+
+Role.belongsToMany(Client, {
+    through: ClientRole,
+    foreignKey: 'roleId',
+    otherKey: 'clientId',
+});
+
+// Un ruolo concede n permessi, che i suoi client ereditano
+
+Role.belongsToMany(Permission, {
+    through: RolePermission,
+    foreignKey: 'roleId',
+    otherKey: 'permissionId',
+});
+
+Permission.belongsToMany(Role, {
+    through: RolePermission,
+    foreignKey: 'permissionId',
+    otherKey: 'roleId',
+});
+
+// Un client può avere anche permessi assegnati direttamente
+
+Client.belongsToMany(Permission, {
+    through: ClientPermission,
+    foreignKey: 'clientId',
+    otherKey: 'permissionId',
+});
+
+Permission.belongsToMany(Client, {
+    through: ClientPermission,
+    foreignKey: 'permissionId',
+    otherKey: 'clientId',
+});
+
+// Un client ha n refresh token e n access token revocati
+
+Client.hasMany(RefreshToken, {
+    foreignKey: 'clientId',
+    onDelete: 'CASCADE',
+});
+
+RefreshToken.belongsTo(Client, {
+    foreignKey: 'clientId',
+    onDelete: 'CASCADE',
+});
+
+Client.hasMany(RevokedToken, {
+    foreignKey: 'clientId',
+    onDelete: 'CASCADE',
+});
+
+RevokedToken.belongsTo(Client, {
+    foreignKey: 'clientId',
+    onDelete: 'CASCADE',
+});
+
+// Un client può essere autenticato da n certificati (CN o SAN)
+
+Client.hasMany(ClientCertificate, {
+    foreignKey: 'clientId',
+    onDelete: 'CASCADE',
+});
+
+ClientCertificate.belongsTo(Client, {
+    foreignKey: 'clientId',
+    onDelete: 'CASCADE',
+});
+
+// Un client ha n API key
+
+Client.hasMany(ApiKey, {
+    foreignKey: 'clientId',
+    onDelete: 'CASCADE',
+});
+
+ApiKey.belongsTo(Client, {
+    foreignKey: 'clientId',
+    onDelete: 'CASCADE',
+});
+
+// Un client può essere autenticato dai token di n workload (issuer + soggetto)
+
+Client.hasMany(WorkloadIdentity, {
+    foreignKey: 'clientId',
+    onDelete: 'CASCADE',
+});
+
+WorkloadIdentity.belongsTo(Client, {
+    foreignKey: 'clientId',
+    onDelete: 'CASCADE',
+});
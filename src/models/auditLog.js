@@ -0,0 +1,82 @@
+import { DataTypes } from "sequelize";
+import { database } from "../data/database.js";
+
+export const AuditLog = database.define(
+    "AuditLog",
+    {
+        id: {
+            type: DataTypes.BIGINT,
+            autoIncrement: true,
+            primaryKey: true,
+            comment: "Ordine della catena",
+        },
+        clientId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            defaultValue: null,
+            comment: "Client che ha eseguito l'operazione, null se non autenticato o di sistema",
+        },
+        action: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            comment: "Operazione, es. secret.read o dek.rotate-kek",
+        },
+        target: {
+            type: DataTypes.STRING(1000),
+            allowNull: true,
+            defaultValue: null,
+            comment: "Oggetto dell'operazione: percorso, nome o id",
+        },
+        outcome: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            validate: {
+                isIn: [["success", "denied", "failure"]],
+            },
+        },
+        status: {
+            type: DataTypes.SMALLINT,
+            allowNull: true,
+            defaultValue: null,
+            comment: "Status HTTP della risposta",
+        },
+        ip: {
+            type: DataTypes.STRING(45),
+            allowNull: true,
+            defaultValue: null,
+        },
+        requestId: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            defaultValue: null,
+        },
+        prevHash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            comment: "Hash della riga precedente",
+        },
+        hash: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            comment: "SHA-256 di prevHash e dei campi della riga",
+        },
+    },
+    {
+        tableName: "audit_log",
+        timestamps: true,
+        updatedAt: false,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+        indexes: [
+            {
+                fields: ["clientId"],
+            },
+            {
+                fields: ["action"],
+            },
+            {
+                fields: ["createdAt"],
+            },
+        ],
+    }
+);
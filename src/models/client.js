@@ -22,21 +22,35 @@ export const Client = database.define(
             allowNull: false,
             comment: "Hashed secret for the client"
         },
+        secretExpiresAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: null,
+            comment: "Expiry of the current secret, null = never"
+        },
+        previousHashedSecret: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+            defaultValue: null,
+            comment: "Secret replaced by the last rotation, valid until previousSecretExpiresAt"
+        },
+        previousSecretExpiresAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: null,
+            comment: "End of the grace period of the previous secret"
+        },
+        secretRotatedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: null,
+            comment: "Last secret rotation"
+        },
         isActive: {
             type: DataTypes.BOOLEAN,
             defaultValue: true,
             comment: "Indicates if the client is active"
         },
-        roles: {
-            type: DataTypes.STRING,
-            defaultValue: '',
-            comment: "Comma-separated roles for the client"
-        },
-        permissions: {
-            type: DataTypes.STRING,
-            defaultValue: '',
-            comment: "Comma-separated permissions for the client"
-        },
         lastUsedAt: {
             type: DataTypes.DATE,
             allowNull: true,
@@ -0,0 +1,47 @@
+import { DataTypes } from "sequelize";
+import { v7 as uuidv7 } from "uuid";
+import { database } from "../data/database.js";
+
+export const ClientCertificate = database.define(
+    "ClientCertificate",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: () => uuidv7(),
+            primaryKey: true,
+        },
+        clientId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            comment: "Client autenticato dal certificato",
+        },
+        type: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            validate: {
+                isIn: [["cn", "dns", "uri", "email", "ip"]],
+            },
+            comment: "Campo del certificato: CN del subject o tipo di SAN",
+        },
+        value: {
+            type: DataTypes.STRING(500),
+            allowNull: false,
+            comment: "Valore atteso, es. payments.internal o spiffe://corp/payments",
+        },
+    },
+    {
+        tableName: "client_certificate",
+        timestamps: true,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+        indexes: [
+            {
+                fields: ["type", "value"],
+                unique: true,
+            },
+            {
+                fields: ["clientId"],
+            },
+        ],
+    }
+);
@@ -0,0 +1,24 @@
+import { DataTypes } from "sequelize";
+import { database } from "../data/database.js";
+
+export const ClientPermission = database.define(
+    "ClientPermission",
+    {
+        clientId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: "Client a cui è assegnato",
+        },
+        permissionId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: "Permesso assegnato",
+        },
+    },
+    {
+        tableName: "client_permission",
+        timestamps: false,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+    }
+);
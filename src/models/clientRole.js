@@ -0,0 +1,24 @@
+import { DataTypes } from "sequelize";
+import { database } from "../data/database.js";
+
+export const ClientRole = database.define(
+    "ClientRole",
+    {
+        clientId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: "Client a cui è assegnato",
+        },
+        roleId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: "Ruolo assegnato",
+        },
+    },
+    {
+        tableName: "client_role",
+        timestamps: false,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+    }
+);
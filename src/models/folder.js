@@ -1,4 +1,4 @@
-import { DataTypes } from "sequelize";
+import { DataTypes, Op } from "sequelize";
 import { v7 as uuidv7 } from "uuid";
 import { database } from "../data/database.js";
 
@@ -13,7 +13,7 @@ export const Folder = database.define(
         name: {
             type: DataTypes.STRING(100),
             allowNull: false,
-            unique: true,
+            comment: "Univoco all'interno della cartella padre",
         },
         parentId: {
             type: DataTypes.UUID,
@@ -25,7 +25,24 @@ export const Folder = database.define(
     {
         tableName: "folder",
         timestamps: true,
+        paranoid: true,
         charset: "utf8mb4",
         collate: "utf8mb4_unicode_ci",
+        indexes: [
+            // Nome univoco per cartella padre, escluse le cartelle nel cestino.
+            // Due indici perché in Postgres NULL != NULL (cartelle root)
+            {
+                name: "folder_parent_id_name",
+                fields: ["parentId", "name"],
+                unique: true,
+                where: { parentId: { [Op.ne]: null }, deletedAt: null },
+            },
+            {
+                name: "folder_root_name",
+                fields: ["name"],
+                unique: true,
+                where: { parentId: null, deletedAt: null },
+            },
+        ],
     }
 );
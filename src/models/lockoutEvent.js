@@ -0,0 +1,60 @@
+import { DataTypes } from "sequelize";
+import { v7 as uuidv7 } from "uuid";
+import { database } from "../data/database.js";
+
+export const LockoutEvent = database.define(
+    "LockoutEvent",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: () => uuidv7(),
+            primaryKey: true,
+        },
+        type: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            validate: {
+                isIn: [["lock", "unlock"]],
+            },
+        },
+        key: {
+            type: DataTypes.STRING(200),
+            allowNull: false,
+            comment: "client:<nome>, issuer:<iss> oppure ip:<indirizzo>",
+        },
+        failures: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: "Tentativi falliti che hanno causato il blocco",
+        },
+        lockedUntil: {
+            type: DataTypes.DATE,
+            allowNull: true,
+        },
+        ip: {
+            type: DataTypes.STRING(100),
+            allowNull: true,
+            comment: "Indirizzo dell'ultimo tentativo",
+        },
+        actorId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            comment: "Amministratore che ha sbloccato",
+        },
+    },
+    {
+        tableName: "lockout_event",
+        timestamps: true,
+        updatedAt: false,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+        indexes: [
+            {
+                fields: ["key"],
+            },
+            {
+                fields: ["createdAt"],
+            },
+        ],
+    }
+);
@@ -0,0 +1,47 @@
+import { DataTypes } from "sequelize";
+import { database } from "../data/database.js";
+
+export const LoginAttempt = database.define(
+    "LoginAttempt",
+    {
+        key: {
+            type: DataTypes.STRING(200),
+            primaryKey: true,
+            comment: "client:<nome>, issuer:<iss> oppure ip:<indirizzo>",
+        },
+        failures: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            comment: "Tentativi falliti consecutivi nella finestra",
+        },
+        lastFailureAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: null,
+        },
+        pending: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            comment: "Tentativi in corso, non ancora verificati: non contano come falliti",
+        },
+        lastAttemptAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: null,
+            comment: "Inizio dell'ultimo tentativo in corso",
+        },
+        lockedUntil: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: null,
+        },
+    },
+    {
+        tableName: "login_attempt",
+        timestamps: false,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+    }
+);
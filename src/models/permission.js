@@ -0,0 +1,31 @@
+import { DataTypes } from "sequelize";
+import { v7 as uuidv7 } from "uuid";
+import { database } from "../data/database.js";
+
+export const Permission = database.define(
+    "Permission",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: () => uuidv7(),
+            primaryKey: true,
+        },
+        name: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            unique: true,
+            comment: "Nome del permesso (es. secrets:write)",
+        },
+        description: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+            defaultValue: null,
+        },
+    },
+    {
+        tableName: "permission",
+        timestamps: true,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+    }
+);
@@ -0,0 +1,54 @@
+import { DataTypes } from "sequelize";
+import { v7 as uuidv7 } from "uuid";
+import { database } from "../data/database.js";
+
+export const Policy = database.define(
+    "Policy",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: () => uuidv7(),
+            primaryKey: true,
+        },
+        subjectType: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            validate: {
+                isIn: [["client", "role"]],
+            },
+            comment: "A chi si applica la policy: client o role",
+        },
+        subject: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            comment: "Id del client o nome del ruolo",
+        },
+        path: {
+            type: DataTypes.STRING(1000),
+            allowNull: false,
+            comment: "Glob sul percorso di cartelle e segreti (es. /prod/**, **/db-*)",
+        },
+        capabilities: {
+            type: DataTypes.ARRAY(DataTypes.STRING(10)),
+            allowNull: false,
+            defaultValue: [],
+            comment: "Operazioni consentite: read, create, update, delete, list",
+        },
+        description: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+            defaultValue: null,
+        },
+    },
+    {
+        tableName: "policy",
+        timestamps: true,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+        indexes: [
+            {
+                fields: ["subjectType", "subject"],
+            },
+        ],
+    }
+);
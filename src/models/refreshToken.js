@@ -0,0 +1,77 @@
+import { DataTypes } from "sequelize";
+import { v7 as uuidv7 } from "uuid";
+import { database } from "../data/database.js";
+
+export const RefreshToken = database.define(
+    "RefreshToken",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: () => uuidv7(),
+            primaryKey: true,
+        },
+        clientId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            comment: "Client a cui appartiene il token",
+        },
+        familyId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            comment: "Catena di rotazione nata da un login, revocata insieme in caso di riuso",
+        },
+        hashedToken: {
+            type: DataTypes.STRING(64),
+            allowNull: false,
+            comment: "SHA-256 della parte segreta del token",
+        },
+        accessJti: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            comment: "jti dell'access token emesso insieme a questo refresh token",
+        },
+        accessExpiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            comment: "Scadenza dell'access token emesso insieme",
+        },
+        roles: {
+            type: DataTypes.ARRAY(DataTypes.STRING(100)),
+            allowNull: false,
+            defaultValue: [],
+            comment: "Ruoli concessi alla sessione oltre a quelli del client, dai claim del token del workload",
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+        },
+        usedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: null,
+            comment: "Quando è stato ruotato, un secondo utilizzo è un riuso",
+        },
+        revokedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: null,
+        },
+    },
+    {
+        tableName: "refresh_token",
+        timestamps: true,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+        indexes: [
+            {
+                fields: ["familyId"],
+            },
+            {
+                fields: ["clientId"],
+            },
+            {
+                fields: ["expiresAt"],
+            },
+        ],
+    }
+);
@@ -0,0 +1,34 @@
+import { DataTypes } from "sequelize";
+import { database } from "../data/database.js";
+
+export const RevokedToken = database.define(
+    "RevokedToken",
+    {
+        jti: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: "jti dell'access token revocato",
+        },
+        clientId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: false,
+            comment: "Scadenza del token, dopo la quale la riga può essere eliminata",
+        },
+    },
+    {
+        tableName: "revoked_token",
+        timestamps: true,
+        updatedAt: false,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+        indexes: [
+            {
+                fields: ["expiresAt"],
+            },
+        ],
+    }
+);
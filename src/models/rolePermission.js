@@ -0,0 +1,24 @@
+import { DataTypes } from "sequelize";
+import { database } from "../data/database.js";
+
+export const RolePermission = database.define(
+    "RolePermission",
+    {
+        roleId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: "Ruolo che concede il permesso",
+        },
+        permissionId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: "Permesso concesso",
+        },
+    },
+    {
+        tableName: "role_permission",
+        timestamps: false,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+    }
+);
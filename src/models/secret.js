@@ -1,4 +1,4 @@
-import { DataTypes } from "sequelize";
+import { DataTypes, Op } from "sequelize";
 import { v7 as uuidv7 } from "uuid";
 import { database } from "../data/database.js";
 
@@ -13,25 +13,88 @@ export const Secret = database.define(
         name: {
             type: DataTypes.STRING(100),
             allowNull: false,
-            unique: true,
+            comment: "Univoco all'interno della cartella padre",
         },
         lastRotation: {
             type: DataTypes.DATE,
             allowNull: true,
             comment: "Data ultima rotazione DEK",
         },
+        lastAccessedAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: null,
+            comment: "Data ultima lettura del valore",
+        },
+        lastAccessedBy: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            defaultValue: null,
+            comment: "Client che ha letto il valore per ultimo",
+        },
+        accessCount: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0,
+            comment: "Numero di letture del valore",
+        },
         dekId: {
             type: DataTypes.INTEGER,
             allowNull: false,
             defaultValue: 1,
             comment: "Versione DEK usata per cifrare",
         },
+        version: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 1,
+            comment: "Versione corrente del segreto",
+        },
         folderId: {
             type: DataTypes.UUID,
             allowNull: true,
             defaultValue: null,
             comment: "Se null allora fa parte della cartella root"
         },
+        format: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            defaultValue: "text",
+            validate: {
+                isIn: [["text", "json", "binary"]],
+            },
+            comment: "Formato del valore in chiaro: text, json o binary",
+        },
+        contentType: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+            defaultValue: null,
+            comment: "Content type dei segreti binari",
+        },
+        expiresAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: null,
+            comment: "Dopo questa data il segreto non viene più restituito",
+        },
+        metadata: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            defaultValue: {},
+            comment: "Metadati chiave/valore in chiaro (owner, environment, ...)",
+        },
+        tags: {
+            type: DataTypes.ARRAY(DataTypes.STRING(50)),
+            allowNull: false,
+            defaultValue: [],
+            comment: "Tag in chiaro per la ricerca",
+        },
+        blobId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            defaultValue: null,
+            comment: "Se valorizzato i dati sono cifrati a segmenti in secret_chunk",
+        },
         data: {
             type: DataTypes.BLOB,
             allowNull: false,
@@ -41,7 +104,35 @@ export const Secret = database.define(
     {
         tableName: "secret",
         timestamps: true,
+        paranoid: true,
         charset: "utf8mb4",
         collate: "utf8mb4_unicode_ci",
+        indexes: [
+            // Nome univoco per cartella, esclusi i segreti nel cestino.
+            // Due indici perché in Postgres NULL != NULL (cartella root)
+            {
+                name: "secret_folder_id_name",
+                fields: ["folderId", "name"],
+                unique: true,
+                where: { folderId: { [Op.ne]: null }, deletedAt: null },
+            },
+            {
+                name: "secret_root_name",
+                fields: ["name"],
+                unique: true,
+                where: { folderId: null, deletedAt: null },
+            },
+            {
+                fields: ["expiresAt"],
+            },
+            {
+                fields: ["tags"],
+                using: "gin",
+            },
+            {
+                fields: [{ name: "metadata", operator: "jsonb_path_ops" }],
+                using: "gin",
+            },
+        ],
     }
 );
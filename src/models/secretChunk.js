@@ -0,0 +1,29 @@
+import { DataTypes } from "sequelize";
+import { database } from "../data/database.js";
+
+export const SecretChunk = database.define(
+    "SecretChunk",
+    {
+        blobId: {
+            type: DataTypes.UUID,
+            primaryKey: true,
+            comment: "Blob a cui appartiene il segmento",
+        },
+        index: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            comment: "Posizione del segmento nel blob",
+        },
+        data: {
+            type: DataTypes.BLOB,
+            allowNull: false,
+            comment: "Segmento cifrato",
+        },
+    },
+    {
+        tableName: "secret_chunk",
+        timestamps: false,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+    }
+);
@@ -0,0 +1,65 @@
+import { DataTypes } from "sequelize";
+import { v7 as uuidv7 } from "uuid";
+import { database } from "../data/database.js";
+
+export const SecretVersion = database.define(
+    "SecretVersion",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: () => uuidv7(),
+            primaryKey: true,
+        },
+        secretId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            comment: "Segreto a cui appartiene la versione",
+        },
+        version: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            comment: "Numero di versione del segreto",
+        },
+        dekId: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            comment: "Versione DEK usata per cifrare",
+        },
+        format: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            defaultValue: "text",
+            comment: "Formato del valore in chiaro: text, json o binary",
+        },
+        contentType: {
+            type: DataTypes.STRING(255),
+            allowNull: true,
+            defaultValue: null,
+            comment: "Content type dei segreti binari",
+        },
+        blobId: {
+            type: DataTypes.UUID,
+            allowNull: true,
+            defaultValue: null,
+            comment: "Se valorizzato i dati sono cifrati a segmenti in secret_chunk",
+        },
+        data: {
+            type: DataTypes.BLOB,
+            allowNull: false,
+            comment: "Questi dati sono cifrati",
+        },
+    },
+    {
+        tableName: "secret_version",
+        timestamps: true,
+        updatedAt: false,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+        indexes: [
+            {
+                fields: ["secretId", "version"],
+                unique: true,
+            },
+        ],
+    }
+);
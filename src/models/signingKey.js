@@ -0,0 +1,65 @@
+import { DataTypes } from "sequelize";
+import { v7 as uuidv7 } from "uuid";
+import { database } from "../data/database.js";
+
+export const SigningKey = database.define(
+    "SigningKey",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: () => uuidv7(),
+            primaryKey: true,
+            comment: "Usato come kid nell'header dei JWT",
+        },
+        alg: {
+            type: DataTypes.STRING(10),
+            allowNull: false,
+            validate: {
+                isIn: [["EdDSA", "ES256"]],
+            },
+        },
+        publicKey: {
+            type: DataTypes.JSONB,
+            allowNull: false,
+            comment: "Chiave pubblica in formato JWK, pubblicata in /.well-known/jwks.json",
+        },
+        privateKey: {
+            type: DataTypes.BLOB,
+            allowNull: false,
+            comment: "Chiave privata PKCS#8 cifrata con la kek",
+        },
+        kekId: {
+            type: DataTypes.STRING(100),
+            allowNull: false,
+            defaultValue: "default",
+            comment: "Identificatore della KEK usata per cifrare la chiave privata",
+        },
+        isActive: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: true,
+            comment: "Chiave usata per firmare i nuovi token (una sola attiva)",
+        },
+        retiredAt: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: null,
+            comment: "Dopo la rotazione la chiave verifica ancora i token per Config.JWT_KEY_GRACE_HOURS",
+        },
+    },
+    {
+        tableName: "signing_key",
+        timestamps: true,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+        indexes: [
+            // Una sola chiave attiva, anche con più istanze che ruotano insieme
+            {
+                name: "signing_key_active",
+                fields: ["isActive"],
+                unique: true,
+                where: { isActive: true },
+            },
+        ],
+    }
+);
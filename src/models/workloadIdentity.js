@@ -0,0 +1,44 @@
+import { DataTypes } from "sequelize";
+import { v7 as uuidv7 } from "uuid";
+import { database } from "../data/database.js";
+
+export const WorkloadIdentity = database.define(
+    "WorkloadIdentity",
+    {
+        id: {
+            type: DataTypes.UUID,
+            defaultValue: () => uuidv7(),
+            primaryKey: true,
+        },
+        clientId: {
+            type: DataTypes.UUID,
+            allowNull: false,
+            comment: "Client autenticato dal token del workload",
+        },
+        issuer: {
+            type: DataTypes.STRING(500),
+            allowNull: false,
+            comment: "Claim iss, deve essere tra gli issuer configurati",
+        },
+        subject: {
+            type: DataTypes.STRING(500),
+            allowNull: false,
+            comment: "Valore atteso del claim soggetto, es. system:serviceaccount:ci:deployer",
+        },
+    },
+    {
+        tableName: "workload_identity",
+        timestamps: true,
+        charset: "utf8mb4",
+        collate: "utf8mb4_unicode_ci",
+        indexes: [
+            {
+                unique: true,
+                fields: ["issuer", "subject"],
+            },
+            {
+                fields: ["clientId"],
+            },
+        ],
+    }
+);
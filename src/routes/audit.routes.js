@@ -0,0 +1,15 @@
+import express from 'express';
+import { AuditController } from '../controllers/audit.controller.js';
+import { Authorize } from '../middlewares/auth.middleware.js';
+import { Audit } from '../middlewares/audit.middleware.js';
+
+const router = express.Router();
+const controller = new AuditController();
+
+// Admin only routes
+router.get('/', Audit('audit.list'), Authorize({ roles: ['*'] }), controller.list);
+router.get('/verify', Audit('audit.verify'), Authorize({ roles: ['*'] }), controller.verify);
+router.get('/sinks', Audit('audit.sinks'), Authorize({ roles: ['*'] }), controller.sinks);
+router.post('/sinks/acknowledge', Audit('audit.acknowledge-sink-drops'), Authorize({ roles: ['*'] }), controller.acknowledgeSinkDrops);
+
+export default router;
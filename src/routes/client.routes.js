@@ -1,19 +1,46 @@
 import express from 'express';
 import { ClientController } from '../controllers/client.controller.js';
 import { Authorize } from '../middlewares/auth.middleware.js';
+import { Audit } from '../middlewares/audit.middleware.js';
 
 const router = express.Router();
 const controller = new ClientController();
 
-// Admin only can register server
-// router.post('/register', Authorize({ roles: ['*'] }), controller.register);
-router.post('/register', controller.register);
+// Admins (or clients with the 'clients:register' permission) register new clients
+router.post('/register', Audit('client.register'), Authorize({ permissions: ['*', 'clients:register'] }), controller.register);
 
 // Public routes
-router.post('/login', controller.login);
+router.post('/login', Audit('client.login'), controller.login);
+router.post('/bootstrap', Audit('client.bootstrap'), controller.bootstrap);
+router.post('/refresh', Audit('client.refresh'), controller.refresh);
 
 // Protected routes
-router.delete('/:clientId/revoke', Authorize(), controller.revoke);
-router.get('/info/:clientId', Authorize(), controller.getClientInfo);
+router.post('/logout', Audit('client.logout'), Authorize(), controller.logout);
+// Credential management, not with an API key: a new secret or token would act as the whole client
+router.post('/token/revoke', Audit('client.revoke-token'), Authorize({ allowApiKey: false }), controller.revokeToken);
+router.post('/:clientId/rotate-secret', Audit('client.rotate-secret'), Authorize({ allowApiKey: false }), controller.rotateSecret);
+router.get('/me', Audit('client.me'), Authorize(), controller.me);
+router.get('/info/:clientId', Audit('client.read'), Authorize(), controller.getClientInfo);
+
+// Admin only routes
+router.get('/lockouts', Audit('client.list-lockouts'), Authorize({ roles: ['*'] }), controller.listLockouts);
+router.get('/lockouts/events', Audit('client.list-lockout-events'), Authorize({ roles: ['*'] }), controller.listLockoutEvents);
+router.delete('/lockouts/:key', Audit('client.unlock'), Authorize({ roles: ['*'] }), controller.unlock);
+router.get('/', Audit('client.list'), Authorize({ roles: ['*'] }), controller.list);
+router.patch('/:clientId', Audit('client.update'), Authorize({ roles: ['*'] }), controller.update);
+router.delete('/:clientId', Audit('client.delete'), Authorize({ roles: ['*'] }), controller.delete);
+router.delete('/:clientId/revoke', Audit('client.revoke'), Authorize({ roles: ['*'] }), controller.revoke);
+router.post('/:clientId/reactivate', Audit('client.reactivate'), Authorize({ roles: ['*'] }), controller.reactivate);
+router.get('/:clientId/certificates', Audit('client.list-certificates'), Authorize({ roles: ['*'] }), controller.listCertificates);
+router.post('/:clientId/certificates', Audit('client.add-certificate'), Authorize({ roles: ['*'] }), controller.addCertificate);
+router.delete('/:clientId/certificates/:id', Audit('client.remove-certificate'), Authorize({ roles: ['*'] }), controller.removeCertificate);
+router.get('/:clientId/workload-identities', Audit('client.list-workload-identities'), Authorize({ roles: ['*'] }), controller.listWorkloadIdentities);
+router.post('/:clientId/workload-identities', Audit('client.add-workload-identity'), Authorize({ roles: ['*'] }), controller.addWorkloadIdentity);
+router.delete('/:clientId/workload-identities/:id', Audit('client.remove-workload-identity'), Authorize({ roles: ['*'] }), controller.removeWorkloadIdentity);
+router.get('/:clientId/api-keys', Audit('client.list-api-keys'), Authorize({ roles: ['*'] }), controller.listApiKeys);
+router.post('/:clientId/api-keys', Audit('client.issue-api-key'), Authorize({ roles: ['*'] }), controller.issueApiKey);
+router.delete('/:clientId/api-keys/:id', Audit('client.revoke-api-key'), Authorize({ roles: ['*'] }), controller.revokeApiKey);
+router.put('/:clientId/roles', Audit('client.set-roles'), Authorize({ roles: ['*'] }), controller.setRoles);
+router.put('/:clientId/permissions', Audit('client.set-permissions'), Authorize({ roles: ['*'] }), controller.setPermissions);
 
 export default router;
\ No newline at end of file
@@ -1,17 +1,17 @@
 import express from "express";
 import { DEKController } from "../controllers/dek.controller.js";
 import { Authorize } from "../middlewares/auth.middleware.js";
+import { Audit } from "../middlewares/audit.middleware.js";
 
 const router = express.Router();
 const controller = new DEKController();
 
 // Admin only routes
-router.use(Authorize({ roles: ['*'] }));
-router.post("/", controller.create);
-router.get("/:includeKeys", controller.list);
-router.get("/:id", controller.get);
-router.get("/by-kek/:kekId/:includeKeys", controller.getByKek);
-router.delete("/:id", controller.delete);
+router.post("/", Audit("dek.create"), Authorize({ roles: ['*'] }), controller.create);
+router.get("/:includeKeys", Audit("dek.list"), Authorize({ roles: ['*'] }), controller.list);
+router.get("/:id", Audit("dek.read"), Authorize({ roles: ['*'] }), controller.get);
+router.get("/by-kek/:kekId/:includeKeys", Audit("dek.list-by-kek"), Authorize({ roles: ['*'] }), controller.getByKek);
+router.delete("/:id", Audit("dek.delete"), Authorize({ roles: ['*'] }), controller.delete);
 // 
-router.post("/rotate-kek", controller.rotateToNewKek);
+router.post("/rotate-kek", Audit("dek.rotate-kek"), Authorize({ roles: ['*'] }), controller.rotateToNewKek);
 export default router;
\ No newline at end of file
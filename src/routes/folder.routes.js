@@ -1,16 +1,20 @@
 import express from 'express';
 import { FolderController } from '../controllers/folder.controller.js';
 import { Authorize } from '../middlewares/auth.middleware.js';
+import { Audit } from '../middlewares/audit.middleware.js';
 
 const router = express.Router();
 const controller = new FolderController();
 
-router.use(Authorize());
-router.post('/', controller.create);
-router.get('/:id/path', controller.getPath);
-router.get('/:id', controller.get);
-router.put('/:id', controller.update);
-router.delete('/:id', controller.delete);
-router.get('/', controller.list);
+router.post('/', Audit('folder.create'), Authorize(), controller.create);
+router.get('/tree', Audit('folder.tree'), Authorize(), controller.tree);
+router.post('/bulk-move', Audit('folder.bulk-move'), Authorize(), controller.bulkMove);
+router.get('/:id/path', Audit('folder.path'), Authorize(), controller.getPath);
+router.get('/:id', Audit('folder.read'), Authorize(), controller.get);
+router.put('/:id', Audit('folder.update'), Authorize(), controller.update);
+router.delete('/:id', Audit('folder.delete'), Authorize(), controller.delete);
+router.post('/:id/restore', Audit('folder.restore'), Authorize(), controller.restore);
+router.post('/:id/copy', Audit('folder.copy'), Authorize(), controller.copy);
+router.get('/', Audit('folder.list'), Authorize(), controller.list);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,14 @@
+import express from 'express';
+import { PermissionController } from '../controllers/permission.controller.js';
+import { Authorize } from '../middlewares/auth.middleware.js';
+import { Audit } from '../middlewares/audit.middleware.js';
+
+const router = express.Router();
+const controller = new PermissionController();
+
+// Admin only routes
+router.post('/', Audit('permission.create'), Authorize({ roles: ['*'] }), controller.create);
+router.get('/', Audit('permission.list'), Authorize({ roles: ['*'] }), controller.list);
+router.delete('/:id', Audit('permission.delete'), Authorize({ roles: ['*'] }), controller.delete);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { PolicyController } from '../controllers/policy.controller.js';
+import { Authorize } from '../middlewares/auth.middleware.js';
+import { Audit } from '../middlewares/audit.middleware.js';
+
+const router = express.Router();
+const controller = new PolicyController();
+
+// Admin only routes
+router.post('/', Audit('policy.create'), Authorize({ roles: ['*'] }), controller.create);
+router.get('/', Audit('policy.list'), Authorize({ roles: ['*'] }), controller.list);
+router.get('/:id', Audit('policy.read'), Authorize({ roles: ['*'] }), controller.get);
+router.put('/:id', Audit('policy.update'), Authorize({ roles: ['*'] }), controller.update);
+router.delete('/:id', Audit('policy.delete'), Authorize({ roles: ['*'] }), controller.delete);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { RoleController } from '../controllers/role.controller.js';
+import { Authorize } from '../middlewares/auth.middleware.js';
+import { Audit } from '../middlewares/audit.middleware.js';
+
+const router = express.Router();
+const controller = new RoleController();
+
+// Admin only routes
+router.post('/', Audit('role.create'), Authorize({ roles: ['*'] }), controller.create);
+router.get('/', Audit('role.list'), Authorize({ roles: ['*'] }), controller.list);
+router.get('/:id', Audit('role.read'), Authorize({ roles: ['*'] }), controller.get);
+router.put('/:id', Audit('role.update'), Authorize({ roles: ['*'] }), controller.update);
+router.delete('/:id', Audit('role.delete'), Authorize({ roles: ['*'] }), controller.delete);
+
+export default router;
@@ -1,17 +1,45 @@
 import express from 'express';
 import { SecretController } from '../controllers/secret.controller.js';
 import { Authorize } from '../middlewares/auth.middleware.js';
+import { Audit } from '../middlewares/audit.middleware.js';
+import { Config } from '../config.js';
 
 const router = express.Router();
 const controller = new SecretController();
+// Binary secrets are sent as the raw request body, whatever the content type
+const rawBody = express.raw({ type: () => true, limit: Config.BINARY_SECRET_LIMIT });
+// JSON body for all the other routes, never parsed before an upload reads the raw request
+const jsonBody = express.json();
 
-router.use(Authorize());
-router.post('/', controller.create);
-router.get('/:identifier', controller.get);
-router.put('/:id', controller.update);
-router.delete('/:id', controller.delete);
-router.get('/', controller.list);
-router.get('/folder/:folderId', controller.listFolder);
-router.get('/:name/exists', controller.exists);
+// Path based routes first, so the path is never taken for an identifier
+router.use('/by-path', jsonBody);
+router.get('/by-path/*', Audit('secret.read', { failClosed: true }), Authorize(), controller.getByPath);
+router.post('/by-path/*', Audit('secret.create'), Authorize(), controller.createByPath);
+router.put('/by-path/*', Audit('secret.update'), Authorize(), controller.updateByPath);
+router.delete('/by-path/*', Audit('secret.delete'), Authorize(), controller.deleteByPath);
+// Uploads before the JSON parser
+router.post('/binary', Audit('secret.create'), Authorize(), rawBody, controller.createBinary);
+router.post('/stream', Audit('secret.create'), Authorize(), controller.createStream);
+router.put('/:id/binary', Audit('secret.update'), Authorize(), rawBody, controller.updateBinary);
+router.put('/:id/stream', Audit('secret.update'), Authorize(), controller.updateStream);
+router.use(jsonBody);
+router.post('/', Audit('secret.create'), Authorize(), controller.create);
+router.get('/stale', Audit('secret.list-stale'), Authorize(), controller.stale);
+router.get('/:identifier', Audit('secret.read', { failClosed: true }), Authorize(), controller.get);
+router.get('/:identifier/binary', Audit('secret.read', { failClosed: true }), Authorize(), controller.download);
+router.get('/:identifier/stream', Audit('secret.read', { failClosed: true }), Authorize(), controller.downloadStream);
+router.get('/:identifier/fields/:field', Audit('secret.read-field', { failClosed: true }), Authorize(), controller.getField);
+router.get('/:id/versions', Audit('secret.list-versions'), Authorize(), controller.listVersions);
+router.post('/:id/rollback', Audit('secret.rollback'), Authorize(), controller.rollback);
+router.post('/:id/restore', Audit('secret.restore'), Authorize(), controller.restore);
+router.post('/:id/move', Audit('secret.move'), Authorize(), controller.move);
+router.post('/:id/copy', Audit('secret.copy'), Authorize(), controller.copy);
+router.put('/:id', Audit('secret.update'), Authorize(), controller.update);
+router.patch('/:id/metadata', Audit('secret.update-metadata'), Authorize(), controller.updateMetadata);
+router.patch('/:id/fields', Audit('secret.update-fields'), Authorize(), controller.patchFields);
+router.delete('/:id', Audit('secret.delete'), Authorize(), controller.delete);
+router.get('/', Audit('secret.list'), Authorize(), controller.list);
+router.get('/folder/:folderId', Audit('secret.list'), Authorize(), controller.listFolder);
+router.get('/:name/exists', Audit('secret.exists'), Authorize(), controller.exists);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,13 @@
+import express from 'express';
+import { SigningKeyController } from '../controllers/signingKey.controller.js';
+import { Authorize } from '../middlewares/auth.middleware.js';
+import { Audit } from '../middlewares/audit.middleware.js';
+
+const router = express.Router();
+const controller = new SigningKeyController();
+
+// Admin only routes
+router.get('/', Audit('signing-key.list'), Authorize({ roles: ['*'] }), controller.list);
+router.post('/rotate', Audit('signing-key.rotate'), Authorize({ roles: ['*'] }), controller.rotate);
+
+export default router;
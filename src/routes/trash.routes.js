@@ -0,0 +1,14 @@
+import express from 'express';
+import { TrashController } from '../controllers/trash.controller.js';
+import { Authorize } from '../middlewares/auth.middleware.js';
+import { Audit } from '../middlewares/audit.middleware.js';
+
+const router = express.Router();
+const controller = new TrashController();
+
+// Admin only
+router.delete('/', Audit('trash.purge'), Authorize({ roles: ['*'] }), controller.purge);
+
+router.get('/', Audit('trash.list'), Authorize(), controller.list);
+
+export default router;
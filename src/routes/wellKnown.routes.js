@@ -0,0 +1,10 @@
+import express from 'express';
+import { SigningKeyController } from '../controllers/signingKey.controller.js';
+
+const router = express.Router();
+const controller = new SigningKeyController();
+
+// Public routes
+router.get('/jwks.json', controller.jwks);
+
+export default router;
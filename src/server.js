@@ -1,14 +1,33 @@
 import express from 'express';
+import https from 'node:https';
+import { readFileSync } from 'node:fs';
 import { database } from './data/database.js';
 import { Config } from './config.js';
 import { errorHandler } from './middlewares/errorHandler.js';
+import { RequestId } from './middlewares/requestId.middleware.js';
 import './models/associations.js';
 import { KeyManagementService } from './crypto/services/keyManagementService.js';
+import { BootstrapService } from './services/bootstrap.service.js';
+import { WorkloadIdentityService } from './services/workloadIdentity.service.js';
+import { AuditService } from './services/audit.service.js';
+import { SigningKeyService } from './services/signingKey.service.js';
+import { TrashPurgeJob } from './jobs/trashPurge.job.js';
+import { ExpiredSecretsJob } from './jobs/expiredSecrets.job.js';
+import { TokenPurgeJob } from './jobs/tokenPurge.job.js';
+import { SigningKeyReloadJob } from './jobs/signingKeyReload.job.js';
+import { LoginAttemptPurgeJob } from './jobs/loginAttemptPurge.job.js';
 // routes
 import secretRouter from './routes/secret.routes.js';
 import clientRouter from './routes/client.routes.js';
 import dekRouter from './routes/dek.routes.js';
 import folderRouter from './routes/folder.routes.js';
+import trashRouter from './routes/trash.routes.js';
+import policyRouter from './routes/policy.routes.js';
+import roleRouter from './routes/role.routes.js';
+import permissionRouter from './routes/permission.routes.js';
+import signingKeyRouter from './routes/signingKey.routes.js';
+import wellKnownRouter from './routes/wellKnown.routes.js';
+import auditRouter from './routes/audit.routes.js';
 
 /**
  * Globals
@@ -26,15 +45,27 @@ const router = express.Router();
  * MIDDLEWARES
  * qui ci sono i middleware che verranno utilizzati in tutte le routes
  */
-app.use(express.json());
+app.set('trust proxy', Config.TRUST_PROXY);
+// Id della richiesta, riportato nell'audit log
+app.use(RequestId());
 /**
  * ROUTES
  */
 app.use('/api', router);
+// Chiavi pubbliche per verificare i token offline
+app.use('/.well-known', wellKnownRouter);
+// Il body JSON è letto per router: quello dei segreti lo salta per gli upload binari e in streaming
+const jsonBody = express.json();
 router.use('/secret', secretRouter);
-router.use('/client', clientRouter);
-router.use('/dek', dekRouter);
-router.use('/folder', folderRouter);
+router.use('/client', jsonBody, clientRouter);
+router.use('/dek', jsonBody, dekRouter);
+router.use('/folder', jsonBody, folderRouter);
+router.use('/trash', jsonBody, trashRouter);
+router.use('/policy', jsonBody, policyRouter);
+router.use('/role', jsonBody, roleRouter);
+router.use('/permission', jsonBody, permissionRouter);
+router.use('/signing-key', jsonBody, signingKeyRouter);
+router.use('/audit', jsonBody, auditRouter);
 /**
  * Middlewares per gli errori
  */
@@ -49,9 +80,23 @@ try {
     // await database.sync({ force: true });
     // console.log('☑️ Struct');
     // ---
-    app.listen(Config.PORT, '0.0.0.0', () => {
-        console.log(`☑️ Server`);
-    });
+    if (Config.TLS_CERT) {
+        // HTTPS, con la CA dei client il certificato è richiesto ma non obbligatorio:
+        // chi non lo presenta può autenticarsi con il bearer token
+        https.createServer({
+            cert: readFileSync(Config.TLS_CERT),
+            key: readFileSync(Config.TLS_KEY),
+            ca: Config.TLS_CLIENT_CA ? readFileSync(Config.TLS_CLIENT_CA) : undefined,
+            requestCert: !!Config.TLS_CLIENT_CA,
+            rejectUnauthorized: false,
+        }, app).listen(Config.PORT, '0.0.0.0', () => {
+            console.log(`☑️ Server (https)`);
+        });
+    } else {
+        app.listen(Config.PORT, '0.0.0.0', () => {
+            console.log(`☑️ Server`);
+        });
+    }
 } catch (error) {
     console.error('❌ Errore durante l\'avvio del server => ' + error);
 }
@@ -60,4 +105,16 @@ try {
  * Inizializzo i componenti
  */
 await Config.initialize();
-await KeyManagementService.initialize();
\ No newline at end of file
+await KeyManagementService.initialize();
+await SigningKeyService.initialize();
+await BootstrapService.initialize();
+await WorkloadIdentityService.initialize();
+AuditService.initialize();
+/**
+ * Job in background
+ */
+TrashPurgeJob.start();
+ExpiredSecretsJob.start();
+TokenPurgeJob.start();
+SigningKeyReloadJob.start();
+LoginAttemptPurgeJob.start();
\ No newline at end of file
@@ -0,0 +1,188 @@
+import { randomBytes, createHash, timingSafeEqual } from 'node:crypto';
+import { Op } from 'sequelize';
+
+import { Config } from '../config.js';
+import { Client } from '../models/client.js';
+import { ApiKey } from '../models/apiKey.js';
+import { Permission } from '../models/permission.js';
+import { ServerError } from '../helpers/serverError.js';
+import { Validator } from '../validator/validator.js';
+import { ClientService } from './client.service.js';
+import { RoleService } from './role.service.js';
+
+/**
+ * Long-lived API keys issued by an admin on behalf of a client, accepted by Authorize
+ * in the X-API-Key header. A key carries a subset of the client's permissions and reaches
+ * only the folders it is scoped to, never more than the client's own policies allow.
+ * The key of an administrator reaches its folders without policies, like the '*' role, but
+ * never the admin-only routes
+ */
+export class ApiKeyService {
+    // lastUsedAt is written at most once per interval, not on every request
+    static #touchInterval = 60 * 1000;
+
+    /**
+     * Issues a new API key, the key is returned only here
+     * @param {string} clientId - Client the key acts for
+     * @param {object} options
+     * @param {string} options.name - Description, e.g. 'ci-deploy'
+     * @param {string[]} [options.permissions=[]] - Permissions usable with the key, held by the client
+     * @param {string[]} [options.folders=[]] - Path globs the key can reach, e.g. '/ci/**'
+     * @param {Date|string|null} [options.expiresAt] - Expiry, default Config.API_KEY_LIFETIME_DAYS, null = never
+     * @param {string} [issuerId] - Admin issuing the key
+     * @returns {Promise<{key: string, apiKey: Object}>} The key and its description
+     * @throws {ServerError} If the client doesn't exist or doesn't hold a permission
+     * (an administrator holds every existing permission)
+     */
+    async issue(clientId, { name, permissions = [], folders = [], expiresAt }, issuerId = null) {
+        const client = await Client.findByPk(clientId, { attributes: ['id'] });
+        if (!client) {
+            throw new ServerError('Client not found', 404);
+        }
+
+        // The key of an administrator never gets the '*' role, it gets the requested permissions out of it
+        const access = await new ClientService().getAccess(clientId);
+        const held = access.roles.includes(RoleService.ADMIN_ROLE)
+            ? (await Permission.findAll({ attributes: ['name'], where: { name: permissions } })).map(p => p.name)
+            : access.permissions;
+        const missing = permissions.filter(permission => !held.includes(permission));
+        if (missing.length > 0) {
+            throw new ServerError(`Permissions not held by the client: ${missing.join(', ')}`, 400);
+        }
+
+        const secret = randomBytes(32).toString('base64url');
+        const apiKey = await ApiKey.create({
+            clientId,
+            name,
+            hashedKey: this.#hash(secret),
+            permissions,
+            folders,
+            expiresAt: this.#expiry(expiresAt),
+            createdBy: issuerId,
+        });
+
+        return { key: `${apiKey.id}.${secret}`, apiKey: this.describe(apiKey) };
+    }
+
+    /**
+     * Lists the API keys of a client, newest first
+     * @param {string} clientId - Client ID
+     * @returns {Promise<Object[]>} Keys without hash
+     */
+    async list(clientId) {
+        const keys = await ApiKey.findAll({
+            where: { clientId },
+            order: [['createdAt', 'DESC']],
+        });
+        return keys.map(key => this.describe(key));
+    }
+
+    /**
+     * Revokes an API key, it stays listed with its revocation date
+     * @param {string} clientId - Client ID
+     * @param {string} id - API key ID
+     * @returns {Promise<void>}
+     * @throws {ServerError} If the key is not found or already revoked
+     */
+    async revoke(clientId, id) {
+        const apiKey = await ApiKey.findOne({ where: { id, clientId } });
+        if (!apiKey) {
+            throw new ServerError('API key not found', 404);
+        }
+        if (apiKey.revokedAt) {
+            throw new ServerError('API key already revoked', 409);
+        }
+
+        await apiKey.update({ revokedAt: new Date() });
+    }
+
+    /**
+     * Verifies an API key and records its use
+     * @param {string} key - Value of the X-API-Key header, '<id>.<secret>'
+     * @param {string} [ip] - Caller address
+     * @returns {Promise<ApiKey>}
+     * @throws {ServerError} If the key is invalid, revoked or expired
+     */
+    async authenticate(key, ip) {
+        const [id, secret] = String(key ?? '').split('.');
+        if (!id || !secret || !Validator.isUuid(id)) {
+            throw new ServerError('Invalid API key', 401);
+        }
+
+        const apiKey = await ApiKey.findByPk(id);
+        if (!apiKey || !this.#matches(secret, apiKey.hashedKey)) {
+            throw new ServerError('Invalid API key', 401);
+        }
+        if (apiKey.revokedAt) {
+            throw new ServerError('API key has been revoked', 401);
+        }
+        if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+            throw new ServerError('API key expired', 401);
+        }
+
+        const now = new Date();
+        await ApiKey.update({ lastUsedAt: now, lastUsedIp: ip ?? null }, {
+            where: {
+                id,
+                [Op.or]: [
+                    { lastUsedAt: null },
+                    { lastUsedAt: { [Op.lt]: new Date(now.getTime() - ApiKeyService.#touchInterval) } },
+                ],
+            },
+            silent: true,
+        });
+
+        return apiKey;
+    }
+
+    /**
+     * @param {ApiKey} apiKey
+     * @returns {Object} The key fields without hash
+     */
+    describe(apiKey) {
+        return {
+            id: apiKey.id,
+            clientId: apiKey.clientId,
+            name: apiKey.name,
+            permissions: apiKey.permissions,
+            folders: apiKey.folders,
+            expiresAt: apiKey.expiresAt,
+            lastUsedAt: apiKey.lastUsedAt,
+            lastUsedIp: apiKey.lastUsedIp,
+            revokedAt: apiKey.revokedAt,
+            createdBy: apiKey.createdBy,
+            createdAt: apiKey.createdAt,
+        };
+    }
+
+    /**
+     * @param {Date|string|null|undefined} expiresAt - Explicit expiry, undefined uses the default
+     * @returns {Date|null}
+     */
+    #expiry(expiresAt) {
+        if (expiresAt !== undefined) {
+            return expiresAt === null ? null : new Date(expiresAt);
+        }
+        if (Config.API_KEY_LIFETIME_DAYS > 0) {
+            return new Date(Date.now() + Config.API_KEY_LIFETIME_DAYS * 24 * 60 * 60 * 1000);
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} secret
+     * @returns {string} SHA-256 hex, the secret is random so a slow hash is not needed
+     */
+    #hash(secret) {
+        return createHash('sha256').update(secret).digest('hex');
+    }
+
+    /**
+     * @param {string} secret
+     * @param {string} hashedKey
+     * @returns {boolean}
+     */
+    #matches(secret, hashedKey) {
+        return timingSafeEqual(Buffer.from(this.#hash(secret)), Buffer.from(hashedKey));
+    }
+}
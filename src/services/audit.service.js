@@ -0,0 +1,288 @@
+import { createHash } from 'node:crypto';
+import { Op } from 'sequelize';
+
+import { Config } from '../config.js';
+import { AuditLog } from '../models/auditLog.js';
+import { database } from '../data/database.js';
+import { FileAuditSink } from '../audit/fileSink.js';
+import { SyslogAuditSink } from '../audit/syslogSink.js';
+import { WebhookAuditSink } from '../audit/webhookSink.js';
+
+/**
+ * Append-only audit log. Every row stores the SHA-256 of the previous row's hash and of its own
+ * fields, so changing, removing or reordering rows breaks the chain and verify() reports where.
+ * Removing the newest rows is only detectable against a head hash kept elsewhere (see verify()).
+ * Committed entries are also forwarded, in chain order, to the sinks in Config.AUDIT_SINKS
+ */
+export class AuditService {
+    static OUTCOMES = ['success', 'denied', 'failure'];
+    static GENESIS_HASH = '0'.repeat(64);
+    static #sinks = [];
+    // Entries of this process are appended one after the other, so the sinks get them in chain order
+    static #tail = Promise.resolve();
+    static #databaseHealthy = true;
+
+    /**
+     * Creates the sinks listed in Config.AUDIT_SINKS
+     */
+    static initialize() {
+        for (const name of Config.AUDIT_SINKS) {
+            switch (name) {
+                case 'file':
+                    this.useSink(new FileAuditSink({
+                        path: Config.AUDIT_FILE_PATH,
+                        maxBytes: Config.AUDIT_FILE_MAX_BYTES,
+                        maxFiles: Config.AUDIT_FILE_MAX_FILES,
+                    }));
+                    break;
+                case 'syslog':
+                    this.useSink(new SyslogAuditSink({
+                        host: Config.AUDIT_SYSLOG_HOST,
+                        port: Config.AUDIT_SYSLOG_PORT,
+                        protocol: Config.AUDIT_SYSLOG_PROTOCOL,
+                        appName: Config.AUDIT_SYSLOG_APP_NAME,
+                    }));
+                    break;
+                case 'webhook':
+                    if (!Config.AUDIT_WEBHOOK_URL) {
+                        throw new Error('The webhook audit sink needs AUDIT_WEBHOOK_URL');
+                    }
+                    this.useSink(new WebhookAuditSink({
+                        url: Config.AUDIT_WEBHOOK_URL,
+                        timeoutMs: Config.AUDIT_WEBHOOK_TIMEOUT_MS,
+                    }));
+                    break;
+                default:
+                    throw new Error(`Unknown audit sink '${name}'`);
+            }
+        }
+    }
+
+    /**
+     * Adds a destination for the audit entries
+     * @param {import('../audit/auditSink.js').AuditSink} sink
+     */
+    static useSink(sink) {
+        this.#sinks.push(sink);
+    }
+
+    /**
+     * @returns {boolean} False if the last write to the database failed or a sink is failing
+     */
+    static get isAvailable() {
+        return this.#databaseHealthy && this.#sinks.every(sink => sink.healthy);
+    }
+
+    /**
+     * Reports the state of the sinks
+     * @returns {Array<{name: string, healthy: boolean, pending: number, dropped: number}>}
+     */
+    sinks() {
+        return AuditService.#sinks.map((sink) => ({
+            name: sink.name,
+            healthy: sink.healthy,
+            pending: sink.pending,
+            dropped: sink.dropped,
+        }));
+    }
+
+    /**
+     * Acknowledges the events dropped by the sinks, which stop failing the fail-closed reads.
+     * The acknowledgement is itself audited, so the gap is recorded in the chain
+     * @returns {Array<{name: string, acknowledged: number}>}
+     */
+    acknowledgeSinkDrops() {
+        return AuditService.#sinks.map((sink) => ({
+            name: sink.name,
+            acknowledged: sink.acknowledgeDrops(),
+        }));
+    }
+
+    /**
+     * Appends an entry to the chain
+     * @param {object} entry
+     * @param {string} entry.action - Operation, e.g. 'secret.read'
+     * @param {'success'|'denied'|'failure'} entry.outcome
+     * @param {string|null} [entry.clientId] - Client that performed the operation, null for the system
+     * @param {string|null} [entry.target] - Path, name or id the operation applies to
+     * @param {number|null} [entry.status] - HTTP status
+     * @param {string|null} [entry.ip] - Caller address
+     * @param {string|null} [entry.requestId] - X-Request-Id of the request
+     * @returns {Promise<AuditLog>}
+     */
+    async record(entry) {
+        const result = AuditService.#tail.then(async () => {
+            let row;
+            try {
+                row = await this.#append(entry);
+                AuditService.#databaseHealthy = true;
+            } catch (error) {
+                AuditService.#databaseHealthy = false;
+                throw error;
+            }
+
+            const event = this.#event(row);
+            for (const sink of AuditService.#sinks) {
+                sink.enqueue(event);
+            }
+            return row;
+        });
+        AuditService.#tail = result.catch(() => {});
+
+        return await result;
+    }
+
+    /**
+     * @param {Object} entry - See record()
+     * @returns {Promise<AuditLog>} The committed row
+     */
+    async #append({ action, outcome, clientId = null, target = null, status = null, ip = null, requestId = null }) {
+        return await database.transaction(async (transaction) => {
+            // One writer at a time across instances, each row links to the last one
+            await database.query("SELECT pg_advisory_xact_lock(hashtext('audit_log'))", { transaction });
+
+            const last = await AuditLog.findOne({
+                attributes: ['hash'],
+                order: [['id', 'DESC']],
+                transaction,
+            });
+
+            const entry = {
+                clientId,
+                action,
+                target: target === null ? null : String(target).slice(0, 1000),
+                outcome,
+                status,
+                ip,
+                requestId,
+                createdAt: new Date(),
+                prevHash: last?.hash ?? AuditService.GENESIS_HASH,
+            };
+
+            return await AuditLog.create({ ...entry, hash: this.#hash(entry) }, { transaction });
+        });
+    }
+
+    /**
+     * Lists the entries, newest first
+     * @param {object} [filters]
+     * @param {string} [filters.clientId]
+     * @param {string} [filters.action] - Exact action, or a prefix ending with '*' (e.g. 'secret.*')
+     * @param {string} [filters.target]
+     * @param {string} [filters.outcome]
+     * @param {Date|string} [filters.from] - Entries created at or after
+     * @param {Date|string} [filters.to] - Entries created before
+     * @param {number} [filters.limit=50]
+     * @param {number} [filters.offset=0]
+     * @returns {Promise<{count: number, rows: AuditLog[]}>}
+     */
+    async list({ clientId, action, target, outcome, from, to, limit = 50, offset = 0 } = {}) {
+        const where = {};
+        if (clientId) where.clientId = clientId;
+        if (target) where.target = target;
+        if (outcome) where.outcome = outcome;
+        if (action) {
+            where.action = action.endsWith('*')
+                ? { [Op.startsWith]: action.slice(0, -1) }
+                : action;
+        }
+        if (from || to) {
+            where.createdAt = {
+                ...(from && { [Op.gte]: new Date(from) }),
+                ...(to && { [Op.lt]: new Date(to) }),
+            };
+        }
+
+        return await AuditLog.findAndCountAll({
+            where,
+            order: [['id', 'DESC']],
+            limit,
+            offset,
+        });
+    }
+
+    /**
+     * Recomputes the whole chain. The returned head hash can be stored outside the database:
+     * a later verification ending with a different hash at the same id means rows were removed
+     * @returns {Promise<{valid: boolean, count: number, lastId: string|null, lastHash: string, brokenAt?: string, reason?: string}>}
+     */
+    async verify() {
+        let prevHash = AuditService.GENESIS_HASH;
+        let lastId = null;
+        let count = 0;
+
+        while (true) {
+            const rows = await AuditLog.findAll({
+                where: lastId === null ? {} : { id: { [Op.gt]: lastId } },
+                order: [['id', 'ASC']],
+                limit: 1000,
+            });
+            if (rows.length === 0) break;
+
+            for (const row of rows) {
+                if (row.prevHash !== prevHash) {
+                    return { valid: false, count, lastId, lastHash: prevHash, brokenAt: row.id, reason: 'Previous hash mismatch, rows were removed or reordered' };
+                }
+                if (row.hash !== this.#hash(row)) {
+                    return { valid: false, count, lastId, lastHash: prevHash, brokenAt: row.id, reason: 'Hash mismatch, the row was modified' };
+                }
+
+                prevHash = row.hash;
+                lastId = row.id;
+                count++;
+            }
+        }
+
+        return { valid: true, count, lastId, lastHash: prevHash };
+    }
+
+    /**
+     * @param {number} status - HTTP status of the response
+     * @returns {'success'|'denied'|'failure'}
+     */
+    static outcomeOf(status) {
+        if (status < 400) return 'success';
+        if (status === 401 || status === 403) return 'denied';
+        return 'failure';
+    }
+
+    /**
+     * @param {AuditLog} row
+     * @returns {import('../audit/auditSink.js').AuditEvent} The entry sent to the sinks
+     */
+    #event(row) {
+        return {
+            id: String(row.id),
+            createdAt: row.createdAt.toISOString(),
+            clientId: row.clientId,
+            action: row.action,
+            target: row.target,
+            outcome: row.outcome,
+            status: row.status,
+            ip: row.ip,
+            requestId: row.requestId,
+            prevHash: row.prevHash,
+            hash: row.hash,
+        };
+    }
+
+    /**
+     * @param {Object} entry - Row fields, prevHash included
+     * @returns {string} SHA-256 hex
+     */
+    #hash(entry) {
+        return createHash('sha256')
+            .update(JSON.stringify([
+                entry.prevHash,
+                new Date(entry.createdAt).toISOString(),
+                entry.clientId,
+                entry.action,
+                entry.target,
+                entry.outcome,
+                entry.status,
+                entry.ip,
+                entry.requestId,
+            ]))
+            .digest('hex');
+    }
+}
@@ -0,0 +1,89 @@
+import { randomBytes, createHash, timingSafeEqual } from 'node:crypto';
+
+import { Config } from '../config.js';
+import { Role } from '../models/role.js';
+import { Client } from '../models/client.js';
+import { ServerError } from '../helpers/serverError.js';
+import { HexEncoder } from '../utils/encoders/hex.js';
+import { RoleService } from './role.service.js';
+
+/**
+ * First setup of the vault: while no client holds the '*' role a one-time
+ * bootstrap token is accepted to create the first administrator
+ */
+export class BootstrapService {
+    static #tokenHash = null;
+    static #running = false;
+
+    /**
+     * Prepares the bootstrap token if the vault has no administrator yet.
+     * The token is taken from BOOTSTRAP_TOKEN or generated and printed once on the console
+     */
+    static async initialize() {
+        if (await this.hasAdmin()) {
+            this.#tokenHash = null;
+            return;
+        }
+
+        const token = Config.BOOTSTRAP_TOKEN || HexEncoder.encode(randomBytes(32));
+        this.#tokenHash = this.#hash(token);
+
+        if (!Config.BOOTSTRAP_TOKEN) {
+            console.log(`🔑 Bootstrap token (one-time, POST /api/client/bootstrap): ${token}`);
+        }
+    }
+
+    /**
+     * Checks if at least one client holds the administrator role
+     * @param {import('sequelize').Transaction} [transaction]
+     * @returns {Promise<boolean>}
+     */
+    static async hasAdmin(transaction) {
+        const count = await Client.count({
+            include: [{ model: Role, where: { name: RoleService.ADMIN_ROLE }, through: { attributes: [] } }],
+            transaction
+        });
+        return count > 0;
+    }
+
+    /**
+     * Runs the creation of the first administrator with a valid bootstrap token,
+     * the token is invalidated only if the creation succeeds
+     * @template T
+     * @param {string} token - Token received from the caller
+     * @param {() => Promise<T>} create - Creates the administrator
+     * @returns {Promise<T>}
+     * @throws {ServerError} If bootstrap is closed, already running or the token is wrong
+     */
+    static async run(token, create) {
+        if (!this.#tokenHash) {
+            throw new ServerError('Bootstrap already completed', 409);
+        }
+
+        const hash = this.#hash(String(token ?? ''));
+        if (!timingSafeEqual(hash, this.#tokenHash)) {
+            throw new ServerError('Invalid bootstrap token', 401);
+        }
+
+        if (this.#running) {
+            throw new ServerError('Bootstrap already in progress', 409);
+        }
+
+        this.#running = true;
+        try {
+            const result = await create();
+            this.#tokenHash = null;
+            return result;
+        } finally {
+            this.#running = false;
+        }
+    }
+
+    /**
+     * @param {string} token
+     * @returns {Buffer} SHA-256 of the token, fixed length for timingSafeEqual
+     */
+    static #hash(token) {
+        return createHash('sha256').update(token).digest();
+    }
+}
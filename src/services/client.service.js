@@ -1,40 +1,67 @@
 import argon2 from 'argon2';
+import { randomBytes } from 'node:crypto';
+import { Op } from 'sequelize';
 
 import { Config } from '../config.js';
 import { Client } from '../models/client.js';
+import { Role } from '../models/role.js';
+import { Permission } from '../models/permission.js';
+import { Policy } from '../models/policy.js';
+import { database } from '../data/database.js';
 import { ServerError } from '../helpers/serverError.js';
-import { JWT } from '../auth/jsonwebtoken.js';
+import { RoleService } from './role.service.js';
+import { BootstrapService } from './bootstrap.service.js';
+import { TokenService } from './token.service.js';
+import { LoginThrottleService } from './loginThrottle.service.js';
+import { WorkloadIdentityService } from './workloadIdentity.service.js';
 
 export class ClientService {
+    constructor() {
+        this.tokenService = new TokenService();
+        this.loginThrottle = new LoginThrottleService();
+        this.workloadIdentity = new WorkloadIdentityService();
+    }
 
     /**
      * Creates a new API client
      * @param {string} name - Client name/identifier
      * @param {string} secret - Plain text secret
-     * @param {string[]} [roles] - Array of roles
-     * @param {string[]} [permissions] - Array of permissions
+     * @param {string[]} [roles] - Names of existing roles
+     * @param {string[]} [permissions] - Names of existing permissions, granted directly
+     * @param {object} [options]
+     * @param {{roles: string[], permissions: string[]}} [options.grantor] - Client creating the new one (req.client),
+     * it can only grant roles and permissions it holds
+     * @param {Date|string} [options.expiresAt] - Secret expiry, defaults to Config.CLIENT_SECRET_LIFETIME_DAYS
      * @returns {Promise<Client>} The created client record
-     * @throws {ServerError} If creation fails
+     * @throws {ServerError} If creation fails, a role/permission doesn't exist or can't be granted
      */
-    async createClient(name, secret, roles = [], permissions = []) {
+    async createClient(name, secret, roles = [], permissions = [], { grantor = null, expiresAt } = {}) {
         if (!name || !secret) {
             throw new ServerError('Name and secret are required', 400);
         }
 
+        if (grantor) {
+            this.#assertCanGrant(grantor, { roles, permissions });
+        }
+
         try {
             const hashedSecret = await argon2.hash(secret, {
                 type: argon2.argon2id
             });
             
-            const client = await Client.create({
-                name,
-                hashedSecret,
-                roles: roles.join(','),
-                permissions: permissions.join(',')
-            });
+            return await database.transaction(async (transaction) => {
+                const client = await Client.create({
+                    name,
+                    hashedSecret,
+                    secretExpiresAt: this.#secretExpiry(expiresAt)
+                }, { transaction });
 
-            return client;
+                await this.#assignAccess(client, { roles, permissions }, transaction);
+
+                return client;
+            });
         } catch (error) {
+            if (error instanceof ServerError) throw error;
             if (error.name === 'SequelizeUniqueConstraintError') {
                 throw new ServerError('Client name already exists', 409);
             }
@@ -43,72 +70,321 @@ export class ClientService {
     }
 
     /**
-     * Authenticates a client and generates a JWT
+     * Creates the first administrator (role '*') with the one-time bootstrap token
+     * @param {string} token - Bootstrap token printed at startup or set in BOOTSTRAP_TOKEN
+     * @param {string} name - Administrator name
+     * @param {string} secret - Administrator secret
+     * @returns {Promise<Client>} The created client record
+     * @throws {ServerError} If the token is wrong or an administrator already exists
+     */
+    async bootstrapAdmin(token, name, secret) {
+        return await BootstrapService.run(token, async () => {
+            if (await BootstrapService.hasAdmin()) {
+                throw new ServerError('Bootstrap already completed', 409);
+            }
+            return await this.createClient(name, secret, [RoleService.ADMIN_ROLE]);
+        });
+    }
+
+    /**
+     * Authenticates a client and starts a new token family
      * @param {string} name - Client name
      * @param {string} secret - Client secret
-     * @returns {Promise<{token: string, client: Client}>} JWT token and client info
-     * @throws {ServerError} If authentication fails
+     * @param {string} [ip] - Caller address, failures are also counted per IP
+     * @returns {Promise<{token: string, refreshToken: string, refreshExpiresAt: Date, client: Object}>} Access and refresh token, client info
+     * @throws {ServerError} If authentication fails or too many attempts failed (429)
      */
-    async authenticate(name, secret) {
+    async authenticate(name, secret, ip) {
         if (!name || !secret) {
             throw new ServerError('Id and secret are required', 400);
         }
 
+        // Reserved before argon2: a blocked caller doesn't cost a hash, and concurrent
+        // attempts are counted before any of them is verified
+        const account = LoginThrottleService.clientKey(name);
+        await this.loginThrottle.reserveAttempt(account, ip);
+
         const client = await Client.findOne({ where: { name: name } });
         if (!client || !client.isActive) {
+            await this.loginThrottle.recordFailure(account, ip);
             throw new ServerError('Invalid client credentials', 401);
         }
 
-        try {
-            const isValid = await argon2.verify(client.hashedSecret, secret);
-            if (!isValid) {
-                throw new ServerError('Invalid client credentials', 401);
+        const now = new Date();
+        const isCurrent = await this.#verifySecret(client.hashedSecret, secret);
+        // The secret replaced by the last rotation works until the end of the grace period
+        const isPrevious = !isCurrent
+            && client.previousSecretExpiresAt > now
+            && await this.#verifySecret(client.previousHashedSecret, secret);
+
+        if (!isCurrent && !isPrevious) {
+            await this.loginThrottle.recordFailure(account, ip);
+            throw new ServerError('Invalid client credentials', 401);
+        }
+
+        await this.loginThrottle.recordSuccess(account, ip);
+
+        if (isCurrent && client.secretExpiresAt && client.secretExpiresAt <= now) {
+            throw new ServerError('Client credentials expired', 401);
+        }
+
+        return await this.#startSession(client);
+    }
+
+    /**
+     * Authenticates a workload with a JWT signed by a trusted external issuer
+     * (e.g. a Kubernetes service account token) and starts a new token family
+     * @param {string} assertion - Workload JWT
+     * @param {string} [ip] - Caller address, failures are also counted per IP
+     * @returns {Promise<{token: string, refreshToken: string, refreshExpiresAt: Date, client: Object}>} Access and refresh token, client info
+     * with the roles mapped from the token claims
+     * @throws {ServerError} If the token is invalid, not bound to an active client or too many verifications failed (429)
+     */
+    async authenticateWorkload(assertion, ip) {
+        const { client, roles } = await this.workloadIdentity.authenticate(assertion, ip);
+        return await this.#startSession(client, roles);
+    }
+
+    /**
+     * Replaces the secret of a client with a new random one.
+     * The old secret stays valid for the grace period, so deployments can switch without downtime.
+     * Without a grace period the secret is treated as leaked and the client's sessions are revoked too
+     * @param {string} clientId - Client ID
+     * @param {{id: string, roles: string[]}} requester - Authenticated client (req.client), only itself or an admin
+     * @param {object} [options]
+     * @param {number} [options.gracePeriodHours] - Validity of the old secret, defaults to Config.CLIENT_SECRET_GRACE_HOURS, 0 = revoked now
+     * @param {Date|string} [options.expiresAt] - Expiry of the new secret, defaults to Config.CLIENT_SECRET_LIFETIME_DAYS
+     * @returns {Promise<{secret: string, expiresAt: Date|null, previousSecretExpiresAt: Date|null}>} The new secret, shown only once
+     * @throws {ServerError} If the client doesn't exist or the requester can't rotate it
+     */
+    async rotateSecret(clientId, requester, { gracePeriodHours = Config.CLIENT_SECRET_GRACE_HOURS, expiresAt } = {}) {
+        if (requester.id !== clientId && !requester.roles.includes(RoleService.ADMIN_ROLE)) {
+            throw new ServerError('Clients can only rotate their own secret', 403);
+        }
+
+        const client = await Client.findByPk(clientId);
+        if (!client) {
+            throw new ServerError('Client not found', 404);
+        }
+
+        const secret = randomBytes(32).toString('base64url');
+        const hashedSecret = await argon2.hash(secret, {
+            type: argon2.argon2id
+        });
+        const now = new Date();
+        const previousSecretExpiresAt = gracePeriodHours > 0
+            ? new Date(now.getTime() + gracePeriodHours * 60 * 60 * 1000)
+            : null;
+
+        await client.update({
+            hashedSecret,
+            secretExpiresAt: this.#secretExpiry(expiresAt),
+            previousHashedSecret: previousSecretExpiresAt ? client.hashedSecret : null,
+            previousSecretExpiresAt,
+            secretRotatedAt: now
+        });
+
+        // Tokens obtained with the old secret would outlive it
+        if (!previousSecretExpiresAt) {
+            await this.tokenService.revokeClientTokens(clientId);
+        }
+
+        return {
+            secret,
+            expiresAt: client.secretExpiresAt,
+            previousSecretExpiresAt
+        };
+    }
+
+    /**
+     * Describes the credential state of a client, with warnings when the secret
+     * expires within Config.CLIENT_SECRET_WARNING_DAYS or an old secret is still valid
+     * @param {Client} client
+     * @returns {{expiresAt: Date|null, rotatedAt: Date|null, previousSecretExpiresAt: Date|null, warnings: string[]}}
+     */
+    getCredentialStatus(client) {
+        const now = new Date();
+        const warnings = [];
+        const warningLimit = new Date(now.getTime() + Config.CLIENT_SECRET_WARNING_DAYS * 24 * 60 * 60 * 1000);
+
+        if (client.secretExpiresAt && client.secretExpiresAt <= now) {
+            warnings.push(`Secret expired on ${client.secretExpiresAt.toISOString()}, an admin must rotate it before the client can log in again`);
+        } else if (client.secretExpiresAt && client.secretExpiresAt <= warningLimit) {
+            warnings.push(`Secret expires on ${client.secretExpiresAt.toISOString()}, rotate it before then`);
+        }
+
+        const previousValid = client.previousSecretExpiresAt > now;
+        if (previousValid) {
+            warnings.push(`Previous secret still valid until ${client.previousSecretExpiresAt.toISOString()}`);
+        }
+
+        return {
+            expiresAt: client.secretExpiresAt,
+            rotatedAt: client.secretRotatedAt,
+            previousSecretExpiresAt: previousValid ? client.previousSecretExpiresAt : null,
+            warnings
+        };
+    }
+
+    /**
+     * Lists the clients with their effective access, ordered by name
+     * @param {object} [filters]
+     * @param {string} [filters.search] - Part of the name, case insensitive
+     * @param {boolean} [filters.isActive] - Only active or only revoked clients
+     * @param {number} [filters.limit=50]
+     * @param {number} [filters.offset=0]
+     * @returns {Promise<{count: number, clients: Object[]}>} Total matching and the requested page
+     */
+    async listClients({ search, isActive, limit = 50, offset = 0 } = {}) {
+        const where = {};
+        if (search) where.name = { [Op.iLike]: `%${search.replace(/[\\%_]/g, '\\$&')}%` };
+        if (isActive !== undefined) where.isActive = isActive;
+
+        const { count, rows } = await Client.findAndCountAll({
+            where,
+            include: this.#accessInclude(),
+            order: [['name', 'ASC']],
+            limit,
+            offset,
+            distinct: true
+        });
+
+        return {
+            count,
+            clients: rows.map(client => this.describe(client, this.#accessOf(client)))
+        };
+    }
+
+    /**
+     * Updates name, roles and/or direct permissions of a client
+     * @param {string} clientId - Client ID
+     * @param {object} changes
+     * @param {string} [changes.name] - New unique name
+     * @param {string[]} [changes.roles] - Role names, undefined keeps the current ones
+     * @param {string[]} [changes.permissions] - Permission names, undefined keeps the current ones
+     * @param {{id: string, roles: string[], permissions: string[]}} [grantor] - Client making the change (req.client)
+     * @returns {Promise<Object>} The updated client, see describe()
+     * @throws {ServerError} If the client doesn't exist, the name is taken, access can't be granted or it would remove the last active administrator
+     */
+    async updateClient(clientId, { name, roles, permissions }, grantor = null) {
+        if (grantor && (roles !== undefined || permissions !== undefined)) {
+            if (grantor.id === clientId) {
+                throw new ServerError('Clients cannot change their own roles or permissions', 403);
             }
+            this.#assertCanGrant(grantor, { roles, permissions });
+        }
+
+        try {
+            await database.transaction(async (transaction) => {
+                const client = await Client.findByPk(clientId, { transaction });
+                if (!client) {
+                    throw new ServerError('Client not found', 404);
+                }
+
+                if (name !== undefined) {
+                    await client.update({ name }, { transaction });
+                }
+                await this.#assignAccess(client, { roles, permissions }, transaction);
+            });
         } catch (error) {
-            throw new ServerError('Invalid client credentials', 401);
+            if (error instanceof ServerError) throw error;
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                throw new ServerError('Client name already exists', 409);
+            }
+            throw new ServerError(`Failed to update client: ${error.message}`, 500);
         }
 
-        // Update last used timestamp
-        await client.update({ lastUsedAt: new Date() });
+        const client = await Client.findByPk(clientId);
+        return this.describe(client, await this.getAccess(clientId));
+    }
 
-        // Generate JWT
-        const token = await JWT.sign(
-            { 
-                clientId: client.id,
-                roles: client.roles.split(',').filter(r => r),
-                permissions: client.permissions.split(',').filter(p => p)
-            },
-            Config.JWT_SIGN_KEY,
-            Config.JWT_LIFETIME,
+    /**
+     * Re-enables a revoked client, it must log in again (its tokens stay revoked)
+     * @param {string} clientId - Client ID
+     * @returns {Promise<boolean>} True if the client was reactivated, false if not found
+     */
+    async reactivateClient(clientId) {
+        const [affectedRows] = await Client.update(
+            { isActive: true },
+            { where: { id: clientId } }
         );
+        return affectedRows > 0;
+    }
 
-        return {
-            token,
-            client: {
-                id: client.id,
-                name: client.name,
-                roles: client.roles,
-                permissions: client.permissions,
-                createdAt: client.createdAt
+    /**
+     * Permanently deletes a client with its tokens, role/permission links and policies
+     * @param {string} clientId - Client ID
+     * @param {{id: string}} requester - Authenticated client (req.client)
+     * @returns {Promise<void>}
+     * @throws {ServerError} If the client doesn't exist, is the requester or the last active administrator
+     */
+    async deleteClient(clientId, requester) {
+        if (requester.id === clientId) {
+            throw new ServerError('Clients cannot delete themselves', 400);
+        }
+
+        await database.transaction(async (transaction) => {
+            const client = await Client.findByPk(clientId, { transaction });
+            if (!client) {
+                throw new ServerError('Client not found', 404);
             }
+            await this.#assertAdminRemains(clientId, transaction);
+
+            // Policies have no foreign key, subject is a client id or a role name
+            await Policy.destroy({ where: { subjectType: 'client', subject: clientId }, transaction });
+            await client.destroy({ transaction });
+        });
+    }
+
+    /**
+     * Public view of a client
+     * @param {Client} client
+     * @param {{roles: string[], permissions: string[]}} access - Effective access, see getAccess()
+     * @returns {Object}
+     */
+    describe(client, { roles, permissions }) {
+        return {
+            id: client.id,
+            name: client.name,
+            isActive: client.isActive,
+            roles,
+            permissions,
+            credentials: this.getCredentialStatus(client),
+            createdAt: client.createdAt,
+            lastUsedAt: client.lastUsedAt
         };
     }
 
     /**
-     * Revokes a client (disables it)
+     * Revokes a client (disables it) and all its tokens
      * @param {string} clientId - Client ID to revoke
+     * @param {{id: string}} [requester] - Authenticated client (req.client), can't revoke itself
      * @returns {Promise<boolean>} True if client was revoked, false if not found
-     * @throws {ServerError} If operation fails
+     * @throws {ServerError} If operation fails, the requester is the client or it's the last active administrator
      */
-    async revokeClient(clientId) {
+    async revokeClient(clientId, requester = null) {
+        if (requester?.id === clientId) {
+            throw new ServerError('Clients cannot revoke themselves, use logout', 400);
+        }
+
         try {
-            const [affectedRows] = await Client.update(
-                { isActive: false },
-                { where: { id: clientId } }
-            );
-            
+            const affectedRows = await database.transaction(async (transaction) => {
+                await this.#assertAdminRemains(clientId, transaction);
+
+                const [affectedRows] = await Client.update(
+                    { isActive: false },
+                    { where: { id: clientId }, transaction }
+                );
+                return affectedRows;
+            });
+
+            if (affectedRows > 0) {
+                await this.tokenService.revokeClientTokens(clientId);
+            }
+
             return affectedRows > 0;
         } catch (error) {
+            if (error instanceof ServerError) throw error;
             throw new ServerError(`Failed to revoke client: ${error.message}`, 500);
         }
     }
@@ -121,4 +397,245 @@ export class ClientService {
     async getClientById(clientId) {
         return await Client.findByPk(clientId);
     }
+
+    /**
+     * Resolves the effective roles and permissions of a client:
+     * the permissions granted directly plus the ones inherited from its roles
+     * @param {string} clientId - Client ID
+     * @param {string[]} [sessionRoles=[]] - Roles granted to the session only (workload logins), unknown names are ignored
+     * @returns {Promise<{roles: string[], permissions: string[]}>} Role and permission names
+     */
+    async getAccess(clientId, sessionRoles = []) {
+        const client = await Client.findByPk(clientId, {
+            attributes: ['id'],
+            include: this.#accessInclude()
+        });
+
+        if (!client) {
+            return { roles: [], permissions: [] };
+        }
+
+        const access = this.#accessOf(client);
+        if (sessionRoles.length === 0) {
+            return access;
+        }
+
+        const roles = new Set(access.roles);
+        const permissions = new Set(access.permissions);
+        const granted = await Role.findAll({
+            where: { name: sessionRoles },
+            attributes: ['name'],
+            include: [{ model: Permission, attributes: ['name'], through: { attributes: [] } }]
+        });
+        for (const role of granted) {
+            roles.add(role.name);
+            role.Permissions.forEach(p => permissions.add(p.name));
+        }
+
+        return { roles: [...roles], permissions: [...permissions] };
+    }
+
+    /**
+     * Replaces the roles and/or the direct permissions of a client
+     * @param {string} clientId - Client ID
+     * @param {object} access
+     * @param {string[]} [access.roles] - Role names, undefined keeps the current ones
+     * @param {string[]} [access.permissions] - Permission names, undefined keeps the current ones
+     * @param {{id: string, roles: string[], permissions: string[]}} [grantor] - Client making the change (req.client),
+     * it can only grant roles and permissions it holds and can't change its own access
+     * @returns {Promise<{roles: string[], permissions: string[]}>} The new effective access
+     * @throws {ServerError} If client, a role or a permission doesn't exist, can't be granted or the last active administrator would lose its role
+     */
+    async setAccess(clientId, { roles, permissions }, grantor = null) {
+        if (grantor) {
+            if (grantor.id === clientId) {
+                throw new ServerError('Clients cannot change their own roles or permissions', 403);
+            }
+            this.#assertCanGrant(grantor, { roles, permissions });
+        }
+
+        await database.transaction(async (transaction) => {
+            const client = await Client.findByPk(clientId, { transaction });
+            if (!client) {
+                throw new ServerError('Client not found', 404);
+            }
+
+            await this.#assignAccess(client, { roles, permissions }, transaction);
+        });
+
+        return await this.getAccess(clientId);
+    }
+
+    /**
+     * @returns {Array<Object>} Include that loads roles (with their permissions) and direct permissions
+     */
+    #accessInclude() {
+        return [
+            {
+                model: Role,
+                attributes: ['name'],
+                through: { attributes: [] },
+                include: [{ model: Permission, attributes: ['name'], through: { attributes: [] } }]
+            },
+            { model: Permission, attributes: ['name'], through: { attributes: [] } }
+        ];
+    }
+
+    /**
+     * @param {Client} client - Loaded with #accessInclude()
+     * @returns {{roles: string[], permissions: string[]}} Roles and direct + inherited permissions
+     */
+    #accessOf(client) {
+        const permissions = new Set(client.Permissions.map(p => p.name));
+        for (const role of client.Roles) {
+            role.Permissions.forEach(p => permissions.add(p.name));
+        }
+
+        return {
+            roles: client.Roles.map(r => r.name),
+            permissions: [...permissions]
+        };
+    }
+
+    /**
+     * @param {string|null} hash - argon2 hash
+     * @param {string} secret
+     * @returns {Promise<boolean>} False also for missing or malformed hashes
+     */
+    async #verifySecret(hash, secret) {
+        if (!hash) return false;
+        try {
+            return await argon2.verify(hash, secret);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * @param {Client} client - Authenticated client
+     * @param {string[]} [sessionRoles=[]] - Roles granted to the session only
+     * @returns {Promise<{token: string, refreshToken: string, refreshExpiresAt: Date, client: Object}>}
+     */
+    async #startSession(client, sessionRoles = []) {
+        // Update last used timestamp
+        await client.update({ lastUsedAt: new Date() });
+
+        const { token, refreshToken, refreshExpiresAt } = await this.tokenService.issue(client.id, sessionRoles);
+
+        const { roles, permissions } = await this.getAccess(client.id, sessionRoles);
+
+        return {
+            token,
+            refreshToken,
+            refreshExpiresAt,
+            client: {
+                id: client.id,
+                name: client.name,
+                roles,
+                permissions,
+                createdAt: client.createdAt
+            }
+        };
+    }
+
+    /**
+     * @param {Date|string} [expiresAt] - Explicit expiry, null = never
+     * @returns {Date|null} The expiry, or the default one from Config.CLIENT_SECRET_LIFETIME_DAYS
+     */
+    #secretExpiry(expiresAt) {
+        if (expiresAt !== undefined) {
+            return expiresAt === null ? null : new Date(expiresAt);
+        }
+        return Config.CLIENT_SECRET_LIFETIME_DAYS > 0
+            ? new Date(Date.now() + Config.CLIENT_SECRET_LIFETIME_DAYS * 24 * 60 * 60 * 1000)
+            : null;
+    }
+
+    /**
+     * Checks that the grantor holds every role and permission it is granting,
+     * the administrator role '*' can grant anything
+     * @param {{roles: string[], permissions: string[]}} grantor
+     * @param {{roles?: string[], permissions?: string[]}} access
+     * @throws {ServerError} If a role or a permission is not held by the grantor
+     */
+    #assertCanGrant(grantor, { roles = [], permissions = [] }) {
+        if (grantor.roles.includes(RoleService.ADMIN_ROLE)) return;
+
+        const roleDenied = roles.filter(role => !grantor.roles.includes(role));
+        if (roleDenied.length > 0) {
+            throw new ServerError(`Cannot grant roles not held: ${roleDenied.join(', ')}`, 403);
+        }
+
+        const permissionDenied = permissions.filter(permission => !grantor.permissions.includes(permission));
+        if (permissionDenied.length > 0) {
+            throw new ServerError(`Cannot grant permissions not held: ${permissionDenied.join(', ')}`, 403);
+        }
+    }
+
+    /**
+     * Links a client to roles and permissions by name
+     * @param {Client} client
+     * @param {{roles?: string[], permissions?: string[]}} access - undefined lists are not changed
+     * @param {import('sequelize').Transaction} transaction
+     * @throws {ServerError} If a role or a permission doesn't exist
+     */
+    async #assignAccess(client, { roles, permissions }, transaction) {
+        if (roles !== undefined) {
+            if (!roles.includes(RoleService.ADMIN_ROLE)) {
+                await this.#assertAdminRemains(client.id, transaction);
+            }
+
+            const rows = await this.#findByNames(Role, roles, 'roles', transaction);
+            await client.setRoles(rows, { transaction });
+        }
+
+        if (permissions !== undefined) {
+            const rows = await this.#findByNames(Permission, permissions, 'permissions', transaction);
+            await client.setPermissions(rows, { transaction });
+        }
+    }
+
+    /**
+     * Refuses to remove the last active administrator: nobody could manage the vault any more,
+     * and the bootstrap token is only offered when no client holds the '*' role at all.
+     * Concurrent removals are serialized, two admins can't remove each other at the same time
+     * @param {string} clientId - Client losing the administrator role, or being revoked or deleted
+     * @param {import('sequelize').Transaction} transaction
+     * @throws {ServerError} 409 if the client is the only active administrator
+     */
+    async #assertAdminRemains(clientId, transaction) {
+        await database.query("SELECT pg_advisory_xact_lock(hashtext('client_admin'))", { transaction });
+
+        const adminRole = { model: Role, where: { name: RoleService.ADMIN_ROLE }, through: { attributes: [] } };
+        const isAdmin = await Client.count({ where: { id: clientId, isActive: true }, include: [adminRole], transaction });
+        if (!isAdmin) return;
+
+        const others = await Client.count({
+            where: { id: { [Op.ne]: clientId }, isActive: true },
+            include: [adminRole],
+            transaction
+        });
+        if (others === 0) {
+            throw new ServerError('The vault must keep at least one active administrator', 409);
+        }
+    }
+
+    /**
+     * @param {typeof Role|typeof Permission} model
+     * @param {string[]} names
+     * @param {string} label - Used in the error message
+     * @param {import('sequelize').Transaction} transaction
+     * @returns {Promise<Array<Role|Permission>>}
+     * @throws {ServerError} If a name doesn't exist
+     */
+    async #findByNames(model, names, label, transaction) {
+        const rows = await model.findAll({ where: { name: names }, transaction });
+
+        const missing = names.filter(name => !rows.some(row => row.name === name));
+        if (missing.length > 0) {
+            throw new ServerError(`Unknown ${label}: ${missing.join(', ')}`, 400);
+        }
+
+        return rows;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,122 @@
+import { Op } from 'sequelize';
+
+import { Client } from '../models/client.js';
+import { ClientCertificate } from '../models/clientCertificate.js';
+import { ServerError } from '../helpers/serverError.js';
+
+/**
+ * Maps verified client certificates (mTLS) to clients, by subject CN or by SAN
+ */
+export class ClientCertificateService {
+    static TYPES = ['cn', 'dns', 'uri', 'email', 'ip'];
+    // Prefixes used by Node in peerCertificate.subjectaltname
+    static #sanTypes = { 'DNS': 'dns', 'URI': 'uri', 'email': 'email', 'IP Address': 'ip' };
+    // One 'Type:value' entry, values with special characters (commas, quotes) come as a JSON string
+    static #sanEntry = /(?:^|, )([^:,]+):("(?:[^"\\]|\\.)*"|[^,]*)/g;
+
+    /**
+     * Binds a certificate identity to a client
+     * @param {string} clientId - Client ID
+     * @param {'cn'|'dns'|'uri'|'email'|'ip'} type - Subject CN or SAN type
+     * @param {string} value - Expected value, e.g. 'payments.internal'
+     * @returns {Promise<ClientCertificate>}
+     * @throws {ServerError} If the client doesn't exist or the identity is already bound
+     */
+    async add(clientId, type, value) {
+        const client = await Client.findByPk(clientId, { attributes: ['id'] });
+        if (!client) {
+            throw new ServerError('Client not found', 404);
+        }
+
+        try {
+            return await ClientCertificate.create({ clientId, type, value: this.#normalize(type, value) });
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                throw new ServerError(`Certificate ${type} '${value}' is already bound to a client`, 409);
+            }
+            throw new ServerError(`Failed to bind certificate: ${error.message}`, 500);
+        }
+    }
+
+    /**
+     * Lists the certificate identities of a client
+     * @param {string} clientId - Client ID
+     * @returns {Promise<ClientCertificate[]>}
+     */
+    async list(clientId) {
+        return await ClientCertificate.findAll({
+            where: { clientId },
+            order: [['type', 'ASC'], ['value', 'ASC']]
+        });
+    }
+
+    /**
+     * Removes a certificate identity from a client
+     * @param {string} clientId - Client ID
+     * @param {string} id - Binding ID
+     * @returns {Promise<void>}
+     * @throws {ServerError} If the binding is not found
+     */
+    async remove(clientId, id) {
+        const removed = await ClientCertificate.destroy({ where: { id, clientId } });
+        if (removed === 0) {
+            throw new ServerError('Certificate binding not found', 404);
+        }
+    }
+
+    /**
+     * Finds the client of a verified peer certificate, looking at its SANs and subject CN
+     * @param {import('tls').PeerCertificate} certificate - From req.socket.getPeerCertificate()
+     * @returns {Promise<string|null>} Client ID, null if no identity is bound
+     * @throws {ServerError} If the identities are bound to different clients
+     */
+    async resolve(certificate) {
+        const identities = this.#identities(certificate);
+        if (identities.length === 0) return null;
+
+        const bindings = await ClientCertificate.findAll({
+            attributes: ['clientId'],
+            where: { [Op.or]: identities }
+        });
+
+        const clientIds = new Set(bindings.map(binding => binding.clientId));
+        if (clientIds.size > 1) {
+            throw new ServerError('Client certificate maps to more than one client', 401);
+        }
+
+        return clientIds.size === 1 ? [...clientIds][0] : null;
+    }
+
+    /**
+     * @param {import('tls').PeerCertificate} certificate
+     * @returns {Array<{type: string, value: string}>} SANs and subject CNs
+     */
+    #identities(certificate) {
+        const identities = [];
+
+        // e.g. 'DNS:payments.internal, URI:spiffe://corp/payments, URI:"spiffe://corp/a\u002cb"'
+        for (const [, prefix, raw] of (certificate.subjectaltname ?? '').matchAll(ClientCertificateService.#sanEntry)) {
+            const type = ClientCertificateService.#sanTypes[prefix];
+            if (type) {
+                const value = raw.startsWith('"') ? JSON.parse(raw) : raw;
+                identities.push({ type, value: this.#normalize(type, value) });
+            }
+        }
+
+        // More CNs in the subject come as an array
+        for (const cn of [certificate.subject?.CN ?? []].flat()) {
+            identities.push({ type: 'cn', value: cn });
+        }
+
+        return identities;
+    }
+
+    /**
+     * @param {string} type
+     * @param {string} value
+     * @returns {string} Host names and e-mail domains are case insensitive
+     */
+    #normalize(type, value) {
+        return type === 'dns' || type === 'email' ? value.toLowerCase() : value;
+    }
+}
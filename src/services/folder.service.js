@@ -1,23 +1,36 @@
 import { Folder } from '../models/folder.js';
+import { Secret } from '../models/secret.js';
+import { database } from '../data/database.js';
 import { ServerError } from '../helpers/serverError.js';
-import { Op } from 'sequelize';
+import { Op, QueryTypes } from 'sequelize';
 
 export class FolderService {
+    /**
+     * @param {object} [dependencies]
+     * @param {import('./secret.service.js').SecretService} [dependencies.secretService] - Copies the secrets
+     * of a folder copy. Passed in, SecretService already depends on this service
+     */
+    constructor({ secretService = null } = {}) {
+        this.secretService = secretService;
+    }
+
     /**
      * Create a new folder, checking if there's not another one with same name in the same parent
      * @param {string} [name='New Folder'] - folder name 
      * @param {string|null} [parentId=null] - parent uuid folder, default null (root folder)
+     * @param {object} [options]
+     * @param {import('sequelize').Transaction} [options.transaction]
      * @returns {Promise<Folder>} created folder model
      * @throws {ServerError} If the name is the same of another folder in the same parent
      */
-    async create(name = 'New Folder', parentId = null) {
+    async create(name = 'New Folder', parentId = null, { transaction } = {}) {
         if (!name || typeof name !== 'string' || name.trim() === '') {
             throw new ServerError('Folder name cannot be empty', 400);
         }
 
         // Check if parent exists (if provided)
         if (parentId) {
-            const parentExists = await Folder.findByPk(parentId);
+            const parentExists = await Folder.findByPk(parentId, { transaction });
             if (!parentExists) {
                 throw new ServerError('Parent folder not found', 404);
             }
@@ -28,7 +41,8 @@ export class FolderService {
             where: {
                 name,
                 parentId
-            }
+            },
+            transaction
         });
 
         if (existingFolder) {
@@ -39,7 +53,7 @@ export class FolderService {
             const folder = await Folder.create({
                 name,
                 parentId
-            });
+            }, { transaction });
 
             return folder;
         } catch (error) {
@@ -50,16 +64,18 @@ export class FolderService {
     /**
      * Get folder by ID
      * @param {string} folderId - Folder UUID
+     * @param {object} [options]
+     * @param {boolean} [options.paranoid=true] - If false, trashed folders are found too
      * @returns {Promise<Folder>} The requested folder
      * @throws {ServerError} If folder not found
      */
-    async get(folderId) {
+    async get(folderId, { paranoid = true } = {}) {
         if (!folderId) {
             throw new ServerError('Folder ID is required', 400);
         }
 
         try {
-            const folder = await Folder.findByPk(folderId);
+            const folder = await Folder.findByPk(folderId, { paranoid });
             
             if (!folder) {
                 throw new ServerError('Folder not found', 404);
@@ -91,20 +107,7 @@ export class FolderService {
 
             // Check for circular reference (new parent is a descendant of this folder)
             if (parentId && parentId !== folder.parentId) {
-                if (parentId === folderId) {
-                    throw new ServerError('A folder cannot be its own parent', 400);
-                }
-
-                let currentParentId = parentId;
-                while (currentParentId) {
-                    const currentParent = await Folder.findByPk(currentParentId);
-                    if (!currentParent) break;
-                    
-                    if (currentParent.id === folderId) {
-                        throw new ServerError('Circular folder reference detected', 400);
-                    }
-                    currentParentId = currentParent.parentId;
-                }
+                await this.#assertNoCycle([folderId], parentId);
             }
 
             // Check for duplicate name if name or parent is being changed
@@ -138,10 +141,210 @@ export class FolderService {
     }
 
     /**
-     * Delete a folder and optionally its contents
+     * Copy a folder with all its subfolders and secrets.
+     * Secrets are encrypted again, the copies share nothing with the originals.
+     * @param {string} folderId - Folder UUID to copy
+     * @param {string|null} [parentId=null] - Destination parent folder (null for root)
+     * @param {object} [options]
+     * @param {string} [options.name] - Name of the copy (default: the same name)
+     * @returns {Promise<{folder: Folder, folders: number, secrets: number}>} The new folder and the number of copied items
+     * @throws {ServerError} If a folder is not found, the destination is inside the folder or the name is taken
+     */
+    async copy(folderId, parentId = null, { name } = {}) {
+        try {
+            return await database.transaction(async (transaction) => {
+                const folder = await Folder.findByPk(folderId, { transaction });
+                if (!folder) {
+                    throw new ServerError('Folder not found', 404);
+                }
+
+                if (parentId) {
+                    const parent = await Folder.findByPk(parentId, { transaction });
+                    if (!parent) {
+                        throw new ServerError('Parent folder not found', 404);
+                    }
+                    await this.#assertNoCycle([folderId], parentId, { transaction });
+                }
+
+                const newName = name ?? folder.name;
+                const existingFolder = await Folder.findOne({
+                    where: { name: newName, parentId },
+                    transaction
+                });
+                if (existingFolder) {
+                    throw new ServerError(`A folder with name '${newName}' already exists in this location`, 409);
+                }
+
+                // Rows come ordered by depth, so every parent is copied before its children
+                const subtree = await this.#getSubtree(folderId, { transaction });
+                const copies = new Map();
+
+                for (const row of subtree) {
+                    const copy = await Folder.create({
+                        name: row.id === folderId ? newName : row.name,
+                        parentId: row.id === folderId ? parentId : copies.get(row.parentId).id
+                    }, { transaction });
+                    copies.set(row.id, copy);
+                }
+
+                const secrets = await Secret.findAll({
+                    attributes: ['id', 'folderId'],
+                    where: { folderId: subtree.map(row => row.id) },
+                    transaction
+                });
+
+                for (const secret of secrets) {
+                    await this.secretService.copy(secret.id, copies.get(secret.folderId).id, { transaction });
+                }
+
+                return {
+                    folder: copies.get(folderId),
+                    folders: copies.size,
+                    secrets: secrets.length
+                };
+            });
+        } catch (error) {
+            if (error instanceof ServerError) throw error;
+            throw new ServerError(`Failed to copy folder: ${error.message}`, 500);
+        }
+    }
+
+    /**
+     * Move several folders and secrets to the same destination, all or nothing
+     * @param {object} items
+     * @param {string[]} [items.folderIds=[]] - Folders to move (with their content)
+     * @param {string[]} [items.secretIds=[]] - Secrets to move
+     * @param {string|null} [targetId=null] - Destination folder (null for root)
+     * @returns {Promise<{folders: number, secrets: number}>} Number of moved items
+     * @throws {ServerError} If an item is not found, a folder would be moved inside itself or a name is taken
+     */
+    async bulkMove({ folderIds = [], secretIds = [] }, targetId = null) {
+        try {
+            return await database.transaction(async (transaction) => {
+                if (targetId) {
+                    const target = await Folder.findByPk(targetId, { transaction });
+                    if (!target) {
+                        throw new ServerError('Destination folder not found', 404);
+                    }
+                }
+
+                const folders = await Folder.findAll({
+                    where: { id: folderIds },
+                    lock: transaction.LOCK.UPDATE,
+                    transaction
+                });
+                const secrets = await Secret.findAll({
+                    attributes: ['id', 'name', 'folderId'],
+                    where: { id: secretIds },
+                    lock: transaction.LOCK.UPDATE,
+                    transaction
+                });
+
+                const missingFolder = folderIds.find(id => !folders.some(folder => folder.id === id));
+                if (missingFolder) {
+                    throw new ServerError(`Folder '${missingFolder}' not found`, 404);
+                }
+                const missingSecret = secretIds.find(id => !secrets.some(secret => secret.id === id));
+                if (missingSecret) {
+                    throw new ServerError(`Secret '${missingSecret}' not found`, 404);
+                }
+
+                if (targetId && folderIds.length > 0) {
+                    await this.#assertNoCycle(folderIds, targetId, { transaction });
+                }
+
+                await this.#assertNamesAvailable(Folder, 'parentId', folders, targetId, transaction);
+                await this.#assertNamesAvailable(Secret, 'folderId', secrets, targetId, transaction);
+
+                const [movedFolders] = await Folder.update(
+                    { parentId: targetId },
+                    { where: { id: folderIds }, transaction }
+                );
+                const [movedSecrets] = await Secret.update(
+                    { folderId: targetId },
+                    { where: { id: secretIds }, transaction }
+                );
+
+                return { folders: movedFolders, secrets: movedSecrets };
+            });
+        } catch (error) {
+            if (error instanceof ServerError) throw error;
+            throw new ServerError(`Failed to move items: ${error.message}`, 500);
+        }
+    }
+
+    /**
+     * Check that the moved items don't clash by name with each other or with the destination content
+     * @param {typeof Folder|typeof Secret} model
+     * @param {string} parentField - 'parentId' for folders, 'folderId' for secrets
+     * @param {Array<Folder|Secret>} items - Items being moved
+     * @param {string|null} targetId - Destination folder
+     * @param {import('sequelize').Transaction} transaction
+     * @throws {ServerError} If a name is taken
+     */
+    async #assertNamesAvailable(model, parentField, items, targetId, transaction) {
+        if (items.length === 0) return;
+
+        const kind = model === Folder ? 'folder' : 'secret';
+        const names = items.map(item => item.name);
+
+        const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+        if (duplicate) {
+            throw new ServerError(`More than one ${kind} named '${duplicate}' would be moved to the same location`, 409);
+        }
+
+        const existing = await model.findOne({
+            attributes: ['name'],
+            where: {
+                name: names,
+                [parentField]: targetId,
+                id: { [Op.notIn]: items.map(item => item.id) }
+            },
+            transaction
+        });
+        if (existing) {
+            throw new ServerError(`A ${kind} with name '${existing.name}' already exists in this location`, 409);
+        }
+    }
+
+    /**
+     * Check that the destination is not one of the folders or one of their descendants
+     * @param {string[]} folderIds - Folders being moved
+     * @param {string} targetId - Destination folder
+     * @param {object} [options]
+     * @param {import('sequelize').Transaction} [options.transaction]
+     * @throws {ServerError} If the move would create a circular reference
+     */
+    async #assertNoCycle(folderIds, targetId, { transaction } = {}) {
+        if (folderIds.includes(targetId)) {
+            throw new ServerError('A folder cannot be its own parent', 400);
+        }
+
+        const ancestors = await database.query(`
+            WITH RECURSIVE ancestors AS (
+                SELECT id, "parentId" FROM folder WHERE id = :targetId
+                UNION ALL
+                SELECT p.id, p."parentId" FROM folder p
+                JOIN ancestors a ON p.id = a."parentId"
+            )
+            SELECT id FROM ancestors
+        `, {
+            replacements: { targetId },
+            type: QueryTypes.SELECT,
+            transaction
+        });
+
+        if (ancestors.some(ancestor => folderIds.includes(ancestor.id))) {
+            throw new ServerError('Circular folder reference detected', 400);
+        }
+    }
+
+    /**
+     * Move a folder, its subfolders and their secrets to the trash.
+     * Every item of the subtree gets the same deletedAt, so it can be restored as a whole.
      * @param {string} folderId - Folder UUID to delete
      * @returns {Promise<void>}
-     * @throws {ServerError} If folder not found or not empty when recursive=false
+     * @throws {ServerError} If folder not found
      */
     async delete(folderId) {
         if (!folderId) {
@@ -149,13 +352,154 @@ export class FolderService {
         }
 
         try {
-            await Folder.destroy({ where: { id: folderId } });
+            await database.transaction(async (transaction) => {
+                const folder = await Folder.findByPk(folderId, { transaction });
+                if (!folder) {
+                    throw new ServerError('Folder not found', 404);
+                }
+
+                const folderIds = await this.#getSubtreeIds(folderId, { transaction });
+                const deletedAt = new Date();
+
+                await Secret.update(
+                    { deletedAt },
+                    { where: { folderId: folderIds }, transaction }
+                );
+                await Folder.update(
+                    { deletedAt },
+                    { where: { id: folderIds }, transaction }
+                );
+            });
         } catch (error) {
             if (error instanceof ServerError) throw error;
             throw new ServerError(`Failed to delete folder: ${error.message}`, 500);
         }
     }
 
+    /**
+     * Restore a trashed folder with everything that was trashed together with it
+     * @param {string} folderId - Folder UUID to restore
+     * @returns {Promise<Folder>} Restored folder
+     * @throws {ServerError} If folder not in trash, its parent is in the trash or its name is taken
+     */
+    async restore(folderId) {
+        try {
+            return await database.transaction(async (transaction) => {
+                const folder = await Folder.findByPk(folderId, {
+                    paranoid: false,
+                    transaction,
+                });
+
+                if (!folder || !folder.deletedAt) {
+                    throw new ServerError('Folder not found in trash', 404);
+                }
+
+                if (folder.parentId) {
+                    const parent = await Folder.findByPk(folder.parentId, { transaction });
+                    if (!parent) {
+                        throw new ServerError('Parent folder is in the trash, restore it first', 409);
+                    }
+                }
+
+                const existingFolder = await Folder.findOne({
+                    where: { name: folder.name, parentId: folder.parentId },
+                    transaction,
+                });
+                if (existingFolder) {
+                    throw new ServerError(`A folder with name '${folder.name}' already exists in this location`, 409);
+                }
+
+                const { deletedAt } = folder;
+                const folderIds = await this.#getSubtreeIds(folderId, {
+                    deletedAt,
+                    transaction,
+                });
+
+                await Folder.update(
+                    { deletedAt: null },
+                    { where: { id: folderIds, deletedAt }, paranoid: false, transaction }
+                );
+                await Secret.update(
+                    { deletedAt: null },
+                    { where: { folderId: folderIds, deletedAt }, paranoid: false, transaction }
+                );
+
+                return await folder.reload({ transaction });
+            });
+        } catch (error) {
+            if (error instanceof ServerError) throw error;
+            throw new ServerError(`Failed to restore folder: ${error.message}`, 500);
+        }
+    }
+
+    /**
+     * Collect the ids of a folder and all its descendants
+     * @param {string} folderId - Root of the subtree
+     * @param {object} [options]
+     * @param {Date} [options.deletedAt] - If set, walks trashed folders deleted at this exact time
+     * @param {import('sequelize').Transaction} [options.transaction]
+     * @returns {Promise<string[]>} Folder ids, root included
+     */
+    async #getSubtreeIds(folderId, options = {}) {
+        const rows = await this.#getSubtree(folderId, options);
+        return rows.map(row => row.id);
+    }
+
+    /**
+     * Get the paths of the subfolders and secrets under a folder, relative to it,
+     * so the policies can be checked on everything an operation on the folder reaches
+     * @param {string} folderId - Root of the subtree
+     * @param {object} [options]
+     * @param {Date} [options.deletedAt] - If set, walks the items trashed together with the folder
+     * @returns {Promise<string[]>} e.g. ['/payments', '/payments/stripe-key'], the folder itself excluded
+     */
+    async subtreePaths(folderId, { deletedAt } = {}) {
+        const subtree = await this.#getSubtree(folderId, { deletedAt });
+
+        // Rows come ordered by depth, so every parent has its path before its children
+        const paths = new Map([[folderId, '']]);
+        for (const row of subtree.slice(1)) {
+            paths.set(row.id, `${paths.get(row.parentId)}/${row.name}`);
+        }
+
+        const secrets = await Secret.findAll({
+            attributes: ['name', 'folderId'],
+            where: { folderId: [...paths.keys()], ...(deletedAt && { deletedAt }) },
+            paranoid: !deletedAt
+        });
+
+        return [
+            ...[...paths.values()].slice(1),
+            ...secrets.map(secret => `${paths.get(secret.folderId)}/${secret.name}`)
+        ];
+    }
+
+    /**
+     * Collect a folder and all its descendants with a recursive query
+     * @param {string} folderId - Root of the subtree
+     * @param {object} [options]
+     * @param {Date} [options.deletedAt] - If set, walks trashed folders deleted at this exact time
+     * @param {import('sequelize').Transaction} [options.transaction]
+     * @returns {Promise<Array<{id: string, name: string, parentId: string|null}>>} Folders ordered by depth, root first
+     */
+    async #getSubtree(folderId, { deletedAt, transaction } = {}) {
+        return await database.query(`
+            WITH RECURSIVE subtree AS (
+                SELECT id, name, "parentId", 0 AS depth FROM folder WHERE id = :folderId
+                UNION ALL
+                SELECT f.id, f.name, f."parentId", s.depth + 1 FROM folder f
+                JOIN subtree s ON f."parentId" = s.id
+                WHERE ${deletedAt ? 'f."deletedAt" = :deletedAt' : 'f."deletedAt" IS NULL'}
+            )
+            SELECT id, name, "parentId" FROM subtree
+            ORDER BY depth
+        `, {
+            replacements: { folderId, deletedAt: deletedAt ?? null },
+            type: QueryTypes.SELECT,
+            transaction
+        });
+    }
+
     /**
      * List folders within a parent folder
      * @param {string|null} [parentId=null] - Parent folder ID (null for root)
@@ -172,24 +516,68 @@ export class FolderService {
         }
     }
 
+    /**
+     * Resolve a folder path (e.g. ['prod', 'payments']) walking the folder names from the root
+     * @param {string[]} segments - Folder names from the root, empty array for the root itself
+     * @param {object} [options]
+     * @param {boolean} [options.create=false] - If true, missing folders are created
+     * @param {import('sequelize').Transaction} [options.transaction]
+     * @returns {Promise<string|null>} Id of the last folder (null for the root)
+     * @throws {ServerError} If a folder doesn't exist and create is false
+     */
+    async resolvePath(segments, { create = false, transaction } = {}) {
+        let parentId = null;
+
+        for (const [i, name] of segments.entries()) {
+            let folder = await Folder.findOne({
+                where: { name, parentId },
+                transaction
+            });
+
+            if (!folder && create) {
+                folder = await this.create(name, parentId, { transaction });
+            }
+
+            if (!folder) {
+                throw new ServerError(`Folder '/${segments.slice(0, i + 1).join('/')}' not found`, 404);
+            }
+
+            parentId = folder.id;
+        }
+
+        return parentId;
+    }
+
     /**
      * Get the full path of a folder as an array of folders
      * @param {string} folderId - Starting folder ID
+     * @param {object} [options]
+     * @param {boolean} [options.paranoid=true] - If false, trashed folders are included
      * @returns {Promise<Folder[]>} Array of folders from root to the specified folder
      * @throws {ServerError} If folder not found
      */
-    async getPath(folderId) {
-        const path = [];
-        let currentId = folderId;
+    async getPath(folderId, { paranoid = true } = {}) {
+        const alive = paranoid ? 'AND f."deletedAt" IS NULL' : '';
 
         try {
-            while (currentId) {
-                const folder = await Folder.findByPk(currentId);
-                if (!folder) break;
-
-                path.unshift(folder);
-                currentId = folder.parentId;
-            }
+            // Walks up the ancestors in a single query, stops at the root or at a trashed folder
+            const path = await database.query(`
+                WITH RECURSIVE ancestors AS (
+                    SELECT f.*, 0 AS level FROM folder f
+                    WHERE f.id = :folderId ${alive}
+                    UNION ALL
+                    SELECT f.*, a.level + 1 FROM folder f
+                    JOIN ancestors a ON f.id = a."parentId"
+                    WHERE TRUE ${alive}
+                )
+                SELECT id, name, "parentId", "createdAt", "updatedAt", "deletedAt"
+                FROM ancestors
+                ORDER BY level DESC
+            `, {
+                replacements: { folderId },
+                model: Folder,
+                mapToModel: true
+            });
 
             if (path.length === 0) {
                 throw new ServerError('Folder not found', 404);
@@ -201,4 +589,113 @@ export class FolderService {
             throw new ServerError(`Failed to get folder path: ${error.message}`, 500);
         }
     }
+
+    /**
+     * Get the full path of a folder as a string, or of an item inside it
+     * @param {string|null} folderId - Folder ID (null for root)
+     * @param {string} [name] - If set, the path of the child with this name (e.g. a secret)
+     * @param {object} [options]
+     * @param {boolean} [options.paranoid=true] - If false, trashed folders are included
+     * @returns {Promise<string>} e.g. '/prod/payments' or '/prod/payments/stripe-key', '/' for the root
+     * @throws {ServerError} If folder not found
+     */
+    async pathOf(folderId, name, { paranoid = true } = {}) {
+        const folders = folderId ? await this.getPath(folderId, { paranoid }) : [];
+        const segments = folders.map(folder => folder.name);
+        if (name !== undefined) segments.push(name);
+
+        return '/' + segments.join('/');
+    }
+
+    /**
+     * Get the path of every folder with a single recursive query
+     * @param {object} [options]
+     * @param {boolean} [options.paranoid=true] - If false, trashed folders are included
+     * @returns {Promise<Map<string, string>>} Folder id => path (e.g. '/prod/payments')
+     */
+    async getPathMap({ paranoid = true } = {}) {
+        const alive = paranoid ? 'AND f."deletedAt" IS NULL' : '';
+
+        const rows = await database.query(`
+            WITH RECURSIVE paths AS (
+                SELECT f.id, '/' || f.name AS path FROM folder f
+                WHERE f."parentId" IS NULL ${alive}
+                UNION ALL
+                SELECT f.id, p.path || '/' || f.name FROM folder f
+                JOIN paths p ON f."parentId" = p.id
+                WHERE TRUE ${alive}
+            )
+            SELECT id, path FROM paths
+        `, { type: QueryTypes.SELECT });
+
+        return new Map(rows.map(row => [row.id, row.path]));
+    }
+
+    /**
+     * Get the folder hierarchy as a nested tree, with the number of secrets in each folder
+     * @param {string|null} [rootId=null] - Folder to start from (null for the root)
+     * @param {number|null} [depth=null] - Max levels below the starting folder (null for no limit)
+     * @param {object} [options]
+     * @param {(path: string) => boolean} [options.countable] - Secrets counted by path, e.g. the ones a client can list (default: all)
+     * @returns {Promise<{id: string|null, name: string, parentId: string|null, secretCount: number, children: Array}>} The starting folder with its nested children
+     * @throws {ServerError} If the starting folder is not found
+     */
+    async tree(rootId = null, depth = null, { countable = () => true } = {}) {
+        const root = rootId
+            ? await this.get(rootId)
+            : { id: null, name: '/', parentId: null };
+
+        try {
+            const rows = await database.query(`
+                WITH RECURSIVE tree AS (
+                    SELECT f.id, f.name, f."parentId", 1 AS depth FROM folder f
+                    WHERE f."deletedAt" IS NULL
+                      AND ${rootId ? 'f."parentId" = :rootId' : 'f."parentId" IS NULL'}
+                    UNION ALL
+                    SELECT c.id, c.name, c."parentId", t.depth + 1 FROM folder c
+                    JOIN tree t ON c."parentId" = t.id
+                    WHERE c."deletedAt" IS NULL
+                      AND (CAST(:depth AS integer) IS NULL OR t.depth < :depth)
+                )
+                SELECT t.id, t.name, t."parentId",
+                       COALESCE(array_agg(s.name) FILTER (WHERE s.id IS NOT NULL), '{}') AS "secretNames"
+                FROM tree t
+                LEFT JOIN secret s ON s."folderId" = t.id AND s."deletedAt" IS NULL
+                GROUP BY t.id, t.name, t."parentId", t.depth
+                ORDER BY t.depth, t.name
+            `, {
+                replacements: { rootId, depth },
+                type: QueryTypes.SELECT
+            });
+
+            const rootPath = await this.pathOf(rootId);
+            const rootSecrets = await Secret.findAll({ attributes: ['name'], where: { folderId: rootId } });
+            const count = (path, names) => names.filter(name => countable(`${path === '/' ? '' : path}/${name}`)).length;
+
+            // Rows come ordered by depth, so every parent is in the map before its children
+            const nodes = new Map();
+            const paths = new Map([[root.id, rootPath]]);
+            const tree = {
+                id: root.id,
+                name: root.name,
+                parentId: root.parentId,
+                secretCount: count(rootPath, rootSecrets.map(secret => secret.name)),
+                children: []
+            };
+            nodes.set(root.id, tree);
+
+            for (const { secretNames, ...row } of rows) {
+                const parentPath = paths.get(row.parentId);
+                const path = `${parentPath === '/' ? '' : parentPath}/${row.name}`;
+                const node = { ...row, secretCount: count(path, secretNames), children: [] };
+                nodes.get(row.parentId).children.push(node);
+                nodes.set(row.id, node);
+                paths.set(row.id, path);
+            }
+
+            return tree;
+        } catch (error) {
+            throw new ServerError(`Failed to build folder tree: ${error.message}`, 500);
+        }
+    }
 }
\ No newline at end of file
@@ -0,0 +1,230 @@
+import { Config } from "../config.js";
+import { LockoutEvent } from "../models/lockoutEvent.js";
+import { ServerError } from "../helpers/serverError.js";
+import { MemoryAttemptStore, DatabaseAttemptStore, backoffDelay, activeCounts } from "../auth/attemptStore.js";
+
+/**
+ * Failed login tracking per client name (or workload token issuer) and per IP address.
+ * After LOGIN_BACKOFF_FREE_ATTEMPTS failures a client name must wait an exponential delay
+ * between attempts, reaching the lockout threshold blocks the client name, the issuer or the IP for
+ * LOGIN_LOCKOUT_MINUTES (or until an admin unlocks it). Lock and unlock are recorded in lockout_event.
+ * Attempts are reserved before the secret is verified and counted apart from the failures,
+ * so concurrent guesses can't all pass the checks while a valid login never counts as a failure
+ */
+export class LoginThrottleService {
+    static #store = null;
+
+    /**
+     * Replaces the attempt store, e.g. with a shared one for multi-instance deployments
+     * @param {MemoryAttemptStore|DatabaseAttemptStore} store - Any object with the same methods
+     */
+    static useStore(store) {
+        this.#store = store;
+    }
+
+    /**
+     * @returns {MemoryAttemptStore|DatabaseAttemptStore} The store chosen by Config.LOGIN_ATTEMPT_STORE
+     */
+    static get store() {
+        if (!this.#store) {
+            this.#store = Config.LOGIN_ATTEMPT_STORE === "database"
+                ? new DatabaseAttemptStore()
+                : new MemoryAttemptStore();
+        }
+        return this.#store;
+    }
+
+    /**
+     * @param {string} name - Client name
+     * @returns {string} Key of the failures of a secret login
+     */
+    static clientKey(name) {
+        return `client:${name}`;
+    }
+
+    /**
+     * @param {string} issuer - Configured workload issuer
+     * @returns {string} Key of the failures of the workload tokens of an issuer
+     */
+    static issuerKey(issuer) {
+        return `issuer:${issuer}`;
+    }
+
+    /**
+     * Reserves a login attempt before the credentials are verified, recordFailure() or recordSuccess() ends it.
+     * Past the free attempts one attempt at a time can wait out the backoff, before that the attempts
+     * in progress can't exceed the failures left before the lockout
+     * @param {string|null} account - clientKey() or issuerKey(), null to count only the IP
+     * @param {string} [ip] - Caller address
+     * @returns {Promise<void>}
+     * @throws {ServerError} 429 with Retry-After if locked, still in backoff or too many attempts in progress
+     */
+    async reserveAttempt(account, ip) {
+        const reserved = [];
+
+        for (const key of this.#keys(account, ip)) {
+            const limits = this.#limits(key);
+            const { allowed, record } = await LoginThrottleService.store.reserve(key, this.#windowStart(), limits);
+            if (!allowed) {
+                // Keys already reserved for this attempt are released, it never happened
+                for (const done of reserved) {
+                    await LoginThrottleService.store.release(done);
+                }
+                throw this.#refusal(record, limits.backoff);
+            }
+            reserved.push(key);
+        }
+    }
+
+    /**
+     * Counts a failed attempt and locks the account or the IP at the threshold
+     * @param {string|null} account - clientKey(), counted even if the client doesn't exist, or issuerKey()
+     * @param {string} [ip] - Caller address
+     * @returns {Promise<void>}
+     */
+    async recordFailure(account, ip) {
+        const now = new Date();
+
+        for (const key of this.#keys(account, ip)) {
+            const record = await LoginThrottleService.store.fail(key, this.#windowStart());
+            const { threshold } = this.#limits(key);
+
+            if (record.failures >= threshold && !(record.lockedUntil > now)) {
+                const lockedUntil = new Date(now.getTime() + Config.LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+                await LoginThrottleService.store.lock(key, lockedUntil);
+                await LockoutEvent.create({ type: "lock", key, failures: record.failures, lockedUntil, ip });
+                console.warn(`Login lockout: ${key} after ${record.failures} failures, until ${lockedUntil.toISOString()}`);
+            }
+        }
+    }
+
+    /**
+     * Clears the failures of a client name after a successful login.
+     * The issuer and the IP only end the reserved attempt, they are shared: a valid login
+     * must not hide the failures of other callers
+     * @param {string|null} account - clientKey() or issuerKey()
+     * @param {string} [ip] - Caller address
+     * @returns {Promise<void>}
+     */
+    async recordSuccess(account, ip) {
+        for (const key of this.#keys(account, ip)) {
+            if (key.startsWith("client:")) {
+                await LoginThrottleService.store.reset(key);
+            } else {
+                await LoginThrottleService.store.release(key);
+            }
+        }
+    }
+
+    /**
+     * Removes a lock and its failure counter (admin)
+     * @param {string} key - 'client:<name>', 'issuer:<iss>' or 'ip:<address>'
+     * @param {string} actorId - Admin client ID, recorded in the event
+     * @returns {Promise<void>}
+     * @throws {ServerError} If the key has no failures
+     */
+    async unlock(key, actorId) {
+        const existed = await LoginThrottleService.store.reset(key);
+        if (!existed) {
+            throw new ServerError("No failed attempts for this key", 404);
+        }
+        await LockoutEvent.create({ type: "unlock", key, actorId });
+    }
+
+    /**
+     * Lists the active locks
+     * @returns {Promise<Array<{key: string, failures: number, lastFailureAt: Date, lockedUntil: Date}>>}
+     */
+    async listLocked() {
+        const records = await LoginThrottleService.store.listLocked(new Date());
+        return records.map(({ key, failures, lastFailureAt, lockedUntil }) => ({ key, failures, lastFailureAt, lockedUntil }));
+    }
+
+    /**
+     * Lists lock and unlock events, newest first
+     * @param {object} [options]
+     * @param {string} [options.key] - Only the events of a key
+     * @param {number} [options.limit=50]
+     * @param {number} [options.offset=0]
+     * @returns {Promise<{count: number, rows: LockoutEvent[]}>}
+     */
+    async listEvents({ key, limit = 50, offset = 0 } = {}) {
+        return await LockoutEvent.findAndCountAll({
+            where: key ? { key } : {},
+            order: [["createdAt", "DESC"]],
+            limit,
+            offset,
+        });
+    }
+
+    /**
+     * Removes the counters with no recent failure and no active lock
+     * @returns {Promise<number>} Removed counters
+     */
+    async purge() {
+        return await LoginThrottleService.store.purge(this.#windowStart());
+    }
+
+    /**
+     * @param {string} key
+     * @returns {import('../auth/attemptStore.js').AttemptLimits} The exponential backoff applies to
+     * the client name, the IP and the issuer are shared by many callers and only have the lockout
+     */
+    #limits(key) {
+        if (!key.startsWith("client:")) {
+            return { threshold: Config.LOGIN_IP_LOCKOUT_THRESHOLD, backoff: null };
+        }
+        return {
+            threshold: Config.LOGIN_LOCKOUT_THRESHOLD,
+            backoff: {
+                freeAttempts: Config.LOGIN_BACKOFF_FREE_ATTEMPTS,
+                baseMs: Config.LOGIN_BACKOFF_BASE_MS,
+                maxMs: Config.LOGIN_BACKOFF_MAX_MS,
+            },
+        };
+    }
+
+    /**
+     * @param {import('../auth/attemptStore.js').AttemptRecord} record - Record that blocked the attempt
+     * @param {import('../auth/attemptStore.js').Backoff|null} backoff
+     * @returns {ServerError} 429 for a lock, a backoff or too many attempts in progress
+     */
+    #refusal(record, backoff) {
+        const now = new Date();
+        if (record?.lockedUntil > now) {
+            return this.#tooMany(`Too many failed attempts, locked until ${record.lockedUntil.toISOString()}`, record.lockedUntil - now);
+        }
+
+        const { failures } = activeCounts(record, this.#windowStart(), now);
+        const retryAt = failures > 0 ? record.lastFailureAt.getTime() + backoffDelay(failures, backoff) : 0;
+        if (retryAt > now.getTime()) {
+            return this.#tooMany("Too many failed attempts, retry later", retryAt - now.getTime());
+        }
+        return this.#tooMany("Too many login attempts in progress, retry later", 1000);
+    }
+
+    /**
+     * @param {string} message
+     * @param {number} waitMs
+     * @returns {ServerError}
+     */
+    #tooMany(message, waitMs) {
+        return new ServerError(message, 429, { "Retry-After": String(Math.ceil(waitMs / 1000)) });
+    }
+
+    /**
+     * @returns {Date} Failures before this date are forgotten
+     */
+    #windowStart() {
+        return new Date(Date.now() - Config.LOGIN_ATTEMPT_WINDOW_MINUTES * 60 * 1000);
+    }
+
+    /**
+     * @param {string|null} account
+     * @param {string} [ip]
+     * @returns {string[]}
+     */
+    #keys(account, ip) {
+        return [account, ip ? `ip:${ip}` : null].filter(Boolean);
+    }
+}
@@ -0,0 +1,51 @@
+import { Permission } from '../models/permission.js';
+import { ServerError } from '../helpers/serverError.js';
+
+export class PermissionService {
+    static ADMIN_PERMISSION = '*';
+
+    /**
+     * Creates a permission
+     * @param {string} name - Unique permission name, e.g. 'secrets:write'
+     * @param {string} [description]
+     * @returns {Promise<Permission>}
+     * @throws {ServerError} If the name is taken
+     */
+    async create(name, description = null) {
+        try {
+            return await Permission.create({ name, description });
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                throw new ServerError(`Permission '${name}' already exists`, 409);
+            }
+            throw new ServerError(`Failed to create permission: ${error.message}`, 500);
+        }
+    }
+
+    /**
+     * Lists all permissions
+     * @returns {Promise<Permission[]>}
+     */
+    async list() {
+        return await Permission.findAll({ order: [['name', 'ASC']] });
+    }
+
+    /**
+     * Deletes a permission, it is removed from every role and client
+     * @param {string} id - Permission ID
+     * @returns {Promise<void>}
+     * @throws {ServerError} If the permission is not found or is the admin permission
+     */
+    async delete(id) {
+        const permission = await Permission.findByPk(id);
+        if (!permission) {
+            throw new ServerError('Permission not found', 404);
+        }
+
+        if (permission.name === PermissionService.ADMIN_PERMISSION) {
+            throw new ServerError('The administrator permission cannot be deleted', 400);
+        }
+
+        await permission.destroy();
+    }
+}
@@ -0,0 +1,153 @@
+import { Op } from 'sequelize';
+import { Policy } from '../models/policy.js';
+import { ServerError } from '../helpers/serverError.js';
+import { PathGlob } from '../helpers/pathGlob.js';
+
+export class PolicyService {
+    static CAPABILITIES = ['read', 'create', 'update', 'delete', 'list'];
+    static SUBJECT_TYPES = ['client', 'role'];
+
+    /**
+     * Creates a new policy
+     * @param {object} policy
+     * @param {'client'|'role'} policy.subjectType - Whether the policy applies to a client or to a role
+     * @param {string} policy.subject - Client id or role name
+     * @param {string} policy.path - Glob on folder and secret paths, e.g. '/prod/**'
+     * @param {string[]} policy.capabilities - Granted operations
+     * @param {string} [policy.description]
+     * @returns {Promise<Policy>} The created policy
+     */
+    async create({ subjectType, subject, path, capabilities, description = null }) {
+        try {
+            return await Policy.create({ subjectType, subject, path, capabilities, description });
+        } catch (error) {
+            throw new ServerError(`Failed to create policy: ${error.message}`, 500);
+        }
+    }
+
+    /**
+     * Gets a policy by id
+     * @param {string} id - Policy id
+     * @returns {Promise<Policy>}
+     * @throws {ServerError} If the policy is not found
+     */
+    async get(id) {
+        const policy = await Policy.findByPk(id);
+        if (!policy) {
+            throw new ServerError('Policy not found', 404);
+        }
+        return policy;
+    }
+
+    /**
+     * Lists the policies, optionally of a single subject
+     * @param {object} [filters]
+     * @param {'client'|'role'} [filters.subjectType]
+     * @param {string} [filters.subject]
+     * @returns {Promise<Policy[]>}
+     */
+    async list({ subjectType, subject } = {}) {
+        const where = {};
+        if (subjectType) where.subjectType = subjectType;
+        if (subject) where.subject = subject;
+
+        return await Policy.findAll({
+            where,
+            order: [['subjectType', 'ASC'], ['subject', 'ASC'], ['path', 'ASC']]
+        });
+    }
+
+    /**
+     * Updates a policy
+     * @param {string} id - Policy id
+     * @param {object} updates - Fields to change (subjectType, subject, path, capabilities, description)
+     * @returns {Promise<Policy>} The updated policy
+     * @throws {ServerError} If the policy is not found
+     */
+    async update(id, updates) {
+        const policy = await this.get(id);
+
+        const fields = Object.fromEntries(
+            Object.entries(updates).filter(([, value]) => value !== undefined)
+        );
+
+        try {
+            return await policy.update(fields);
+        } catch (error) {
+            throw new ServerError(`Failed to update policy: ${error.message}`, 500);
+        }
+    }
+
+    /**
+     * Deletes a policy
+     * @param {string} id - Policy id
+     * @returns {Promise<void>}
+     * @throws {ServerError} If the policy is not found
+     */
+    async delete(id) {
+        const policy = await this.get(id);
+        await policy.destroy();
+    }
+
+    /**
+     * Loads the policies that apply to a client, directly or through its roles
+     * @param {{id: string, roles: string[], folders?: string[], adminKey?: boolean}} client - Authenticated client (req.client),
+     * with an API key only the paths matching its folders are reachable
+     * @returns {Promise<{can: (capability: string, path: string) => boolean}>} Checker for the client
+     */
+    async forClient(client) {
+        const granted = await this.#granted(client);
+        if (!client.folders) return granted;
+
+        return {
+            can: (capability, path) => granted.can(capability, path)
+                && client.folders.some(folder => PathGlob.match(folder, path))
+        };
+    }
+
+    /**
+     * @param {{id: string, roles: string[], adminKey?: boolean}} client
+     * @returns {Promise<{can: (capability: string, path: string) => boolean}>} Checker on the client's policies
+     */
+    async #granted(client) {
+        // The '*' role is the administrator, it can do everything.
+        // An API key of an administrator doesn't get the role, but its folders are reached like the admin's
+        if (client.roles.includes('*') || client.adminKey) {
+            return { can: () => true };
+        }
+
+        const policies = await Policy.findAll({
+            attributes: ['path', 'capabilities'],
+            where: {
+                [Op.or]: [
+                    { subjectType: 'client', subject: client.id },
+                    { subjectType: 'role', subject: client.roles }
+                ]
+            }
+        });
+
+        // Deny by default: at least one policy must grant the capability on the path
+        return {
+            can: (capability, path) => policies.some(policy =>
+                policy.capabilities.includes(capability) && PathGlob.match(policy.path, path)
+            )
+        };
+    }
+
+    /**
+     * Checks that a client can perform an operation on every given path
+     * @param {{id: string, name: string, roles: string[]}} client - Authenticated client (req.client)
+     * @param {string} capability - One of PolicyService.CAPABILITIES
+     * @param {...string} paths - Folder or secret paths, e.g. '/prod/payments/stripe-key'
+     * @returns {Promise<void>}
+     * @throws {ServerError} If a path is not allowed
+     */
+    async authorize(client, capability, ...paths) {
+        const policies = await this.forClient(client);
+
+        const denied = paths.find(path => !policies.can(capability, path));
+        if (denied !== undefined) {
+            throw new ServerError(`Client '${client.name}' is not allowed to ${capability} '${denied}'`, 403);
+        }
+    }
+}
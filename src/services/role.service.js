@@ -0,0 +1,175 @@
+import { Role } from '../models/role.js';
+import { Permission } from '../models/permission.js';
+import { Policy } from '../models/policy.js';
+import { database } from '../data/database.js';
+import { ServerError } from '../helpers/serverError.js';
+
+export class RoleService {
+    static ADMIN_ROLE = '*';
+
+    /**
+     * Creates a role
+     * @param {object} role
+     * @param {string} role.name - Unique role name
+     * @param {string} [role.description]
+     * @param {string[]} [role.permissions=[]] - Names of the permissions granted by the role
+     * @returns {Promise<{id: string, name: string, description: string, permissions: string[]}>}
+     * @throws {ServerError} If the name is taken or a permission doesn't exist
+     */
+    async create({ name, description = null, permissions = [] }) {
+        try {
+            const id = await database.transaction(async (transaction) => {
+                const role = await Role.create({ name, description }, { transaction });
+                await role.setPermissions(
+                    await this.#findPermissions(permissions, transaction),
+                    { transaction }
+                );
+                return role.id;
+            });
+
+            return await this.get(id);
+        } catch (error) {
+            if (error instanceof ServerError) throw error;
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                throw new ServerError(`Role '${name}' already exists`, 409);
+            }
+            throw new ServerError(`Failed to create role: ${error.message}`, 500);
+        }
+    }
+
+    /**
+     * Gets a role with its permissions
+     * @param {string} id - Role ID
+     * @returns {Promise<{id: string, name: string, description: string, permissions: string[]}>}
+     * @throws {ServerError} If the role is not found
+     */
+    async get(id) {
+        const role = await Role.findByPk(id, {
+            include: [{ model: Permission, attributes: ['name'], through: { attributes: [] } }]
+        });
+
+        if (!role) {
+            throw new ServerError('Role not found', 404);
+        }
+
+        return this.#describe(role);
+    }
+
+    /**
+     * Lists all roles with their permissions
+     * @returns {Promise<Array<{id: string, name: string, description: string, permissions: string[]}>>}
+     */
+    async list() {
+        const roles = await Role.findAll({
+            include: [{ model: Permission, attributes: ['name'], through: { attributes: [] } }],
+            order: [['name', 'ASC']]
+        });
+
+        return roles.map(role => this.#describe(role));
+    }
+
+    /**
+     * Updates a role. Renaming it updates the policies granted to the role too.
+     * @param {string} id - Role ID
+     * @param {object} updates
+     * @param {string} [updates.name] - New name
+     * @param {string} [updates.description] - New description
+     * @param {string[]} [updates.permissions] - Replaces the granted permissions
+     * @returns {Promise<{id: string, name: string, description: string, permissions: string[]}>}
+     * @throws {ServerError} If the role is not found, is the admin role or the name is taken
+     */
+    async update(id, { name, description, permissions }) {
+        try {
+            await database.transaction(async (transaction) => {
+                const role = await Role.findByPk(id, { transaction });
+                if (!role) {
+                    throw new ServerError('Role not found', 404);
+                }
+
+                if (role.name === RoleService.ADMIN_ROLE && name !== undefined && name !== role.name) {
+                    throw new ServerError('The administrator role cannot be renamed', 400);
+                }
+
+                if (name !== undefined && name !== role.name) {
+                    await Policy.update(
+                        { subject: name },
+                        { where: { subjectType: 'role', subject: role.name }, transaction }
+                    );
+                }
+
+                await role.update({
+                    ...(name !== undefined && { name }),
+                    ...(description !== undefined && { description })
+                }, { transaction });
+
+                if (permissions !== undefined) {
+                    await role.setPermissions(
+                        await this.#findPermissions(permissions, transaction),
+                        { transaction }
+                    );
+                }
+            });
+
+            return await this.get(id);
+        } catch (error) {
+            if (error instanceof ServerError) throw error;
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                throw new ServerError(`Role '${name}' already exists`, 409);
+            }
+            throw new ServerError(`Failed to update role: ${error.message}`, 500);
+        }
+    }
+
+    /**
+     * Deletes a role, its clients lose it together with the policies granted to it
+     * @param {string} id - Role ID
+     * @returns {Promise<void>}
+     * @throws {ServerError} If the role is not found or is the admin role
+     */
+    async delete(id) {
+        await database.transaction(async (transaction) => {
+            const role = await Role.findByPk(id, { transaction });
+            if (!role) {
+                throw new ServerError('Role not found', 404);
+            }
+
+            if (role.name === RoleService.ADMIN_ROLE) {
+                throw new ServerError('The administrator role cannot be deleted', 400);
+            }
+
+            await Policy.destroy({
+                where: { subjectType: 'role', subject: role.name },
+                transaction
+            });
+            await role.destroy({ transaction });
+        });
+    }
+
+    /**
+     * @param {string[]} names - Permission names
+     * @param {import('sequelize').Transaction} transaction
+     * @returns {Promise<Permission[]>}
+     * @throws {ServerError} If a permission doesn't exist
+     */
+    async #findPermissions(names, transaction) {
+        const permissions = await Permission.findAll({ where: { name: names }, transaction });
+
+        const missing = names.filter(name => !permissions.some(p => p.name === name));
+        if (missing.length > 0) {
+            throw new ServerError(`Unknown permissions: ${missing.join(', ')}`, 400);
+        }
+
+        return permissions;
+    }
+
+    #describe(role) {
+        return {
+            id: role.id,
+            name: role.name,
+            description: role.description,
+            permissions: role.Permissions.map(p => p.name),
+            createdAt: role.createdAt,
+            updatedAt: role.updatedAt
+        };
+    }
+}
@@ -1,19 +1,49 @@
+import { Op } from "sequelize";
+import { v7 as uuidv7 } from "uuid";
+import { Config } from "../config.js";
 import { KeyManagementService } from "../crypto/services/keyManagementService.js";
 import { SecretEncryptionService } from "../crypto/services/secretEncryptionService.js";
+import { database } from "../data/database.js";
 import { ServerError } from "../helpers/serverError.js";
 import { Folder } from "../models/folder.js";
 import { Secret } from "../models/secret.js";
+import { SecretChunk } from "../models/secretChunk.js";
+import { SecretVersion } from "../models/secretVersion.js";
+import { Base64Encoder } from "../utils/encoders/base64.js";
+import { FolderService } from "./folder.service.js";
+import { AuditService } from "./audit.service.js";
 
 export class SecretService {
+    constructor() {
+        this.folderService = new FolderService();
+    }
+
     /**
      * Creates a new secret with encrypted data
      * @param {string} name - Secret name/identifier
-     * @param {string|Uint8Array} plaintext - The secret data to encrypt (string or Uint8Array)
+     * @param {string|Uint8Array|Object} plaintext - The secret data to encrypt (string, binary Uint8Array or JSON object)
      * @param {string|null} [folderId=null] - Folder ID where the secret belongs (null for root)
+     * @param {object} [options]
+     * @param {Date|null} [options.expiresAt=null] - After this date the secret is no longer served
+     * @param {Object<string, string>} [options.metadata={}] - Unencrypted key/value metadata
+     * @param {string[]} [options.tags=[]] - Unencrypted tags
+     * @param {string} [options.contentType='application/octet-stream'] - Content type of a binary secret
+     * @param {import('sequelize').Transaction} [options.transaction]
      * @returns {Promise<Secret>} The created secret record
      * @throws {Error} If encryption or database operation fails
      */
-    async create(name, plaintext, folderId = null) {
+    async create(
+        name,
+        plaintext,
+        folderId = null,
+        {
+            expiresAt = null,
+            metadata = {},
+            tags = [],
+            contentType = "application/octet-stream",
+            transaction,
+        } = {}
+    ) {
         if (!name || typeof name !== "string" || name.trim() === "") {
             throw new Error("Secret name cannot be empty");
         }
@@ -23,17 +53,16 @@ export class SecretService {
         }
 
         if (folderId) {
-            const folderExists = await Folder.findByPk(folderId)
+            const folderExists = await Folder.findByPk(folderId, { transaction })
             if (!folderExists) {
                 throw new ServerError("Specified folder does not exist", 404);
             }
         }
 
-        // Convert string to Uint8Array if needed
-        const dataToEncrypt =
-            typeof plaintext === "string"
-                ? new TextEncoder().encode(plaintext)
-                : plaintext;
+        await this.#assertNameAvailable(name, folderId, { transaction });
+
+        const { bytes: dataToEncrypt, format = "binary" } =
+            this.#serialize(plaintext);
 
         try {
             const encrypted = await SecretEncryptionService.encryptSecret(
@@ -44,8 +73,13 @@ export class SecretService {
                 name: name,
                 data: Buffer.from(encrypted),
                 dekId: KeyManagementService.defaultDekId,
+                format: format,
+                contentType: format === "binary" ? contentType : null,
                 folderId: folderId,
-            });
+                expiresAt: expiresAt,
+                metadata: metadata,
+                tags: tags,
+            }, { transaction });
 
             return secret;
         } catch (error) {
@@ -53,58 +87,134 @@ export class SecretService {
         }
     }
 
+    /**
+     * Creates a secret by its folder path, missing folders are created in the same
+     * transaction: if the secret can't be created no empty folder is left behind
+     * @param {string} path - Slash separated path, the last segment is the secret name
+     * @param {string|Uint8Array|Object} plaintext - The secret data to encrypt
+     * @param {object} [options] - Same as create()
+     * @returns {Promise<Secret>} The created secret record
+     * @throws {ServerError|Error} If the path is empty, a name is taken or the creation fails
+     */
+    async createByPath(path, plaintext, options = {}) {
+        const { folders, name } = this.splitPath(path);
+
+        return await database.transaction(async (transaction) => {
+            const folderId = await this.folderService.resolvePath(folders, {
+                create: true,
+                transaction,
+            });
+
+            return await this.create(name, plaintext, folderId, {
+                ...options,
+                transaction,
+            });
+        });
+    }
+
     /**
      * Retrieves and decrypts a secret by name
      * @param {string} identifier - Secret identifier/name
      * @param {boolean} isUUID - true to search by id
-     * @returns {Promise<{name: string, data: Uint8Array}>} Decrypted secret data
+     * @param {number|null} [version=null] - Specific version to retrieve (null for the current one)
+     * @param {object} [options]
+     * @param {string|null} [options.clientId=null] - Client reading the secret, recorded as its last accessor
+     * (the read updates lastAccessedAt, lastAccessedBy and accessCount of the secret)
+     * @returns {Promise<{name: string, data: Uint8Array, version: number}>} Decrypted secret data
      * @throws {Error} If secret not found or decryption fails
      */
-    async get(identifier, isUUID) {
-        if (
-            !identifier ||
-            typeof identifier !== "string" ||
-            identifier.trim() === ""
-        ) {
-            throw new Error("Secret name cannot be empty");
+    async get(identifier, isUUID, version = null, { clientId = null } = {}) {
+        const { secret, encrypted } = await this.#find(identifier, isUUID, version);
+
+        if (encrypted.blobId) {
+            throw new ServerError(
+                `Secret '${identifier}' is stored in segments, download it as a stream`,
+                400
+            );
         }
 
-        let secret;
         try {
-            const condition = isUUID
-                ? { id: identifier }
-                : { name: identifier };
-            secret = await Secret.findOne({ where: condition });
+            const { secret: decrypted, header } =
+                await SecretEncryptionService.decryptSecret(
+                    new Uint8Array(encrypted.data),
+                    encrypted.dekId
+                );
+
+            // Check if dekId is different than current one, if true then re-encrypt with new dek
+            // (only the current version is rotated, old versions keep their DEK)
+            if (
+                encrypted === secret &&
+                header.dekId !== KeyManagementService.defaultDekId
+            ) {
+                this.#scheduleRotation(secret.id);
+            }
+
+            await this.#recordAccess(secret.id, clientId);
+
+            return {
+                ...this.#describe(secret, encrypted),
+                data: decrypted,
+            };
         } catch (error) {
             throw new Error(
-                `Failed to retrieve secret '${identifier}': ${error.message}`
+                `Failed to decrypt secret '${identifier}': ${error.message}`
             );
         }
+    }
 
-        if (!secret) {
-            throw new ServerError(`Secret '${identifier}' not found`, 404);
-        }
+    /**
+     * Retrieves a secret and decrypts it as a stream, without buffering the whole value.
+     * Works for every secret, the ones stored in segments are read a few segments at a time.
+     * @param {string} identifier - Secret identifier/name
+     * @param {boolean} isUUID - true to search by id
+     * @param {number|null} [version=null] - Specific version to retrieve (null for the current one)
+     * @param {object} [options]
+     * @param {string|null} [options.clientId=null] - Client reading the secret, recorded as its last accessor
+     * (the read updates lastAccessedAt, lastAccessedBy and accessCount of the secret)
+     * @returns {Promise<{secret: Object, stream: AsyncGenerator<Uint8Array>}>} Secret info and plaintext stream
+     * @throws {Error} If secret not found or the first segment cannot be decrypted
+     */
+    async getStream(identifier, isUUID, version = null, { clientId = null } = {}) {
+        const { secret, encrypted } = await this.#find(identifier, isUUID, version);
 
         try {
-            const { secret: decrypted, header } =
-                await SecretEncryptionService.decryptSecret(
-                    new Uint8Array(secret.data),
-                    secret.dekId
+            let stream;
+            if (encrypted.blobId) {
+                stream = SecretEncryptionService.decryptStream(
+                    new Uint8Array(encrypted.data),
+                    encrypted.dekId,
+                    this.#readChunks(encrypted.blobId)
                 );
+            } else {
+                const { secret: decrypted } =
+                    await SecretEncryptionService.decryptSecret(
+                        new Uint8Array(encrypted.data),
+                        encrypted.dekId
+                    );
+                stream = (async function* () {
+                    yield decrypted;
+                })();
+            }
 
-            // Check if dekId is different than current one, if true then re-encrypt with new dek
-            if (header.dekId !== KeyManagementService.defaultDekId) {
-                this.#scheduleRotation(secret.id, secret.name, decrypted);
+            // The first segment is decrypted here, so key or package errors are thrown before streaming
+            const first = await stream.next();
+
+            // Same DEK rotation as get(), the only read path of the secrets stored in segments
+            if (
+                encrypted === secret &&
+                encrypted.dekId !== KeyManagementService.defaultDekId
+            ) {
+                this.#scheduleRotation(secret.id);
             }
 
+            await this.#recordAccess(secret.id, clientId);
+
             return {
-                id: secret.id,
-                name: secret.name,
-                data: decrypted,
-                dekId: secret.dekId,
-                folderId: secret.folderId,
-                createdAt: secret.createdAt,
-                updatedAt: secret.updatedAt,
+                secret: this.#describe(secret, encrypted),
+                stream: (async function* () {
+                    if (!first.done) yield first.value;
+                    yield* stream;
+                })(),
             };
         } catch (error) {
             throw new Error(
@@ -114,55 +224,338 @@ export class SecretService {
     }
 
     /**
-     * Rotate Secret with newest DEK
+     * Splits a secret path (e.g. 'prod/payments/stripe-key') into folder names and secret name
+     * @param {string} path - Slash separated path, the last segment is the secret name
+     * @returns {{folders: string[], name: string}}
+     * @throws {ServerError} If the path is empty
+     */
+    splitPath(path) {
+        const segments = path.split("/").filter((segment) => segment !== "");
+        if (segments.length === 0) {
+            throw new ServerError("Secret path cannot be empty", 400);
+        }
+
+        return {
+            folders: segments.slice(0, -1),
+            name: segments[segments.length - 1],
+        };
+    }
+
+    /**
+     * Returns the absolute form of a secret path, e.g. 'prod//stripe-key' => '/prod/stripe-key'
+     * @param {string} path - Slash separated path
+     * @returns {string}
+     * @throws {ServerError} If the path is empty
+     */
+    normalizePath(path) {
+        const { folders, name } = this.splitPath(path);
+        return "/" + folders.concat(name).join("/");
+    }
+
+    /**
+     * Resolves a secret path through the folder hierarchy
+     * @param {string} path - Slash separated path, e.g. 'prod/payments/stripe-key'
+     * @returns {Promise<string>} Secret id
+     * @throws {ServerError} If a folder or the secret doesn't exist
+     */
+    async resolvePath(path) {
+        const { folders, name } = this.splitPath(path);
+        const folderId = await this.folderService.resolvePath(folders);
+
+        const secret = await Secret.findOne({
+            where: { name, folderId },
+            attributes: ["id"],
+        });
+
+        if (!secret) {
+            throw new ServerError(`Secret '/${folders.concat(name).join("/")}' not found`, 404);
+        }
+
+        return secret.id;
+    }
+
+    /**
+     * Returns the full path of a secret, e.g. '/prod/payments/stripe-key'
+     * @param {string} identifier - Secret id, name or path
+     * @param {boolean} isUUID - true if identifier is an id
+     * @param {object} [options]
+     * @param {boolean} [options.paranoid=true] - If false, trashed secrets are found too
+     * @returns {Promise<string>}
+     * @throws {ServerError} If secret not found or the name is ambiguous
+     */
+    async pathOf(identifier, isUUID, { paranoid = true } = {}) {
+        if (!isUUID && identifier.includes("/")) {
+            return this.normalizePath(identifier);
+        }
+
+        const secret = await this.#locate(identifier, isUUID, { paranoid });
+        return await this.folderService.pathOf(secret.folderId, secret.name, {
+            paranoid,
+        });
+    }
+
+    /**
+     * Finds a secret by id, name or path
+     * @param {string} identifier - Secret identifier/name
+     * @param {boolean} isUUID - true to search by id
+     * @param {object} [options]
+     * @param {boolean} [options.paranoid=true] - If false, trashed secrets are found too
+     * @returns {Promise<Secret>}
+     * @throws {ServerError} If secret not found or the name is ambiguous
+     */
+    async #locate(identifier, isUUID, { paranoid = true } = {}) {
+        if (
+            !identifier ||
+            typeof identifier !== "string" ||
+            identifier.trim() === ""
+        ) {
+            throw new Error("Secret name cannot be empty");
+        }
+
+        // Names are unique only inside a folder: a path (e.g. 'prod/db-password') is resolved
+        // through the folders, a bare name must match a single secret
+        let condition;
+        if (isUUID) {
+            condition = { id: identifier };
+        } else if (identifier.includes("/")) {
+            condition = { id: await this.resolvePath(identifier) };
+        } else {
+            condition = { name: identifier };
+        }
+
+        let secrets;
+        try {
+            secrets = await Secret.findAll({
+                where: condition,
+                limit: 2,
+                paranoid,
+            });
+        } catch (error) {
+            throw new Error(
+                `Failed to retrieve secret '${identifier}': ${error.message}`
+            );
+        }
+
+        if (secrets.length === 0) {
+            throw new ServerError(`Secret '${identifier}' not found`, 404);
+        }
+
+        if (secrets.length > 1) {
+            throw new ServerError(
+                `More than one secret is named '${identifier}', use its path or id`,
+                409
+            );
+        }
+
+        return secrets[0];
+    }
+
+    /**
+     * Finds a secret and the record holding the requested version
+     * @param {string} identifier - Secret identifier/name
+     * @param {boolean} isUUID - true to search by id
+     * @param {number|null} version - Specific version (null for the current one)
+     * @returns {Promise<{secret: Secret, encrypted: Secret|SecretVersion}>}
+     * @throws {ServerError} If secret or version not found, or the secret has expired
+     */
+    async #find(identifier, isUUID, version) {
+        const secret = await this.#locate(identifier, isUUID);
+
+        if (this.#isExpired(secret)) {
+            throw new ServerError(`Secret '${identifier}' has expired`, 410);
+        }
+
+        // An old version is stored in secret_version with the DEK it was written under
+        let encrypted = secret;
+        if (version && version !== secret.version) {
+            encrypted = await SecretVersion.findOne({
+                where: { secretId: secret.id, version },
+            });
+
+            if (!encrypted) {
+                throw new ServerError(
+                    `Version ${version} of secret '${identifier}' not found`,
+                    404
+                );
+            }
+        }
+
+        return { secret, encrypted };
+    }
+
+    /**
+     * Public information of a secret (everything except the value)
+     * @param {Secret} secret
+     * @param {Secret|SecretVersion} encrypted - Record of the requested version
+     * @returns {Object}
+     */
+    #describe(secret, encrypted) {
+        return {
+            id: secret.id,
+            name: secret.name,
+            dekId: encrypted.dekId,
+            version: encrypted.version,
+            format: encrypted.format,
+            contentType: encrypted.contentType,
+            folderId: secret.folderId,
+            expiresAt: secret.expiresAt,
+            metadata: secret.metadata,
+            tags: secret.tags,
+            createdAt: secret.createdAt,
+            updatedAt: encrypted === secret ? secret.updatedAt : encrypted.createdAt,
+        };
+    }
+
+    /**
+     * Rotate Secret with newest DEK. Secrets stored in segments are streamed into a new blob,
+     * the old segments are left to the trash purge (a download may still be reading them)
      * @param {string} secretId - UUID
-     * @param {string} secretName
-     * @param {Uint8Array} decryptedData
      */
-    async #scheduleRotation(secretId, secretName, decryptedData) {
+    async #scheduleRotation(secretId) {
         try {
             await new Promise((resolve) => setTimeout(resolve, 100));
 
-            await this.update(secretId, secretName, decryptedData, true);
+            const rotated = await database.transaction(async (transaction) => {
+                const secret = await Secret.findByPk(secretId, {
+                    transaction,
+                    lock: transaction.LOCK.UPDATE,
+                });
+
+                // Trashed, or already rotated by a concurrent read
+                if (!secret || secret.dekId === KeyManagementService.defaultDekId) {
+                    return false;
+                }
+
+                const encrypted = await this.#reencrypt(secret, transaction);
+                await secret.update(
+                    { ...encrypted, lastRotation: new Date() },
+                    { transaction }
+                );
+                return true;
+            });
+            if (!rotated) return;
+
             console.log(
                 `Successfully rotated secret ${secretId} to DEK ${KeyManagementService.defaultDekId}`
             );
+            await this.#auditRotation(secretId, "success");
         } catch (error) {
             console.error(`Rotation failed for secret ${secretId}:`, error);
+            await this.#auditRotation(secretId, "failure");
             // No Retry
         }
     }
 
+    /**
+     * Records a background DEK rotation in the audit log (no client, it's the system)
+     * @param {string} secretId - UUID
+     * @param {'success'|'failure'} outcome
+     */
+    async #auditRotation(secretId, outcome) {
+        try {
+            await new AuditService().record({ action: "secret.rotate-dek", target: secretId, outcome });
+        } catch (error) {
+            console.error(`Audit log write failed for the rotation of secret ${secretId}:`, error);
+        }
+    }
+
+    /**
+     * Records a read of a secret: time, client and count. Every read writes the secret row
+     * (an awaited UPDATE before the value is returned). Silent, so updatedAt keeps
+     * the last change of the secret. A failure is logged, it doesn't fail the read
+     * @param {string} secretId - UUID
+     * @param {string|null} clientId - Client that read the secret
+     */
+    async #recordAccess(secretId, clientId) {
+        try {
+            await Secret.update(
+                {
+                    lastAccessedAt: new Date(),
+                    lastAccessedBy: clientId,
+                    accessCount: database.literal('"accessCount" + 1'),
+                },
+                { where: { id: secretId }, silent: true }
+            );
+        } catch (error) {
+            console.error(`Access tracking failed for secret ${secretId}:`, error);
+        }
+    }
+
     /**
      * Retrieves and decrypts a secret by name, returning as string
+     * (parsed object for JSON secrets, base64 string for binary secrets)
      * @param {string} identifier - Secret name/identifier
      * @param {boolean} isUUID - true to search by id
-     * @returns {Promise<{name: string, data: string}>} Decrypted secret as string
+     * @param {number|null} [version=null] - Specific version to retrieve (null for the current one)
+     * @param {object} [options] - Same as get()
+     * @returns {Promise<{name: string, data: string|Object}>} Decrypted secret as string or object
      * @throws {Error} If secret not found or decryption fails
      */
-    async getAsString(identifier, isUUID) {
-        const secret = await this.get(identifier, isUUID);
+    async getAsString(identifier, isUUID, version = null, options = {}) {
+        const secret = await this.get(identifier, isUUID, version, options);
         return {
             ...secret,
-            data: new TextDecoder().decode(secret.data),
+            data: this.#deserialize(secret.data, secret.format),
+        };
+    }
+
+    /**
+     * Retrieves a single field of a JSON secret
+     * @param {string} identifier - Secret name/identifier
+     * @param {boolean} isUUID - true to search by id
+     * @param {string} field - Field name
+     * @param {object} [options] - Same as get()
+     * @returns {Promise<{id: string, name: string, field: string, value: any}>}
+     * @throws {ServerError} If the secret is not a JSON secret or the field doesn't exist
+     */
+    async getField(identifier, isUUID, field, options = {}) {
+        const secret = await this.getAsString(identifier, isUUID, null, options);
+
+        if (secret.format !== "json") {
+            throw new ServerError(`Secret '${identifier}' is not a JSON secret`, 400);
+        }
+
+        if (!Object.hasOwn(secret.data, field)) {
+            throw new ServerError(
+                `Field '${field}' not found in secret '${identifier}'`,
+                404
+            );
+        }
+
+        return {
+            id: secret.id,
+            name: secret.name,
+            field,
+            value: secret.data[field],
         };
     }
 
     /**
-     * Updates an existing secret
+     * Updates an existing secret, keeping the previous encrypted payload as a numbered version
      * @param {string} id - Secret identifier
-     * @param {string} name - Secret name
-     * @param {string|Uint8Array} newPlaintext - New secret data to encrypt
-     * @param {boolean} [isRotation=false] - if true, update lastRotation
+     * @param {string|null} name - Secret name (null when unknown to the caller)
+     * @param {string|Uint8Array|Object} newPlaintext - New secret data to encrypt (a Uint8Array keeps the current format)
+     * @param {object} [options]
+     * @param {boolean} [options.isRotation=false] - if true, update lastRotation (DEK rotation does not create a new version)
+     * @param {Date|null} [options.expiresAt] - New expiration date, null removes it, undefined keeps the current one
+     * @param {string} [options.contentType] - If set, the Uint8Array is stored as a binary secret with this content type
      * @returns {Promise<Secret>} The updated secret record
      * @throws {Error} If secret not found or operation fails
      */
-    async update(id, name, newPlaintext, isRotation = false) {
+    async update(
+        id,
+        name,
+        newPlaintext,
+        { isRotation = false, expiresAt, contentType } = {}
+    ) {
         if (!id) {
             throw new Error("Secret id cannot be empty");
         }
 
-        if (!name || typeof name !== "string" || name.trim() === "") {
+        if (
+            name !== null &&
+            (!name || typeof name !== "string" || name.trim() === "")
+        ) {
             throw new Error("Secret name cannot be empty");
         }
 
@@ -170,51 +563,608 @@ export class SecretService {
             throw new Error("Plaintext data cannot be empty");
         }
 
-        // Convert string to Uint8Array if needed
-        const dataToEncrypt =
-            typeof newPlaintext === "string"
-                ? new TextEncoder().encode(newPlaintext)
-                : newPlaintext;
+        const serialized = this.#serialize(newPlaintext);
+        const dataToEncrypt = serialized.bytes;
+        const format = contentType ? "binary" : serialized.format;
 
         try {
             const encrypted = await SecretEncryptionService.encryptSecret(
                 dataToEncrypt
             );
 
-            let dataToUpdate = {
-                data: Buffer.from(encrypted),
-                dekId: KeyManagementService.defaultDekId,
-            };
+            return await database.transaction(async (transaction) => {
+                const secret = await Secret.findByPk(id, {
+                    transaction,
+                    lock: transaction.LOCK.UPDATE,
+                });
 
-            if (isRotation) {
-                dataToUpdate = {
-                    ...dataToUpdate,
-                    lastRotation: new Date(),
+                if (!secret) {
+                    throw new ServerError(`Secret '${id}' not found`, 404);
+                }
+
+                let dataToUpdate = {
+                    data: Buffer.from(encrypted),
+                    dekId: KeyManagementService.defaultDekId,
+                    blobId: null,
+                    ...(format && {
+                        format,
+                        contentType: format === "binary" ? contentType : null,
+                    }),
                 };
+
+                if (isRotation) {
+                    dataToUpdate = {
+                        ...dataToUpdate,
+                        lastRotation: new Date(),
+                    };
+                } else {
+                    await this.#archiveCurrentVersion(secret, transaction);
+                    dataToUpdate = {
+                        ...dataToUpdate,
+                        version: secret.version + 1,
+                    };
+                }
+
+                if (expiresAt !== undefined) {
+                    dataToUpdate = {
+                        ...dataToUpdate,
+                        expiresAt,
+                    };
+                }
+
+                return await secret.update(dataToUpdate, { transaction });
+            });
+        } catch (error) {
+            if (error instanceof ServerError) throw error;
+            throw new Error(
+                `Failed to update secret '${id}': ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Creates a new binary secret from a stream, encrypted in segments (for large secrets)
+     * @param {string} name - Secret name/identifier
+     * @param {AsyncIterable<Uint8Array>} source - Plaintext chunks (e.g. the request)
+     * @param {string|null} [folderId=null] - Folder ID where the secret belongs (null for root)
+     * @param {object} [options]
+     * @param {Date|null} [options.expiresAt=null] - After this date the secret is no longer served
+     * @param {Object<string, string>} [options.metadata={}] - Unencrypted key/value metadata
+     * @param {string[]} [options.tags=[]] - Unencrypted tags
+     * @param {string} [options.contentType='application/octet-stream'] - Content type of the secret
+     * @returns {Promise<Secret>} The created secret record
+     * @throws {ServerError} If the stream is empty or too large
+     */
+    async createStream(
+        name,
+        source,
+        folderId = null,
+        {
+            expiresAt = null,
+            metadata = {},
+            tags = [],
+            contentType = "application/octet-stream",
+        } = {}
+    ) {
+        if (!name || typeof name !== "string" || name.trim() === "") {
+            throw new Error("Secret name cannot be empty");
+        }
+
+        if (folderId) {
+            const folderExists = await Folder.findByPk(folderId);
+            if (!folderExists) {
+                throw new ServerError("Specified folder does not exist", 404);
             }
+        }
+
+        await this.#assertNameAvailable(name, folderId);
+
+        try {
+            return await database.transaction(async (transaction) => {
+                const stored = await this.#storeStream(source, transaction);
+
+                return await Secret.create(
+                    {
+                        name: name,
+                        data: Buffer.from(stored.package),
+                        dekId: stored.dekId,
+                        blobId: stored.blobId,
+                        format: "binary",
+                        contentType: contentType,
+                        folderId: folderId,
+                        expiresAt: expiresAt,
+                        metadata: metadata,
+                        tags: tags,
+                    },
+                    { transaction }
+                );
+            });
+        } catch (error) {
+            if (error instanceof ServerError) throw error;
+            throw new Error(`Failed to create secret: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replaces the value of a secret with a stream, encrypted in segments.
+     * The previous value is kept as a version.
+     * @param {string} id - Secret id
+     * @param {AsyncIterable<Uint8Array>} source - Plaintext chunks (e.g. the request)
+     * @param {object} [options]
+     * @param {string} [options.contentType='application/octet-stream'] - Content type of the secret
+     * @returns {Promise<Secret>} The updated secret record
+     * @throws {ServerError} If secret not found, the stream is empty or too large
+     */
+    async updateStream(
+        id,
+        source,
+        { contentType = "application/octet-stream" } = {}
+    ) {
+        try {
+            return await database.transaction(async (transaction) => {
+                const secret = await Secret.findByPk(id, {
+                    transaction,
+                    lock: transaction.LOCK.UPDATE,
+                });
+
+                if (!secret) {
+                    throw new ServerError(`Secret '${id}' not found`, 404);
+                }
+
+                const stored = await this.#storeStream(source, transaction);
 
-            const [affectedCount, updatedSecrets] = await Secret.update(
-                dataToUpdate,
+                await this.#archiveCurrentVersion(secret, transaction);
+
+                return await secret.update(
+                    {
+                        data: Buffer.from(stored.package),
+                        dekId: stored.dekId,
+                        blobId: stored.blobId,
+                        format: "binary",
+                        contentType: contentType,
+                        version: secret.version + 1,
+                    },
+                    { transaction }
+                );
+            });
+        } catch (error) {
+            if (error instanceof ServerError) throw error;
+            throw new Error(
+                `Failed to update secret '${id}': ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Moves a secret to another folder, optionally renaming it
+     * @param {string} id - Secret id
+     * @param {string|null} [folderId=null] - Destination folder ID (null for root)
+     * @param {object} [options]
+     * @param {string} [options.name] - New name (default: the current one)
+     * @returns {Promise<Secret>} The moved secret record
+     * @throws {ServerError} If secret or folder not found, or the name is taken in the destination
+     */
+    async move(id, folderId = null, { name } = {}) {
+        try {
+            return await database.transaction(async (transaction) => {
+                const secret = await Secret.findByPk(id, {
+                    transaction,
+                    lock: transaction.LOCK.UPDATE,
+                });
+
+                if (!secret) {
+                    throw new ServerError(`Secret '${id}' not found`, 404);
+                }
+
+                await this.#assertFolderExists(folderId, { transaction });
+
+                const newName = name ?? secret.name;
+                if (newName === secret.name && folderId === secret.folderId) {
+                    return secret;
+                }
+
+                await this.#assertNameAvailable(newName, folderId, { transaction });
+
+                return await secret.update(
+                    { name: newName, folderId },
+                    { transaction }
+                );
+            });
+        } catch (error) {
+            if (error instanceof ServerError) throw error;
+            throw new Error(`Failed to move secret '${id}': ${error.message}`);
+        }
+    }
+
+    /**
+     * Copies a secret to a folder. The current value is decrypted and encrypted again
+     * (fresh nonces, current DEK), the version history is not copied.
+     * @param {string} id - Secret id
+     * @param {string|null} [folderId=null] - Destination folder ID (null for root)
+     * @param {object} [options]
+     * @param {string} [options.name] - Name of the copy (default: the same name)
+     * @param {import("sequelize").Transaction} [options.transaction] - Runs inside this transaction (e.g. a folder copy)
+     * @returns {Promise<Secret>} The new secret record
+     * @throws {ServerError} If secret or folder not found, or the name is taken in the destination
+     */
+    async copy(id, folderId = null, { name, transaction } = {}) {
+        const copySecret = async (transaction) => {
+            const secret = await Secret.findByPk(id, { transaction });
+
+            if (!secret) {
+                throw new ServerError(`Secret '${id}' not found`, 404);
+            }
+
+            await this.#assertFolderExists(folderId, { transaction });
+
+            const newName = name ?? secret.name;
+            await this.#assertNameAvailable(newName, folderId, { transaction });
+
+            const encrypted = await this.#reencrypt(secret, transaction);
+
+            return await Secret.create(
                 {
-                    where: { id },
-                    returning: true,
+                    ...encrypted,
+                    name: newName,
+                    folderId,
+                    format: secret.format,
+                    contentType: secret.contentType,
+                    expiresAt: secret.expiresAt,
+                    metadata: secret.metadata,
+                    tags: secret.tags,
+                },
+                { transaction }
+            );
+        };
+
+        try {
+            return transaction
+                ? await copySecret(transaction)
+                : await database.transaction(copySecret);
+        } catch (error) {
+            if (error instanceof ServerError) throw error;
+            throw new Error(`Failed to copy secret '${id}': ${error.message}`);
+        }
+    }
+
+    /**
+     * Decrypts the current value of a secret and encrypts it again with the current DEK.
+     * Secrets stored in segments are streamed into a new blob.
+     * @param {Secret} secret - Secret record
+     * @param {import("sequelize").Transaction} transaction
+     * @returns {Promise<{data: Buffer, dekId: number, blobId: string|null}>}
+     */
+    async #reencrypt(secret, transaction) {
+        if (secret.blobId) {
+            const plaintext = SecretEncryptionService.decryptStream(
+                new Uint8Array(secret.data),
+                secret.dekId,
+                this.#readChunks(secret.blobId, { transaction })
+            );
+            const stored = await this.#storeStream(plaintext, transaction);
+
+            return {
+                data: Buffer.from(stored.package),
+                dekId: stored.dekId,
+                blobId: stored.blobId,
+            };
+        }
+
+        const { secret: decrypted } = await SecretEncryptionService.decryptSecret(
+            new Uint8Array(secret.data),
+            secret.dekId
+        );
+        const encrypted = await SecretEncryptionService.encryptSecret(decrypted);
+
+        return {
+            data: Buffer.from(encrypted),
+            dekId: KeyManagementService.defaultDekId,
+            blobId: null,
+        };
+    }
+
+    /**
+     * Encrypts a stream and saves its segments in secret_chunk
+     * @param {AsyncIterable<Uint8Array>} source - Plaintext chunks
+     * @param {import("sequelize").Transaction} transaction
+     * @returns {Promise<{blobId: string, dekId: number, package: Uint8Array}>}
+     * @throws {ServerError} If the stream is empty or larger than Config.STREAM_SECRET_LIMIT
+     */
+    async #storeStream(source, transaction) {
+        const blobId = uuidv7();
+        const dekId = KeyManagementService.defaultDekId;
+
+        let size = 0;
+        const limited = (async function* () {
+            for await (const chunk of source) {
+                size += chunk.length;
+                if (size > Config.STREAM_SECRET_LIMIT) {
+                    throw new ServerError(
+                        `Secret exceeds the maximum size of ${Config.STREAM_SECRET_LIMIT} bytes`,
+                        413
+                    );
                 }
+                yield chunk;
+            }
+        })();
+
+        const { package: encryptedPackage, segments } =
+            SecretEncryptionService.encryptStream(limited, dekId);
+
+        let index = 0;
+        for await (const segment of segments) {
+            await SecretChunk.create(
+                { blobId, index: index++, data: Buffer.from(segment) },
+                { transaction }
             );
+        }
+
+        if (size === 0) {
+            throw new ServerError("Secret value cannot be empty", 400);
+        }
 
-            if (affectedCount === 0) {
-                throw new Error(`Secret '${id}' not found`);
+        return { blobId, dekId, package: encryptedPackage };
+    }
+
+    /**
+     * Reads the encrypted segments of a blob, a page at a time
+     * @param {string} blobId
+     * @param {object} [options]
+     * @param {import("sequelize").Transaction} [options.transaction]
+     * @returns {AsyncGenerator<Uint8Array>} Encrypted segments, in order
+     */
+    async *#readChunks(blobId, { transaction } = {}) {
+        const pageSize = 16;
+        let index = 0;
+
+        while (true) {
+            const chunks = await SecretChunk.findAll({
+                where: { blobId, index: { [Op.gte]: index } },
+                order: [["index", "ASC"]],
+                limit: pageSize,
+                transaction,
+            });
+
+            for (const chunk of chunks) {
+                yield new Uint8Array(chunk.data);
+                index = chunk.index + 1;
             }
 
-            return updatedSecrets[0];
+            if (chunks.length < pageSize) return;
+        }
+    }
+
+    /**
+     * Copies the current encrypted payload of a secret into secret_version
+     * @param {Secret} secret - Secret record (locked in the transaction)
+     * @param {import("sequelize").Transaction} transaction
+     * @returns {Promise<SecretVersion>}
+     */
+    async #archiveCurrentVersion(secret, transaction) {
+        return await SecretVersion.create(
+            {
+                secretId: secret.id,
+                version: secret.version,
+                dekId: secret.dekId,
+                format: secret.format,
+                contentType: secret.contentType,
+                blobId: secret.blobId,
+                data: secret.data,
+            },
+            { transaction }
+        );
+    }
+
+    /**
+     * Updates some fields of a JSON secret, the others are kept.
+     * A null value removes the field (JSON merge patch).
+     * @param {string} id - Secret id
+     * @param {Object} fields - Fields to set or remove
+     * @returns {Promise<Secret>} The updated secret record
+     * @throws {ServerError} If secret not found or not a JSON secret
+     */
+    async patchFields(id, fields) {
+        try {
+            return await database.transaction(async (transaction) => {
+                const secret = await Secret.findByPk(id, {
+                    transaction,
+                    lock: transaction.LOCK.UPDATE,
+                });
+
+                if (!secret) {
+                    throw new ServerError(`Secret '${id}' not found`, 404);
+                }
+
+                if (this.#isExpired(secret)) {
+                    throw new ServerError(`Secret '${id}' has expired`, 410);
+                }
+
+                if (secret.format !== "json") {
+                    throw new ServerError(`Secret '${id}' is not a JSON secret`, 400);
+                }
+
+                const { secret: decrypted } =
+                    await SecretEncryptionService.decryptSecret(
+                        new Uint8Array(secret.data),
+                        secret.dekId
+                    );
+
+                const value = this.#deserialize(decrypted, secret.format);
+                for (const [field, fieldValue] of Object.entries(fields)) {
+                    if (fieldValue === null) {
+                        delete value[field];
+                    } else {
+                        value[field] = fieldValue;
+                    }
+                }
+
+                if (Object.keys(value).length === 0) {
+                    throw new ServerError("A JSON secret cannot be empty", 400);
+                }
+
+                const encrypted = await SecretEncryptionService.encryptSecret(
+                    this.#serialize(value).bytes
+                );
+
+                await this.#archiveCurrentVersion(secret, transaction);
+
+                return await secret.update(
+                    {
+                        data: Buffer.from(encrypted),
+                        dekId: KeyManagementService.defaultDekId,
+                        version: secret.version + 1,
+                    },
+                    { transaction }
+                );
+            });
         } catch (error) {
+            if (error instanceof ServerError) throw error;
             throw new Error(
-                `Failed to update secret '${id}': ${error.message}`
+                `Failed to update fields of secret '${id}': ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Lists all versions of a secret, the current one included
+     * @param {string} id - Secret id
+     * @returns {Promise<Array<{version: number, dekId: number, format: string, current: boolean, createdAt: Date}>>} Versions from newest to oldest
+     * @throws {ServerError} If secret not found
+     */
+    async listVersions(id) {
+        const secret = await Secret.findByPk(id, {
+            attributes: ["id", "version", "dekId", "format", "updatedAt"],
+        });
+
+        if (!secret) {
+            throw new ServerError(`Secret '${id}' not found`, 404);
+        }
+
+        try {
+            const versions = await SecretVersion.findAll({
+                where: { secretId: id },
+                attributes: ["version", "dekId", "format", "createdAt"],
+                order: [["version", "DESC"]],
+            });
+
+            return [
+                {
+                    version: secret.version,
+                    dekId: secret.dekId,
+                    format: secret.format,
+                    current: true,
+                    createdAt: secret.updatedAt,
+                },
+                ...versions.map((v) => ({
+                    version: v.version,
+                    dekId: v.dekId,
+                    format: v.format,
+                    current: false,
+                    createdAt: v.createdAt,
+                })),
+            ];
+        } catch (error) {
+            throw new ServerError(
+                `Failed to list versions of secret '${id}': ${error.message}`,
+                500
+            );
+        }
+    }
+
+    /**
+     * Promotes an old version to current.
+     * The current payload is archived and the old ciphertext becomes the new (highest) version,
+     * so the history is never rewritten.
+     * @param {string} id - Secret id
+     * @param {number} version - Version to restore
+     * @returns {Promise<Secret>} The updated secret record
+     * @throws {ServerError} If secret or version not found
+     */
+    async rollback(id, version) {
+        try {
+            return await database.transaction(async (transaction) => {
+                const secret = await Secret.findByPk(id, {
+                    transaction,
+                    lock: transaction.LOCK.UPDATE,
+                });
+
+                if (!secret) {
+                    throw new ServerError(`Secret '${id}' not found`, 404);
+                }
+
+                if (secret.version === version) {
+                    throw new ServerError(
+                        `Version ${version} is already the current one`,
+                        400
+                    );
+                }
+
+                const target = await SecretVersion.findOne({
+                    where: { secretId: id, version },
+                    transaction,
+                });
+
+                if (!target) {
+                    throw new ServerError(
+                        `Version ${version} of secret '${id}' not found`,
+                        404
+                    );
+                }
+
+                await this.#archiveCurrentVersion(secret, transaction);
+
+                return await secret.update(
+                    {
+                        data: target.data,
+                        dekId: target.dekId,
+                        format: target.format,
+                        contentType: target.contentType,
+                        blobId: target.blobId,
+                        version: secret.version + 1,
+                    },
+                    { transaction }
+                );
+            });
+        } catch (error) {
+            if (error instanceof ServerError) throw error;
+            throw new Error(
+                `Failed to rollback secret '${id}': ${error.message}`
             );
         }
     }
 
     /**
-     * Deletes a secret by name
+     * Replaces the unencrypted metadata and/or tags of a secret (does not create a new version)
+     * @param {string} id - Secret id
+     * @param {object} changes
+     * @param {Object<string, string>} [changes.metadata] - New metadata, undefined keeps the current one
+     * @param {string[]} [changes.tags] - New tags, undefined keeps the current ones
+     * @returns {Promise<Secret>} The updated secret record
+     * @throws {ServerError} If secret not found
+     */
+    async updateMetadata(id, { metadata, tags }) {
+        const secret = await Secret.findByPk(id, {
+            attributes: { exclude: ["data"] },
+        });
+
+        if (!secret) {
+            throw new ServerError(`Secret '${id}' not found`, 404);
+        }
+
+        try {
+            return await secret.update({
+                ...(metadata !== undefined && { metadata }),
+                ...(tags !== undefined && { tags }),
+            });
+        } catch (error) {
+            throw new Error(
+                `Failed to update metadata of secret '${id}': ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Moves a secret to the trash
      * @param {string} id - Secret name/identifier
      * @returns {Promise<boolean>} True if deleted, false if not found
      */
@@ -234,21 +1184,79 @@ export class SecretService {
     }
 
     /**
-     * Lists all available secret names
-     * @returns {Promise<Array<{id: string, name: string, dekId: number, folderId: string, lastRotation: Date, createdAt: Date}>>} List of secret metadata
+     * Restores a secret from the trash
+     * @param {string} id - Secret id
+     * @returns {Promise<Secret>} The restored secret record
+     * @throws {ServerError} If secret is not in the trash, its folder is in the trash or its name is taken
+     */
+    async restore(id) {
+        const secret = await Secret.findByPk(id, { paranoid: false });
+
+        if (!secret || !secret.deletedAt) {
+            throw new ServerError(`Secret '${id}' not found in trash`, 404);
+        }
+
+        if (secret.folderId) {
+            const folder = await Folder.findByPk(secret.folderId);
+            if (!folder) {
+                throw new ServerError(
+                    "Secret folder is in the trash, restore it first",
+                    409
+                );
+            }
+        }
+
+        await this.#assertNameAvailable(secret.name, secret.folderId);
+
+        try {
+            await secret.restore();
+            return secret;
+        } catch (error) {
+            throw new Error(
+                `Failed to restore secret '${id}': ${error.message}`
+            );
+        }
+    }
+
+    /**
+     * Lists all available secret names, optionally filtered by tags and metadata
+     * @param {object} [filters]
+     * @param {string[]} [filters.tags] - The secret must have all of these tags
+     * @param {Object<string, string>} [filters.metadata] - The secret metadata must contain all of these pairs
+     * @returns {Promise<Array<{id: string, name: string, dekId: number, version: number, format: string, contentType: string, folderId: string, lastRotation: Date, lastAccessedAt: Date, lastAccessedBy: string, accessCount: number, expiresAt: Date, expired: boolean, metadata: Object, tags: string[], createdAt: Date}>>} List of secret metadata
      */
-    async list() {
+    async list({ tags = [], metadata = {} } = {}) {
+        // Both conditions use the GIN indexes on tags and metadata
+        const where = {};
+        if (tags.length > 0) {
+            where.tags = { [Op.contains]: tags };
+        }
+        if (Object.keys(metadata).length > 0) {
+            where.metadata = { [Op.contains]: metadata };
+        }
+
         try {
             const secrets = await Secret.findAll({
-                attributes: ["id", "name", "dekId", "folderId", "lastRotation", "createdAt"],
+                where,
+                attributes: ["id", "name", "dekId", "version", "format", "contentType", "folderId", "lastRotation", "lastAccessedAt", "lastAccessedBy", "accessCount", "expiresAt", "metadata", "tags", "createdAt"],
                 order: [["name", "ASC"]],
             });
             return secrets.map((s) => ({
                 id: s.id,
                 name: s.name,
                 dekId: s.dekId,
+                version: s.version,
+                format: s.format,
+                contentType: s.contentType,
                 folderId: s.folderId,
                 lastRotation: s.lastRotation,
+                lastAccessedAt: s.lastAccessedAt,
+                lastAccessedBy: s.lastAccessedBy,
+                accessCount: s.accessCount,
+                expiresAt: s.expiresAt,
+                expired: this.#isExpired(s),
+                metadata: s.metadata,
+                tags: s.tags,
                 createdAt: s.createdAt,
             }));
         } catch (error) {
@@ -259,7 +1267,7 @@ export class SecretService {
     /**
      * Lists all secrets in a folder
      * @param {string|null} [folderId=null] - Folder ID (null for root)
-     * @returns {Promise<Array<{id: string, name: string, dekId: number, lastRotation: Date, createdAt: Date}>>} List of secrets
+     * @returns {Promise<Array<{id: string, name: string, dekId: number, version: number, format: string, contentType: string, lastRotation: Date, lastAccessedAt: Date, lastAccessedBy: string, accessCount: number, expiresAt: Date, expired: boolean, metadata: Object, tags: string[], createdAt: Date}>>} List of secrets
      */
     async listFolder(folderId = null) {
         try {
@@ -272,7 +1280,17 @@ export class SecretService {
                 id: s.id,
                 name: s.name,
                 dekId: s.dekId,
+                version: s.version,
+                format: s.format,
+                contentType: s.contentType,
                 lastRotation: s.lastRotation,
+                lastAccessedAt: s.lastAccessedAt,
+                lastAccessedBy: s.lastAccessedBy,
+                accessCount: s.accessCount,
+                expiresAt: s.expiresAt,
+                expired: this.#isExpired(s),
+                metadata: s.metadata,
+                tags: s.tags,
                 createdAt: s.createdAt,
             }));
         } catch (error) {
@@ -282,4 +1300,153 @@ export class SecretService {
             );
         }
     }
+
+    /**
+     * Lists the secrets neither read nor rotated (new value or DEK rotation) in the last days,
+     * candidates for a cleanup. Secrets never rotated count from their creation, changes of
+     * metadata, tags or folder don't make a secret used
+     * @param {number} days - Days without reads and rotations
+     * @returns {Promise<Array<{id: string, name: string, folderId: string, version: number, lastRotation: Date, lastAccessedAt: Date, lastAccessedBy: string, accessCount: number, expiresAt: Date, expired: boolean, createdAt: Date, updatedAt: Date}>>} Least recently used first
+     */
+    async listStale(days) {
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        try {
+            const secrets = await Secret.findAll({
+                where: {
+                    // A new value archives the previous one, the newest version is the time of the last value change
+                    [Op.and]: database.where(
+                        database.literal(
+                            `COALESCE(GREATEST("Secret"."lastRotation", (SELECT max(v."createdAt") FROM secret_version v WHERE v."secretId" = "Secret"."id")), "Secret"."createdAt")`
+                        ),
+                        { [Op.lt]: cutoff }
+                    ),
+                    [Op.or]: [
+                        { lastAccessedAt: null },
+                        { lastAccessedAt: { [Op.lt]: cutoff } },
+                    ],
+                },
+                attributes: ["id", "name", "folderId", "version", "lastRotation", "lastAccessedAt", "lastAccessedBy", "accessCount", "expiresAt", "createdAt", "updatedAt"],
+                order: [
+                    [database.fn("COALESCE", database.col("lastAccessedAt"), database.col("createdAt")), "ASC"],
+                    ["name", "ASC"],
+                ],
+            });
+            return secrets.map((s) => ({
+                id: s.id,
+                name: s.name,
+                folderId: s.folderId,
+                version: s.version,
+                lastRotation: s.lastRotation,
+                lastAccessedAt: s.lastAccessedAt,
+                lastAccessedBy: s.lastAccessedBy,
+                accessCount: s.accessCount,
+                expiresAt: s.expiresAt,
+                expired: this.#isExpired(s),
+                createdAt: s.createdAt,
+                updatedAt: s.updatedAt,
+            }));
+        } catch (error) {
+            throw new Error(`Failed to list stale secrets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Removes the expired secrets
+     * @param {'trash'|'delete'} [action='trash'] - 'trash' moves them to the trash, 'delete' removes them permanently
+     * @returns {Promise<number>} Number of removed secrets
+     */
+    async sweepExpired(action = "trash") {
+        try {
+            return await Secret.destroy({
+                where: { expiresAt: { [Op.lte]: new Date() } },
+                force: action === "delete",
+            });
+        } catch (error) {
+            throw new Error(`Failed to sweep expired secrets: ${error.message}`);
+        }
+    }
+
+    /**
+     * Checks that the folder exists (null is the root)
+     * @param {string|null} folderId - Folder ID
+     * @param {object} [options]
+     * @param {import('sequelize').Transaction} [options.transaction]
+     * @throws {ServerError} If the folder doesn't exist
+     */
+    async #assertFolderExists(folderId, { transaction } = {}) {
+        if (!folderId) return;
+
+        const folder = await Folder.findByPk(folderId, { transaction });
+        if (!folder) {
+            throw new ServerError("Specified folder does not exist", 404);
+        }
+    }
+
+    /**
+     * Checks that no other secret in the folder has the same name (trashed secrets excluded)
+     * @param {string} name - Secret name
+     * @param {string|null} folderId - Folder ID (null for root)
+     * @param {object} [options]
+     * @param {import('sequelize').Transaction} [options.transaction]
+     * @throws {ServerError} If the name is already used in the folder
+     */
+    async #assertNameAvailable(name, folderId, { transaction } = {}) {
+        const existing = await Secret.findOne({
+            where: { name, folderId },
+            attributes: ["id"],
+            transaction,
+        });
+
+        if (existing) {
+            throw new ServerError(
+                `A secret with name '${name}' already exists in this location`,
+                409
+            );
+        }
+    }
+
+    /**
+     * Determines whether the secret is past its expiration date
+     * @param {Secret} secret
+     * @returns {boolean}
+     */
+    #isExpired(secret) {
+        return !!secret.expiresAt && secret.expiresAt <= new Date();
+    }
+
+    /**
+     * Converts a secret value to the bytes to encrypt
+     * @param {string|Uint8Array|Object} value
+     * @returns {{bytes: Uint8Array, format: 'text'|'json'|undefined}} format is undefined for raw bytes, decided by the caller
+     */
+    #serialize(value) {
+        if (value instanceof Uint8Array) {
+            return { bytes: value, format: undefined };
+        }
+
+        if (typeof value === "string") {
+            return { bytes: new TextEncoder().encode(value), format: "text" };
+        }
+
+        return {
+            bytes: new TextEncoder().encode(JSON.stringify(value)),
+            format: "json",
+        };
+    }
+
+    /**
+     * Converts decrypted bytes back to the secret value
+     * @param {Uint8Array} bytes
+     * @param {string} format
+     * @returns {string|Object} Base64 string for binary secrets
+     */
+    #deserialize(bytes, format) {
+        if (format === "binary") {
+            return Base64Encoder.encode(bytes);
+        }
+
+        const text = new TextDecoder().decode(bytes);
+        return format === "json" ? JSON.parse(text) : text;
+    }
 }
@@ -0,0 +1,246 @@
+import { Op } from "sequelize";
+
+import { Config } from "../config.js";
+import { database } from "../data/database.js";
+import { SigningKey } from "../models/signingKey.js";
+import { KeyManagementService } from "../crypto/services/keyManagementService.js";
+import { ServerError } from "../helpers/serverError.js";
+import { JWT } from "../auth/jsonwebtoken.js";
+
+/**
+ * Keys used to sign and verify the access tokens.
+ * With EdDSA/ES256 one key pair is active and signs new tokens, after a rotation the
+ * previous public keys keep verifying for Config.JWT_KEY_GRACE_HOURS and stay in the JWKS.
+ * With HS256 the shared Config.JWT_SIGN_KEY is used and there is nothing to publish
+ */
+export class SigningKeyService {
+    static ALGORITHMS = ["EdDSA", "ES256"];
+    static #params = {
+        EdDSA: { name: "Ed25519" },
+        ES256: { name: "ECDSA", namedCurve: "P-256" },
+    };
+    static #keys = new Map(); // kid -> { kid, alg, jwk, publicKey }
+    static #current = null; // { kid, alg, privateKey }
+    static #lastReload = 0;
+
+    /**
+     * Loads the keys, creating the first one if there is no active key for Config.JWT_ALG
+     * (must be called after KeyManagementService.initialize)
+     */
+    static async initialize() {
+        if (this.#isSymmetric()) return;
+
+        if (!this.ALGORITHMS.includes(Config.JWT_ALG)) {
+            throw new Error(`Unsupported JWT_ALG '${Config.JWT_ALG}'`);
+        }
+
+        await this.reload();
+        if (this.#current?.alg !== Config.JWT_ALG) {
+            // Another instance starting at the same time may have created it in the meantime
+            await this.#rotate({ unlessActive: true });
+        }
+    }
+
+    /**
+     * Generates a new active key pair, the previous active key is retired
+     * @returns {Promise<SigningKey>} The new key (without private key)
+     */
+    static async rotate() {
+        if (this.#isSymmetric()) {
+            throw new ServerError("Key rotation is not available with HS256", 400);
+        }
+
+        return await this.#rotate();
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.unlessActive=false] - Skips the rotation if there is already an active key for Config.JWT_ALG
+     * @returns {Promise<Object|null>} The new key (without private key), null if skipped
+     */
+    static async #rotate({ unlessActive = false } = {}) {
+        const alg = Config.JWT_ALG;
+        const pair = await crypto.subtle.generateKey(this.#params[alg], true, ["sign", "verify"]);
+
+        const { kty, crv, x, y } = await crypto.subtle.exportKey("jwk", pair.publicKey);
+        const pkcs8 = await crypto.subtle.exportKey("pkcs8", pair.privateKey);
+        const encryptedKey = await KeyManagementService.encryptDEK(Buffer.from(pkcs8));
+
+        const key = await database.transaction(async (transaction) => {
+            // Rotations are serialized, the unique index on the active key is the last safeguard
+            await database.query("SELECT pg_advisory_xact_lock(hashtext('signing_key'))", { transaction });
+
+            if (unlessActive) {
+                const active = await SigningKey.findOne({ where: { isActive: true, alg }, transaction });
+                if (active) return null;
+            }
+
+            await SigningKey.update(
+                { isActive: false, retiredAt: new Date() },
+                { where: { isActive: true }, transaction }
+            );
+
+            return await SigningKey.create({
+                alg,
+                publicKey: y ? { kty, crv, x, y } : { kty, crv, x },
+                privateKey: encryptedKey,
+                kekId: Config.KMS.defaultKekId,
+            }, { transaction });
+        });
+
+        await this.reload();
+        return key ? this.#describe(key) : null;
+    }
+
+    /**
+     * Reloads the keys from the database: picks up rotations done by other instances
+     * and drops the retired keys past the grace period
+     */
+    static async reload() {
+        if (this.#isSymmetric()) return;
+
+        const rows = await SigningKey.findAll({
+            where: {
+                [Op.or]: [
+                    { isActive: true },
+                    { retiredAt: { [Op.gt]: this.#graceStart() } },
+                ],
+            },
+            order: [["createdAt", "DESC"]],
+        });
+
+        const keys = new Map();
+        let current = null;
+
+        for (const row of rows) {
+            keys.set(row.id, {
+                kid: row.id,
+                alg: row.alg,
+                jwk: row.publicKey,
+                publicKey: await crypto.subtle.importKey("jwk", row.publicKey, this.#params[row.alg], true, ["verify"]),
+            });
+
+            if (row.isActive && !current) {
+                const pkcs8 = await KeyManagementService.decryptDEK(row.privateKey, row.kekId);
+                current = {
+                    kid: row.id,
+                    alg: row.alg,
+                    privateKey: await crypto.subtle.importKey("pkcs8", pkcs8, this.#params[row.alg], false, ["sign"]),
+                };
+            }
+        }
+
+        this.#keys = keys;
+        this.#current = current;
+        this.#lastReload = Date.now();
+    }
+
+    /**
+     * Permanently removes the retired keys past the grace period
+     * @returns {Promise<number>} Removed keys
+     */
+    static async purgeRetired() {
+        return await SigningKey.destroy({
+            where: { isActive: false, retiredAt: { [Op.lte]: this.#graceStart() } },
+        });
+    }
+
+    /**
+     * Signs a JWT with the active key
+     * @param {Object} payload - Data to include in the token
+     * @param {number|string} [expiresIn] - Seconds or time span, e.g. '15m'
+     * @returns {Promise<string>} The signed JWT
+     */
+    static async sign(payload, expiresIn) {
+        if (this.#isSymmetric()) {
+            return await JWT.sign(payload, Config.JWT_SIGN_KEY, expiresIn);
+        }
+
+        const { kid, alg, privateKey } = this.#current;
+        return await JWT.sign(payload, privateKey, expiresIn, { alg, kid });
+    }
+
+    /**
+     * Verifies a JWT with the key named by its kid
+     * @param {string} token - JWT to verify
+     * @returns {Promise<{isValid: boolean, payload?: JWTPayload}>} Verification result
+     */
+    static async verify(token) {
+        if (this.#isSymmetric()) {
+            return await JWT.verify(token, Config.JWT_SIGN_KEY, { algorithms: ["HS256"] });
+        }
+
+        return await JWT.verify(token, async ({ kid }) => await this.#resolve(kid), {
+            algorithms: this.ALGORITHMS,
+        });
+    }
+
+    /**
+     * Public keys that can verify the tokens (active and in grace period)
+     * @returns {{keys: Object[]}} JSON Web Key Set
+     */
+    static jwks() {
+        return {
+            keys: [...this.#keys.values()].map(({ kid, alg, jwk }) => ({ ...jwk, kid, alg, use: "sig" })),
+        };
+    }
+
+    /**
+     * Lists the stored keys
+     * @returns {Promise<Object[]>} Keys without private key
+     */
+    static async list() {
+        const keys = await SigningKey.findAll({
+            attributes: { exclude: ["privateKey"] },
+            order: [["createdAt", "DESC"]],
+        });
+        return keys.map((key) => this.#describe(key));
+    }
+
+    /**
+     * Finds the verification key, an unknown kid triggers a reload
+     * (at most every 10 seconds) in case another instance rotated
+     * @param {string} kid
+     * @returns {Promise<CryptoKey>}
+     * @throws {Error} If the key is unknown
+     */
+    static async #resolve(kid) {
+        if (!this.#keys.has(kid) && Date.now() - this.#lastReload > 10 * 1000) {
+            await this.reload();
+        }
+
+        const key = this.#keys.get(kid);
+        if (!key) {
+            throw new Error(`Unknown signing key '${kid}'`);
+        }
+        return key.publicKey;
+    }
+
+    /**
+     * @param {SigningKey} key
+     * @returns {Object}
+     */
+    static #describe(key) {
+        return {
+            kid: key.id,
+            alg: key.alg,
+            isActive: key.isActive,
+            createdAt: key.createdAt,
+            retiredAt: key.retiredAt,
+        };
+    }
+
+    /**
+     * @returns {Date} Keys retired before this date no longer verify
+     */
+    static #graceStart() {
+        return new Date(Date.now() - Config.JWT_KEY_GRACE_HOURS * 60 * 60 * 1000);
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    static #isSymmetric() {
+        return Config.JWT_ALG === "HS256";
+    }
+}
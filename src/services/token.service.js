@@ -0,0 +1,285 @@
+import { randomBytes, createHash, timingSafeEqual } from 'node:crypto';
+import { Op } from 'sequelize';
+import { v7 as uuidv7 } from 'uuid';
+
+import { Config } from '../config.js';
+import { Client } from '../models/client.js';
+import { RefreshToken } from '../models/refreshToken.js';
+import { RevokedToken } from '../models/revokedToken.js';
+import { database } from '../data/database.js';
+import { ServerError } from '../helpers/serverError.js';
+import { Validator } from '../validator/validator.js';
+import { JWT } from '../auth/jsonwebtoken.js';
+import { SigningKeyService } from './signingKey.service.js';
+import { RoleService } from './role.service.js';
+
+/**
+ * Short-lived access tokens (JWT with jti) and rotating refresh tokens.
+ * Every login starts a family: each refresh consumes the current refresh token and
+ * issues a new pair in the same family, presenting a consumed token again revokes the whole family
+ */
+export class TokenService {
+
+    /**
+     * Starts a new token family for a client (login)
+     * @param {string} clientId - Client ID
+     * @param {string[]} [roles=[]] - Roles of the session on top of the client's ones, kept by every refresh
+     * @returns {Promise<{token: string, refreshToken: string, refreshExpiresAt: Date}>}
+     */
+    async issue(clientId, roles = []) {
+        return await database.transaction(async (transaction) => {
+            return await this.#issuePair(clientId, uuidv7(), roles, transaction);
+        });
+    }
+
+    /**
+     * Rotates a refresh token: the given one is consumed and a new pair is issued
+     * @param {string} refreshToken - Refresh token returned by login or by a previous refresh
+     * @returns {Promise<{token: string, refreshToken: string, refreshExpiresAt: Date, clientId: string}>}
+     * @throws {ServerError} If the token is invalid, expired, revoked or reused
+     */
+    async refresh(refreshToken) {
+        const { id, secret } = this.#parseRefreshToken(refreshToken);
+
+        // The family revocation on reuse must be committed, the error is thrown after the transaction
+        const result = await database.transaction(async (transaction) => {
+            const row = await RefreshToken.findByPk(id, {
+                transaction,
+                lock: transaction.LOCK.UPDATE,
+            });
+
+            if (!row || !this.#matches(secret, row.hashedToken) || row.revokedAt) {
+                return { error: 'Invalid refresh token' };
+            }
+
+            if (row.usedAt) {
+                await this.#revokeFamily(row.familyId, transaction);
+                return { error: 'Refresh token reuse detected, session revoked' };
+            }
+
+            if (row.expiresAt < new Date()) {
+                return { error: 'Refresh token expired' };
+            }
+
+            const client = await Client.findByPk(row.clientId, { transaction });
+            if (!client || !client.isActive) {
+                return { error: 'Client account is inactive' };
+            }
+
+            if (client.secretExpiresAt && client.secretExpiresAt <= new Date()) {
+                return { error: 'Client credentials expired' };
+            }
+
+            await row.update({ usedAt: new Date() }, { transaction });
+
+            const pair = await this.#issuePair(row.clientId, row.familyId, row.roles, transaction);
+            return { ...pair, clientId: row.clientId };
+        });
+
+        if (result.error) {
+            throw new ServerError(result.error, 401);
+        }
+        return result;
+    }
+
+    /**
+     * Ends the session of an access token: the token itself and its family are revoked
+     * @param {{jti: string, fid?: string, clientId: string, exp: number}} payload - Verified access token payload
+     * @returns {Promise<void>}
+     */
+    async logout(payload) {
+        await database.transaction(async (transaction) => {
+            await this.#revokeAccess(payload, transaction);
+            if (payload.fid) {
+                await this.#revokeFamily(payload.fid, transaction);
+            }
+        });
+    }
+
+    /**
+     * Revokes a single token, an access token (JWT) or a refresh token (with its family)
+     * @param {string} token - Token to revoke
+     * @param {{id: string, roles: string[]}} requester - Authenticated client (req.client), admins can revoke any token
+     * @returns {Promise<void>}
+     * @throws {ServerError} If the token is invalid or belongs to another client
+     */
+    async revoke(token, requester) {
+        // Refresh token: '<id>.<secret>', access token: JWT with three parts
+        if (String(token).split('.').length === 2) {
+            const { id, secret } = this.#parseRefreshToken(token);
+            const row = await RefreshToken.findByPk(id);
+            if (!row || !this.#matches(secret, row.hashedToken)) {
+                throw new ServerError('Invalid token', 400);
+            }
+            this.#assertOwner(row.clientId, requester);
+
+            await database.transaction(async (transaction) => {
+                await this.#revokeFamily(row.familyId, transaction);
+            });
+            return;
+        }
+
+        const { isValid, payload } = await SigningKeyService.verify(token);
+        if (!isValid || !payload?.jti) {
+            throw new ServerError('Invalid or expired token', 400);
+        }
+        this.#assertOwner(payload.clientId, requester);
+
+        await this.#revokeAccess(payload);
+    }
+
+    /**
+     * Revokes every refresh token of a client and the access tokens issued with them
+     * @param {string} clientId - Client ID
+     * @returns {Promise<void>}
+     */
+    async revokeClientTokens(clientId) {
+        await database.transaction(async (transaction) => {
+            const families = await RefreshToken.findAll({
+                attributes: ['familyId'],
+                where: { clientId, revokedAt: null },
+                group: ['familyId'],
+                transaction,
+            });
+
+            for (const { familyId } of families) {
+                await this.#revokeFamily(familyId, transaction);
+            }
+        });
+    }
+
+    /**
+     * Checks if an access token is in the revocation list
+     * @param {string} jti - Access token id
+     * @returns {Promise<boolean>}
+     */
+    async isRevoked(jti) {
+        const count = await RevokedToken.count({ where: { jti } });
+        return count > 0;
+    }
+
+    /**
+     * Removes expired refresh tokens and revocations of access tokens that are expired anyway
+     * @returns {Promise<{refreshTokens: number, revokedTokens: number}>} Removed rows
+     */
+    async purgeExpired() {
+        const now = new Date();
+        const refreshTokens = await RefreshToken.destroy({ where: { expiresAt: { [Op.lt]: now } } });
+        const revokedTokens = await RevokedToken.destroy({ where: { expiresAt: { [Op.lt]: now } } });
+        return { refreshTokens, revokedTokens };
+    }
+
+    /**
+     * @param {string} clientId
+     * @param {string} familyId
+     * @param {string[]} roles - Session roles
+     * @param {import('sequelize').Transaction} transaction
+     * @returns {Promise<{token: string, refreshToken: string, refreshExpiresAt: Date}>}
+     */
+    async #issuePair(clientId, familyId, roles, transaction) {
+        const jti = uuidv7();
+        // Roles and permissions of the client are read from the database by Authorize,
+        // only the session roles travel in the token (their permissions are read from the database too)
+        const token = await SigningKeyService.sign(
+            roles.length > 0 ? { clientId, jti, fid: familyId, roles } : { clientId, jti, fid: familyId },
+            Config.JWT_LIFETIME,
+        );
+        const { exp } = JWT.decode(token);
+
+        const secret = randomBytes(32).toString('base64url');
+        const refreshExpiresAt = new Date(Date.now() + Config.REFRESH_TOKEN_LIFETIME_DAYS * 24 * 60 * 60 * 1000);
+
+        const row = await RefreshToken.create({
+            clientId,
+            familyId,
+            hashedToken: this.#hash(secret),
+            accessJti: jti,
+            accessExpiresAt: new Date(exp * 1000),
+            roles,
+            expiresAt: refreshExpiresAt,
+        }, { transaction });
+
+        return {
+            token,
+            refreshToken: `${row.id}.${secret}`,
+            refreshExpiresAt,
+        };
+    }
+
+    /**
+     * Revokes the refresh tokens of a family and the access tokens issued with them
+     * @param {string} familyId
+     * @param {import('sequelize').Transaction} transaction
+     */
+    async #revokeFamily(familyId, transaction) {
+        const now = new Date();
+
+        const live = await RefreshToken.findAll({
+            attributes: ['clientId', 'accessJti', 'accessExpiresAt'],
+            where: { familyId, accessExpiresAt: { [Op.gt]: now } },
+            transaction,
+        });
+
+        await RevokedToken.bulkCreate(
+            live.map(row => ({ jti: row.accessJti, clientId: row.clientId, expiresAt: row.accessExpiresAt })),
+            { ignoreDuplicates: true, transaction }
+        );
+
+        await RefreshToken.update(
+            { revokedAt: now },
+            { where: { familyId, revokedAt: null }, transaction }
+        );
+    }
+
+    /**
+     * @param {{jti: string, clientId: string, exp: number}} payload - Access token payload
+     * @param {import('sequelize').Transaction} [transaction]
+     */
+    async #revokeAccess({ jti, clientId, exp }, transaction) {
+        await RevokedToken.bulkCreate(
+            [{ jti, clientId, expiresAt: new Date(exp * 1000) }],
+            { ignoreDuplicates: true, transaction }
+        );
+    }
+
+    /**
+     * @param {string} ownerId - Client the token belongs to
+     * @param {{id: string, roles: string[]}} requester
+     * @throws {ServerError} If the requester is not the owner nor an admin
+     */
+    #assertOwner(ownerId, requester) {
+        if (ownerId !== requester.id && !requester.roles.includes(RoleService.ADMIN_ROLE)) {
+            throw new ServerError('Cannot revoke tokens of other clients', 403);
+        }
+    }
+
+    /**
+     * @param {string} refreshToken - '<id>.<secret>'
+     * @returns {{id: string, secret: string}}
+     * @throws {ServerError} If the token is malformed
+     */
+    #parseRefreshToken(refreshToken) {
+        const [id, secret] = String(refreshToken ?? '').split('.');
+        if (!id || !secret || !Validator.isUuid(id)) {
+            throw new ServerError('Invalid refresh token', 401);
+        }
+        return { id, secret };
+    }
+
+    /**
+     * @param {string} secret
+     * @returns {string} SHA-256 hex, the secret is random so a slow hash is not needed
+     */
+    #hash(secret) {
+        return createHash('sha256').update(secret).digest('hex');
+    }
+
+    /**
+     * @param {string} secret
+     * @param {string} hashedToken
+     * @returns {boolean}
+     */
+    #matches(secret, hashedToken) {
+        return timingSafeEqual(Buffer.from(this.#hash(secret)), Buffer.from(hashedToken));
+    }
+}
@@ -0,0 +1,97 @@
+import { Op } from "sequelize";
+import { Config } from "../config.js";
+import { database } from "../data/database.js";
+import { ServerError } from "../helpers/serverError.js";
+import { Folder } from "../models/folder.js";
+import { Secret } from "../models/secret.js";
+
+export class TrashService {
+    /**
+     * Date after which a trashed item is permanently removed
+     * @param {Date} deletedAt
+     * @returns {Date}
+     */
+    #purgeDate(deletedAt) {
+        return new Date(
+            deletedAt.getTime() + Config.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+        );
+    }
+
+    /**
+     * Lists every secret and folder currently in the trash
+     * @returns {Promise<{secrets: Array<{id: string, name: string, folderId: string, deletedAt: Date, purgeAt: Date}>, folders: Array<{id: string, name: string, parentId: string, deletedAt: Date, purgeAt: Date}>}>}
+     */
+    async list() {
+        try {
+            const trashed = { deletedAt: { [Op.ne]: null } };
+
+            const secrets = await Secret.findAll({
+                where: trashed,
+                paranoid: false,
+                attributes: ["id", "name", "folderId", "deletedAt"],
+                order: [["deletedAt", "DESC"]],
+            });
+
+            const folders = await Folder.findAll({
+                where: trashed,
+                paranoid: false,
+                attributes: ["id", "name", "parentId", "deletedAt"],
+                order: [["deletedAt", "DESC"]],
+            });
+
+            return {
+                secrets: secrets.map((s) => ({
+                    id: s.id,
+                    name: s.name,
+                    folderId: s.folderId,
+                    deletedAt: s.deletedAt,
+                    purgeAt: this.#purgeDate(s.deletedAt),
+                })),
+                folders: folders.map((f) => ({
+                    id: f.id,
+                    name: f.name,
+                    parentId: f.parentId,
+                    deletedAt: f.deletedAt,
+                    purgeAt: this.#purgeDate(f.deletedAt),
+                })),
+            };
+        } catch (error) {
+            throw new ServerError(`Failed to list trash: ${error.message}`, 500);
+        }
+    }
+
+    /**
+     * Permanently removes the items trashed before the retention window
+     * @returns {Promise<{secrets: number, folders: number}>} Number of purged items
+     */
+    async purgeExpired() {
+        const cutoff = new Date(
+            Date.now() - Config.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000
+        );
+        const expired = { deletedAt: { [Op.lt]: cutoff } };
+
+        try {
+            // Secrets first, the folder cascade would remove them without counting
+            const secrets = await Secret.destroy({ where: expired, force: true });
+            const folders = await Folder.destroy({ where: expired, force: true });
+
+            await this.#purgeOrphanChunks();
+
+            return { secrets, folders };
+        } catch (error) {
+            throw new ServerError(`Failed to purge trash: ${error.message}`, 500);
+        }
+    }
+
+    /**
+     * Removes the segments of streamed secrets no longer referenced by any secret or version
+     * @returns {Promise<void>}
+     */
+    async #purgeOrphanChunks() {
+        await database.query(`
+            DELETE FROM secret_chunk c
+            WHERE NOT EXISTS (SELECT 1 FROM secret s WHERE s."blobId" = c."blobId")
+              AND NOT EXISTS (SELECT 1 FROM secret_version v WHERE v."blobId" = c."blobId")
+        `);
+    }
+}
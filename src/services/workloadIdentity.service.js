@@ -0,0 +1,252 @@
+import { readFile } from 'node:fs/promises';
+import { createRemoteJWKSet, createLocalJWKSet, importSPKI } from 'jose';
+
+import { Config } from '../config.js';
+import { Client } from '../models/client.js';
+import { WorkloadIdentity } from '../models/workloadIdentity.js';
+import { ServerError } from '../helpers/serverError.js';
+import { JWT } from '../auth/jsonwebtoken.js';
+import { RoleService } from './role.service.js';
+import { LoginThrottleService } from './loginThrottle.service.js';
+
+/**
+ * @typedef {Object} IssuerConfig
+ * @property {string} issuer - Expected iss claim, e.g. 'https://token.actions.githubusercontent.com'
+ * @property {string|string[]} audience - Expected aud claim, tokens for other audiences are rejected
+ * @property {string} [jwksUri] - Remote JWKS, fetched and cached, refetched on unknown kid
+ * @property {string} [jwksFile] - Local JWKS file
+ * @property {string} [publicKeyFile] - Local PEM public key (SPKI), e.g. the Kubernetes service account key
+ * @property {string[]} [algorithms] - Accepted algorithms, the first one is used for publicKeyFile
+ * @property {string} [subjectClaim='sub'] - Claim bound to a client, e.g. 'repository' for CI tokens
+ * @property {RoleMapping[]} [roleMappings] - Roles granted to the session by the token claims
+ */
+
+/**
+ * @typedef {Object} RoleMapping
+ * @property {string} claim - Claim name, e.g. 'ref' or 'groups'
+ * @property {string} value - Expected value, or an element of an array claim
+ * @property {string[]} roles - Role names granted to the session, never the admin role
+ */
+
+/**
+ * Login with JWTs signed by a trusted external issuer (Kubernetes service account tokens,
+ * CI OIDC tokens), so workloads don't need a static secret. The issuers are read from the
+ * JSON file in Config.WORKLOAD_ISSUERS_FILE, the subject claim of a verified token is bound
+ * to a client by an admin: the client and its roles are the ones of that record, plus the roles
+ * the issuer's roleMappings grant for the other claims (e.g. only tokens of the main branch get 'deployer').
+ * Those roles belong to the session and are kept by its refreshes, the client record doesn't change.
+ * Failed verifications are throttled per issuer and per IP like the secret logins
+ */
+export class WorkloadIdentityService {
+    static DEFAULT_ALGORITHMS = ['RS256', 'ES256', 'EdDSA'];
+    static #issuers = new Map(); // iss -> { config, key }
+
+    constructor() {
+        this.loginThrottle = new LoginThrottleService();
+    }
+
+    /**
+     * Loads the configured issuers and their keys
+     */
+    static async initialize() {
+        if (!Config.WORKLOAD_ISSUERS_FILE) return;
+
+        const configs = JSON.parse(await readFile(Config.WORKLOAD_ISSUERS_FILE, 'utf8'));
+        const issuers = new Map();
+
+        for (const config of configs) {
+            if (!config.issuer || !config.audience) {
+                throw new Error('Workload issuers need issuer and audience');
+            }
+            // The issuer is part of the login_attempt key
+            if (LoginThrottleService.issuerKey(config.issuer).length > 200) {
+                throw new Error(`Workload issuer '${config.issuer}' is too long`);
+            }
+            this.#checkRoleMappings(config);
+            issuers.set(config.issuer, { config, key: await this.#loadKey(config) });
+        }
+
+        this.#issuers = issuers;
+    }
+
+    /**
+     * @returns {string[]} The configured issuers
+     */
+    static get issuers() {
+        return [...this.#issuers.keys()];
+    }
+
+    /**
+     * Verifies a workload token and finds the client bound to its subject
+     * @param {string} assertion - JWT signed by a configured issuer
+     * @param {string} [ip] - Caller address, failures are also counted per IP
+     * @returns {Promise<{client: Client, roles: string[]}>} The active client and the roles mapped from the claims
+     * @throws {ServerError} If the token is invalid, its subject is not bound to an active client
+     * or too many verifications failed (429)
+     */
+    async authenticate(assertion, ip) {
+        const issuer = WorkloadIdentityService.#issuers.get(JWT.decode(assertion)?.iss);
+        // The iss of an unknown issuer is chosen by the caller, only its IP is counted
+        const account = issuer ? LoginThrottleService.issuerKey(issuer.config.issuer) : null;
+
+        await this.loginThrottle.reserveAttempt(account, ip);
+
+        let result;
+        try {
+            result = await this.#verify(issuer, assertion);
+        } catch (error) {
+            if (error instanceof ServerError) {
+                await this.loginThrottle.recordFailure(account, ip);
+            }
+            throw error;
+        }
+
+        await this.loginThrottle.recordSuccess(account, ip);
+        return result;
+    }
+
+    /**
+     * @param {{config: IssuerConfig, key: CryptoKey|Function}|undefined} issuer - Issuer named by the token
+     * @param {string} assertion
+     * @returns {Promise<{client: Client, roles: string[]}>}
+     * @throws {ServerError} If the token is invalid or its subject is not bound to an active client
+     */
+    async #verify(issuer, assertion) {
+        if (!issuer) {
+            throw new ServerError('Invalid workload token', 401);
+        }
+
+        const { config, key } = issuer;
+        const { isValid, payload } = await JWT.verify(assertion, key, {
+            algorithms: config.algorithms ?? WorkloadIdentityService.DEFAULT_ALGORITHMS,
+            issuer: config.issuer,
+            audience: config.audience,
+        });
+
+        // Tokens without expiry are not accepted, e.g. the legacy Kubernetes secret-based tokens
+        if (!isValid || !payload.exp) {
+            throw new ServerError('Invalid workload token', 401);
+        }
+
+        const subject = payload[config.subjectClaim ?? 'sub'];
+        const identity = typeof subject === 'string'
+            ? await WorkloadIdentity.findOne({ where: { issuer: config.issuer, subject } })
+            : null;
+        if (!identity) {
+            throw new ServerError('Workload identity is not bound to a client', 401);
+        }
+
+        const client = await Client.findByPk(identity.clientId);
+        if (!client || !client.isActive) {
+            throw new ServerError('Client account is inactive', 401);
+        }
+        return { client, roles: this.#mappedRoles(config, payload) };
+    }
+
+    /**
+     * @param {IssuerConfig} config
+     * @param {Object} payload - Verified token claims
+     * @returns {string[]} Roles of the mappings whose claim has the expected value
+     */
+    #mappedRoles(config, payload) {
+        const roles = new Set();
+        for (const mapping of config.roleMappings ?? []) {
+            const claim = payload[mapping.claim];
+            const matches = Array.isArray(claim) ? claim.includes(mapping.value) : claim === mapping.value;
+            if (matches) {
+                mapping.roles.forEach(role => roles.add(role));
+            }
+        }
+        return [...roles];
+    }
+
+    /**
+     * Binds a workload subject to a client
+     * @param {string} clientId - Client ID
+     * @param {string} issuer - One of the configured issuers
+     * @param {string} subject - Value of the issuer's subject claim
+     * @returns {Promise<WorkloadIdentity>}
+     * @throws {ServerError} If the client or the issuer is unknown, or the subject is already bound
+     */
+    async add(clientId, issuer, subject) {
+        if (!WorkloadIdentityService.#issuers.has(issuer)) {
+            throw new ServerError(`Issuer '${issuer}' is not configured`, 400);
+        }
+
+        const client = await Client.findByPk(clientId, { attributes: ['id'] });
+        if (!client) {
+            throw new ServerError('Client not found', 404);
+        }
+
+        try {
+            return await WorkloadIdentity.create({ clientId, issuer, subject });
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                throw new ServerError(`Subject '${subject}' of '${issuer}' is already bound to a client`, 409);
+            }
+            throw new ServerError(`Failed to bind workload identity: ${error.message}`, 500);
+        }
+    }
+
+    /**
+     * Lists the workload identities of a client
+     * @param {string} clientId - Client ID
+     * @returns {Promise<WorkloadIdentity[]>}
+     */
+    async list(clientId) {
+        return await WorkloadIdentity.findAll({
+            where: { clientId },
+            order: [['issuer', 'ASC'], ['subject', 'ASC']]
+        });
+    }
+
+    /**
+     * Removes a workload identity from a client
+     * @param {string} clientId - Client ID
+     * @param {string} id - Binding ID
+     * @returns {Promise<void>}
+     * @throws {ServerError} If the binding is not found
+     */
+    async remove(clientId, id) {
+        const removed = await WorkloadIdentity.destroy({ where: { id, clientId } });
+        if (removed === 0) {
+            throw new ServerError('Workload identity not found', 404);
+        }
+    }
+
+    /**
+     * @param {IssuerConfig} config
+     * @throws {Error} If a role mapping is malformed or grants the admin role
+     */
+    static #checkRoleMappings(config) {
+        for (const mapping of config.roleMappings ?? []) {
+            const { claim, value, roles } = mapping ?? {};
+            if (typeof claim !== 'string' || typeof value !== 'string'
+                || !Array.isArray(roles) || !roles.every(role => typeof role === 'string')) {
+                throw new Error(`Workload issuer '${config.issuer}' role mappings need claim, value and roles`);
+            }
+            // A token claim must never be enough to administer the vault
+            if (roles.includes(RoleService.ADMIN_ROLE)) {
+                throw new Error(`Workload issuer '${config.issuer}' can't map claims to the admin role`);
+            }
+        }
+    }
+
+    /**
+     * @param {IssuerConfig} config
+     * @returns {Promise<CryptoKey|Function>} Key or key resolver by header (kid)
+     */
+    static async #loadKey(config) {
+        if (config.jwksUri) {
+            return createRemoteJWKSet(new URL(config.jwksUri));
+        }
+        if (config.jwksFile) {
+            return createLocalJWKSet(JSON.parse(await readFile(config.jwksFile, 'utf8')));
+        }
+        if (config.publicKeyFile) {
+            const alg = (config.algorithms ?? this.DEFAULT_ALGORITHMS)[0];
+            return await importSPKI(await readFile(config.publicKeyFile, 'utf8'), alg);
+        }
+        throw new Error(`Workload issuer '${config.issuer}' needs jwksUri, jwksFile or publicKeyFile`);
+    }
+}
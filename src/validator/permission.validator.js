@@ -0,0 +1,20 @@
+import { Validator } from "./validator.js";
+
+export const PermissionValidator = {
+    id: (value) =>
+        Validator.of(value, 'id')
+            .uuid(),
+
+    name: (value) =>
+        Validator.of(value, 'name')
+            .string()
+            .min(1)
+            .max(100)
+            .regex(/^[\w*:.-]+$/, 'name can contain only letters, digits and _ * : . -'),
+
+    description: (value) =>
+        Validator.of(value, 'description')
+            .optional()
+            .string()
+            .max(255),
+};
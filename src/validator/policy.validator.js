@@ -0,0 +1,45 @@
+import { Validator } from "./validator.js";
+import { PolicyService } from "../services/policy.service.js";
+
+export const PolicyValidator = {
+    id: (value) =>
+        Validator.of(value, 'id')
+            .uuid(),
+
+    subjectType: (value) =>
+        Validator.of(value, 'subjectType')
+            .string()
+            .custom(
+                (v) => PolicyService.SUBJECT_TYPES.includes(v),
+                `subjectType must be one of: ${PolicyService.SUBJECT_TYPES.join(', ')}`
+            ),
+
+    subject: (value) =>
+        Validator.of(value, 'subject')
+            .string()
+            .min(1)
+            .max(100),
+
+    // Glob on absolute paths: '/prod/**', '/prod/payments/*', '**/db-*'
+    path: (value) =>
+        Validator.of(value, 'path')
+            .string()
+            .min(1)
+            .max(1000)
+            .regex(/^(\/|\*\*)/, 'path must start with "/" or "**"')
+            .forbiddenChars([' ', '//']),
+
+    capabilities: (value) =>
+        Validator.of(value, 'capabilities')
+            .array({ min: 1, max: PolicyService.CAPABILITIES.length, unique: true })
+            .each((v) => v.string().custom(
+                (c) => PolicyService.CAPABILITIES.includes(c),
+                `capability must be one of: ${PolicyService.CAPABILITIES.join(', ')}`
+            )),
+
+    description: (value) =>
+        Validator.of(value, 'description')
+            .optional()
+            .string()
+            .max(255),
+};
@@ -0,0 +1,26 @@
+import { Validator } from "./validator.js";
+
+export const RoleValidator = {
+    id: (value) =>
+        Validator.of(value, 'id')
+            .uuid(),
+
+    name: (value) =>
+        Validator.of(value, 'name')
+            .string()
+            .min(1)
+            .max(50)
+            .regex(/^[\w*:.-]+$/, 'name can contain only letters, digits and _ * : . -'),
+
+    description: (value) =>
+        Validator.of(value, 'description')
+            .optional()
+            .string()
+            .max(255),
+
+    permissions: (value) =>
+        Validator.of(value, 'permissions')
+            .optional()
+            .array({ max: 100, unique: true })
+            .each((v) => v.string().min(1).max(100)),
+};
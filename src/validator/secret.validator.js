@@ -1,17 +1,54 @@
 import { Validator } from "./validator.js";
 
+// Names that would reach the prototype when assigned to an object
+const RESERVED_FIELDS = ['__proto__', 'constructor', 'prototype'];
+
 export const SecretValidator = {
     name: (value) => 
         Validator.of(value, 'name')
             .string()
             .min(3)
             .max(50)
-            .forbiddenChars([' ', '@']),
+            .forbiddenChars([' ', '@', '/']),
 
+    // A secret value is either a string or a JSON object (structured secret)
     value: (value) =>
-        Validator.of(value, 'value')
+        typeof value === 'object' && value !== null && !Array.isArray(value)
+            ? Validator.of(value, 'value')
+                .object({ maxKeys: 100 })
+                .custom((v) => Object.keys(v).length > 0, 'value cannot be an empty object')
+            : Validator.of(value, 'value')
+                .string()
+                .min(8),
+
+    binary: (value) =>
+        Validator.of(value, 'body')
+            .custom(
+                (v) => Buffer.isBuffer(v) && v.length > 0,
+                'A non-empty raw body is required (e.g. Content-Type: application/octet-stream)'
+            ),
+
+    contentType: (value) =>
+        Validator.of(value, 'Content-Type')
             .string()
-            .min(8),
+            .max(255)
+            .regex(/^[\w.+-]+\/[\w.+-]+(\s*;.*)?$/, 'Content-Type must be a valid media type'),
+
+    field: (value) =>
+        Validator.of(value, 'field')
+            .string()
+            .min(1)
+            .max(100),
+
+    fields: (value) =>
+        Validator.of(value, 'fields')
+            .object({ maxKeys: 100 })
+            .custom((v) => Object.keys(v).length > 0, 'fields cannot be empty')
+            .custom(
+                (v) => !Object.keys(v).some((k) => RESERVED_FIELDS.includes(k)),
+                `fields cannot use the reserved names ${RESERVED_FIELDS.join(', ')}`
+            )
+            .entries((k) => k.string().min(1).max(100)),
     
     folderId: (value) => 
         Validator.of(value, 'folderId')
@@ -25,7 +62,52 @@ export const SecretValidator = {
             .max(100)
             .forbiddenChars(' '),
     
+    path: (value) =>
+        Validator.of(value, 'path')
+            .string()
+            .min(1)
+            .max(1000)
+            .forbiddenChars([' ', '@', '//'])
+            .custom(
+                (v) => !v.split('/').some((segment) => segment === '.' || segment === '..'),
+                'path cannot contain "." or ".." segments'
+            ),
+
     id: (value) =>
         Validator.of(value, 'id')
             .uuid(),
+
+    expiresAt: (value) =>
+        Validator.of(value, 'expiresAt')
+            .optional()
+            .date()
+            .custom((v) => new Date(v) > new Date(), 'expiresAt must be in the future'),
+
+    ttl: (value) =>
+        Validator.of(value, 'ttl')
+            .optional()
+            .number()
+            .min(1),
+
+    metadata: (value) =>
+        Validator.of(value, 'metadata')
+            .optional()
+            .object({ maxKeys: 50 })
+            .entries((k, v) => {
+                k.string().min(1).max(50).forbiddenChars([' ', '.']);
+                v.string().max(255);
+            }),
+
+    tags: (value) =>
+        Validator.of(value, 'tags')
+            .optional()
+            .array({ max: 20, unique: true })
+            .each((v) => v.string().min(1).max(50).forbiddenChars([' ', ','])),
+
+    version: (value) =>
+        Validator.of(value, 'version')
+            .optional()
+            .number()
+            .custom(Number.isInteger, 'version must be an integer')
+            .min(1),
 };
\ No newline at end of file
@@ -296,6 +296,59 @@ export class Validator {
         return this;
     }
 
+    /**
+     * Validates the value is a plain object (not null, not an array)
+     * @param {Object} options
+     * @param {number} [options.maxKeys=-1] - Maximum number of keys (-1 means no limit, default: -1)
+     * @returns {this}
+     * @throws {ServerError} If validation fails
+     * @example
+     * Validator.of({ a: 1 }).object(); // Ok
+     * Validator.of([1, 2]).object(); // Throws "value must be an object"
+     * Validator.of({ a: 1, b: 2 }).object({ maxKeys: 1 }); // Throws "value must contain max 1 keys"
+     */
+    object({ maxKeys = -1 } = {}) {
+        if (this.skipValidation) return this;
+        if (
+            typeof this.value !== "object" ||
+            this.value === null ||
+            Array.isArray(this.value)
+        ) {
+            throw new ServerError(`${this.fieldName} must be an object`, 400);
+        }
+        if (maxKeys > 0 && Object.keys(this.value).length > maxKeys) {
+            throw new ServerError(
+                `${this.fieldName} must contain max ${maxKeys} keys`,
+                400
+            );
+        }
+        return this;
+    }
+
+    /**
+     * Validates each key/value pair of an object using a callback
+     * @param {(key: Validator, value: Validator) => void} fn - Validation function
+     * @returns {this}
+     * @throws {ServerError} If any entry fails validation
+     * @example
+     * Validator.of(input).object().entries((k, v) => { k.string().max(50); v.string().max(255); });
+     */
+    entries(fn) {
+        if (this.skipValidation) return this;
+        if (typeof this.value !== "object" || this.value === null) {
+            throw new Error(
+                "Validator Error! entries validation cannot be called to a variable not of type object."
+            );
+        }
+        for (const [key, value] of Object.entries(this.value)) {
+            fn(
+                Validator.of(key, `${this.fieldName} key`),
+                Validator.of(value, `${this.fieldName}.${key}`)
+            );
+        }
+        return this;
+    }
+
     /**
      * Validates the value is a valid date (accepts Date, ISO string, or timestamp)
      * @returns {this}